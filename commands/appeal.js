@@ -0,0 +1,126 @@
+import { PermissionsBitField } from "discord.js";
+import {
+  acceptAppeal,
+  appealMessage,
+  appealModal,
+  decideAppeal,
+  explanationFrom,
+  fileAppeal,
+  findAppealStrike,
+  notifyAppellant,
+  parseAppealCustomId,
+} from "../services/appeals.js";
+import { recordEvent } from "../services/auditLog.js";
+
+// -----------------------------------------------------------------------------
+// Appeals: "Request review" in the duplicate DM, and the moderator decision
+// -----------------------------------------------------------------------------
+
+const reply = (interaction, content) =>
+  interaction.reply({ content, ephemeral: true });
+
+export const isAppealInteraction = (interaction) =>
+  (interaction.isButton() || interaction.isModalSubmit()) &&
+  parseAppealCustomId(interaction.customId) !== null;
+
+// DM button: ask the member why it isn't a duplicate
+const handleRequest = async (interaction, strikeId) => {
+  await interaction.showModal(appealModal(strikeId));
+};
+
+// Form submitted: forward it to the moderators and retire the DM button
+const handleSubmit = async (interaction, strikeId) => {
+  const { appeal, guild, error } = await fileAppeal({
+    client: interaction.client,
+    strikeId,
+    userId: interaction.user.id,
+    explanation: explanationFrom(interaction),
+  });
+  if (error) {
+    await reply(interaction, `❌ ${error}`);
+    return;
+  }
+
+  const sentNote = `📨 Your appeal was sent to the moderators of ${guild.name}.`;
+  if (interaction.isFromMessage()) {
+    await interaction.update({ components: [] });
+    await interaction.followUp(sentNote);
+  } else {
+    await reply(interaction, sentNote);
+  }
+  await recordEvent({
+    guildId: appeal.guildId,
+    type: "appeal",
+    actorId: interaction.user.id,
+    targetId: interaction.user.id,
+    payload: {
+      appealId: String(appeal._id),
+      strikeId: String(appeal.strikeId),
+      status: "filed",
+      explanation: appeal.explanation,
+    },
+  });
+  console.log(
+    `📨 ${interaction.user.tag} appealed strike ${appeal.strikeId} in guild ${appeal.guildId}.`
+  );
+};
+
+const handleDecision = async (interaction, decision, appealId) => {
+  if (!interaction.memberPermissions?.has(PermissionsBitField.Flags.ModerateMembers)) {
+    await reply(interaction, "❌ Only moderators can decide appeals.");
+    return;
+  }
+
+  let appeal = await decideAppeal(
+    interaction.guildId,
+    appealId,
+    decision,
+    interaction.user.id
+  );
+  if (!appeal) {
+    await reply(interaction, "❌ This appeal has already been decided.");
+    return;
+  }
+
+  // Restoring roles can take a moment; the appeal message is updated afterwards
+  await interaction.deferUpdate();
+
+  if (appeal.status === "accepted") {
+    appeal = await acceptAppeal(interaction.client, appeal);
+  }
+
+  const strike = await findAppealStrike(appeal);
+  if (strike) await interaction.editReply(appealMessage(appeal, strike));
+  else await interaction.editReply({ components: [] });
+
+  await notifyAppellant(interaction.client, appeal, interaction.guild);
+  await recordEvent({
+    guildId: interaction.guildId,
+    type: "appeal",
+    actorId: interaction.user.id,
+    targetId: appeal.userId,
+    payload: {
+      appealId: String(appeal._id),
+      strikeId: String(appeal.strikeId),
+      status: appeal.status,
+      reregistered: appeal.reregistered,
+      allowlisted: appeal.allowlisted,
+      outcome: appeal.outcome,
+    },
+  });
+  console.log(
+    `✅ ${interaction.user.tag} ${appeal.status} appeal ${appeal._id} in guild ${interaction.guildId}.`
+  );
+};
+
+export const handleAppealInteraction = async (interaction) => {
+  const { action, id } = parseAppealCustomId(interaction.customId);
+
+  if (action === "request") {
+    await handleRequest(interaction, id);
+  } else if (action === "submit") {
+    await handleSubmit(interaction, id);
+  } else {
+    await handleDecision(interaction, action, id);
+  }
+};
@@ -0,0 +1,150 @@
+import { ChannelType, PermissionsBitField, SlashCommandBuilder } from "discord.js";
+import { getGuildConfig } from "../services/guildSettings.js";
+import {
+  AUDIT_EVENT_TYPES,
+  MAX_EXPORTED_EVENTS,
+  describeEvent,
+  eventsToAttachment,
+  findEvents,
+} from "../services/auditLog.js";
+
+// -----------------------------------------------------------------------------
+// /history: Search the audit log and export it as evidence
+// -----------------------------------------------------------------------------
+
+export const data = new SlashCommandBuilder()
+  .setName("history")
+  .setDescription("Search what the bot detected and what moderators did.")
+  .setDefaultMemberPermissions(PermissionsBitField.Flags.ModerateMembers)
+  .setDMPermission(false)
+  .addUserOption((option) =>
+    option.setName("user").setDescription("Only events by or about this member")
+  )
+  .addChannelOption((option) =>
+    option
+      .setName("channel")
+      .setDescription("Only events in this channel")
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+  )
+  .addStringOption((option) =>
+    option
+      .setName("type")
+      .setDescription("Only this kind of event")
+      .addChoices(
+        ...Object.entries(AUDIT_EVENT_TYPES).map(([value, name]) => ({ name, value }))
+      )
+  )
+  .addStringOption((option) =>
+    option.setName("since").setDescription("From this date (YYYY-MM-DD, UTC)")
+  )
+  .addStringOption((option) =>
+    option.setName("until").setDescription("Up to and including this date (YYYY-MM-DD, UTC)")
+  )
+  .addStringOption((option) =>
+    option
+      .setName("export")
+      .setDescription("Attach every matching event as a file")
+      .addChoices(
+        { name: "CSV", value: "csv" },
+        { name: "JSON", value: "json" }
+      )
+  );
+
+const reply = (interaction, content) =>
+  interaction.reply({ content, ephemeral: true });
+
+const LISTED_EVENTS = 15;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// A YYYY-MM-DD date as midnight UTC (the next midnight when `endOfDay`);
+// undefined if not given, null if it isn't a valid date
+const parseDate = (text, endOfDay = false) => {
+  if (!text) return undefined;
+  const date = new Date(`${text.trim()}T00:00:00Z`);
+  if (!DATE.test(text.trim()) || Number.isNaN(date.getTime())) return null;
+  return endOfDay ? new Date(date.getTime() + DAY_MS) : date;
+};
+
+const describeFilters = ({ user, channel, type, since, until }) =>
+  [
+    user ? `member ${user}` : null,
+    channel ? `channel ${channel}` : null,
+    type ? `type "${AUDIT_EVENT_TYPES[type]}"` : null,
+    since ? `since ${since}` : null,
+    until ? `until ${until}` : null,
+  ].filter(Boolean).join(", ") || "none";
+
+export const execute = async (interaction) => {
+  const guildConfig = await getGuildConfig(interaction.guildId);
+  if (!guildConfig) {
+    await reply(interaction, "❌ Run `/imageguard setup` first.");
+    return;
+  }
+
+  const user = interaction.options.getUser("user");
+  const channel = interaction.options.getChannel("channel");
+  const type = interaction.options.getString("type");
+  const sinceText = interaction.options.getString("since");
+  const untilText = interaction.options.getString("until");
+  const format = interaction.options.getString("export");
+
+  const since = parseDate(sinceText);
+  const until = parseDate(untilText, true);
+  if (since === null || until === null) {
+    await reply(interaction, "❌ Dates must look like `2024-05-31` (UTC).");
+    return;
+  }
+
+  // Exports can be large
+  await interaction.deferReply({ ephemeral: true });
+
+  const events = await findEvents(interaction.guildId, {
+    userId: user?.id,
+    channelId: channel?.id,
+    type,
+    since,
+    until,
+    limit: format ? MAX_EXPORTED_EVENTS : LISTED_EVENTS + 1,
+  });
+  const filters = { user, channel, type, since: sinceText, until: untilText };
+
+  if (events.length === 0) {
+    await interaction.editReply(`ℹ️ No events match (filters: ${describeFilters(filters)}).`);
+    return;
+  }
+
+  // Keep within Discord's 2000-character message limit
+  const lines = [];
+  for (const event of events.slice(0, LISTED_EVENTS)) {
+    const line = describeEvent(event).slice(0, 300);
+    if ([...lines, line].join("\n").length > 1700) break;
+    lines.push(line);
+  }
+  const more = events.length > lines.length;
+
+  await interaction.editReply({
+    content:
+      `**History** (filters: ${describeFilters(filters)})\n${lines.join("\n")}` +
+      (more && !format ? "\n…and more. Narrow the filters or use `export` to get everything." : "") +
+      (format && events.length >= MAX_EXPORTED_EVENTS
+        ? `\n⚠️ The export stops at the newest ${MAX_EXPORTED_EVENTS} events.`
+        : ""),
+    files: format
+      ? [
+          eventsToAttachment(interaction.guildId, events, format, {
+            userId: user?.id ?? null,
+            channelId: channel?.id ?? null,
+            type,
+            since: sinceText,
+            until: untilText,
+          }),
+        ]
+      : [],
+    allowedMentions: { parse: [] },
+  });
+  console.log(
+    `📜 ${interaction.user.tag} searched the history of guild ${interaction.guildId}` +
+      `${format ? ` (exported ${events.length} event(s) as ${format})` : ""}.`
+  );
+};
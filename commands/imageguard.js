@@ -0,0 +1,1766 @@
+import mongoose from "mongoose";
+import {
+  ChannelType,
+  PermissionsBitField,
+  SlashCommandBuilder,
+} from "discord.js";
+import {
+  MAX_POOL_NAME_LENGTH,
+  MAX_THRESHOLD,
+  MIN_THRESHOLD,
+  addPauseWindow,
+  addEscalation,
+  addPenalty,
+  clearPenalties,
+  findMonitoredChannel,
+  getGuildConfig,
+  getMonitoredChannels,
+  maxThreshold,
+  normalizePool,
+  removeEscalation,
+  removeMonitoredChannel,
+  removePauseWindow,
+  removePenalty,
+  removePoolRetention,
+  resetPenalties,
+  saveChannels,
+  setLegacyCommandsEnabled,
+  setLocale,
+  setMonitoredChannel,
+  setDeletedOriginals,
+  setDuplicatePolicy,
+  setReviewMode,
+  setRetention,
+  setHashAlgorithms,
+  setRunning,
+  setSimilarityThreshold,
+  setStrikeDecayDays,
+  setTemplate,
+  setTextChecks,
+  withRetention,
+} from "../services/guildSettings.js";
+import {
+  MAX_TIMEOUT_MINUTES,
+  PENALTY_TYPES,
+  describePenalty,
+  getPenalties,
+} from "../services/penalties.js";
+import { cancelExpiry, listPendingExpiries } from "../services/scheduler.js";
+import { DUPLICATE_POLICIES } from "../services/duplicates.js";
+import { DELETED_ORIGINAL_POLICIES } from "../services/messages.js";
+import {
+  hashSettings,
+  migrateImageAuthors,
+  reindexImages,
+} from "../services/images.js";
+import { countOutdatedImages, startRehash } from "../services/rehash.js";
+import { countPendingReviews } from "../services/reviews.js";
+import {
+  describeRetention,
+  purgeExpiredImages,
+  resetImages,
+} from "../services/retention.js";
+import {
+  MAX_TEMPLATE_LENGTH,
+  TEMPLATES,
+  TEMPLATE_PLACEHOLDERS,
+  templateText,
+  unknownPlaceholders,
+} from "../services/notices.js";
+import {
+  TEXT_CHECK_MODES,
+  describeTextChecks,
+} from "../services/textDuplicates.js";
+import {
+  LISTS,
+  addToList,
+  describeListedImage,
+  fetchReferencedMessage,
+  listListedImages,
+  parseMessageReference,
+  removeFromList,
+} from "../services/imageLists.js";
+import {
+  buildAuditReport,
+  reportToAttachment,
+  reportToEmbed,
+} from "../services/auditReport.js";
+import {
+  cancelBackfill,
+  describeBackfill,
+  findRunningBackfill,
+  listBackfills,
+  startBackfill,
+} from "../services/backfill.js";
+import { DEFAULT_ALGORITHM, HASHERS, getHasher } from "../hashing/index.js";
+import { maxIndexedThreshold } from "../utils/similarity.js";
+import { activePauseWindow, formatWindow, parseTime } from "../utils/schedule.js";
+import { toTimestamp } from "../utils/format.js";
+import { LOCALES, resolveLocale } from "../locales/index.js";
+import { recordEvent } from "../services/auditLog.js";
+
+// -----------------------------------------------------------------------------
+// /imageguard, /imageguard-config, /imageguard-lists: Setup, tuning and lists
+// -----------------------------------------------------------------------------
+
+const TEXT_CHANNEL_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
+const ESCALATION_TYPES = ["timeout", "addRole", "removeRole"];
+const ALGORITHM_CHOICES = Object.entries(HASHERS).map(([value, hasher]) => ({
+  name: value === DEFAULT_ALGORITHM ? `${hasher.name} (default)` : hasher.name,
+  value,
+}));
+
+const templateChoices = () =>
+  Object.entries(TEMPLATES).map(([value, name]) => ({ name, value }));
+
+// allowlist / blocklist share their subcommands
+const listGroup = (group, name, description) =>
+  group
+    .setName(name)
+    .setDescription(description)
+    .addSubcommand((sub) =>
+      sub
+        .setName("add")
+        .setDescription(`Add a post's images to the ${name}.`)
+        .addStringOption((option) =>
+          option.setName("message").setDescription("Message link (or ID of a stored post)")
+        )
+        .addStringOption((option) =>
+          option.setName("record").setDescription("Stored record ID")
+        )
+        .addStringOption((option) =>
+          option.setName("note").setDescription("Why it's listed").setMaxLength(100)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("remove")
+        .setDescription(`Take a post's images off the ${name}.`)
+        .addStringOption((option) =>
+          option.setName("message").setDescription("Message link or ID")
+        )
+        .addStringOption((option) =>
+          option.setName("record").setDescription(`Record ID from /imageguard-lists ${name} list`)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub.setName("list").setDescription(`Show the ${name}.`)
+    );
+
+const mainData = new SlashCommandBuilder()
+  .setName("imageguard")
+  .setDescription("Set up and run duplicate image detection.")
+  .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator)
+  .setDMPermission(false)
+  .addSubcommand((sub) =>
+    sub
+      .setName("setup")
+      .setDescription("Set the monitored channel and the notification channel.")
+      .addChannelOption((option) =>
+        option
+          .setName("monitor")
+          .setDescription("Channel where images are posted and checked.")
+          .addChannelTypes(...TEXT_CHANNEL_TYPES)
+          .setRequired(true)
+      )
+      .addChannelOption((option) =>
+        option
+          .setName("notify")
+          .setDescription("Channel where the bot reports duplicates.")
+          .addChannelTypes(...TEXT_CHANNEL_TYPES)
+          .setRequired(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub.setName("start").setDescription("Turn duplicate checking on.")
+  )
+  .addSubcommand((sub) =>
+    sub.setName("stop").setDescription("Turn duplicate checking off.")
+  )
+  .addSubcommand((sub) =>
+    sub.setName("status").setDescription("Show the current configuration.")
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("channel")
+      .setDescription("Channels whose images are checked.")
+      .addSubcommand((sub) =>
+        sub
+          .setName("add")
+          .setDescription("Monitor a channel, optionally in a named duplicate pool.")
+          .addChannelOption((option) =>
+            option
+              .setName("channel")
+              .setDescription("Channel to monitor")
+              .addChannelTypes(...TEXT_CHANNEL_TYPES)
+              .setRequired(true)
+          )
+          .addStringOption((option) =>
+            option
+              .setName("pool")
+              .setDescription("Duplicate pool to compare within (default: whole server)")
+              .setMaxLength(MAX_POOL_NAME_LENGTH)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("remove")
+          .setDescription("Stop monitoring a channel.")
+          .addChannelOption((option) =>
+            option
+              .setName("channel")
+              .setDescription("Channel to stop monitoring")
+              .addChannelTypes(...TEXT_CHANNEL_TYPES)
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub.setName("list").setDescription("List monitored channels and their pools.")
+      )
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("schedule")
+      .setDescription("Daily windows (UTC) during which checking is paused.")
+      .addSubcommand((sub) =>
+        sub
+          .setName("add")
+          .setDescription("Pause checking every day between two UTC times.")
+          .addStringOption((option) =>
+            option
+              .setName("start")
+              .setDescription("Start time in UTC, e.g. 18:00")
+              .setRequired(true)
+          )
+          .addStringOption((option) =>
+            option
+              .setName("end")
+              .setDescription("End time in UTC, e.g. 19:00")
+              .setRequired(true)
+          )
+          .addStringOption((option) =>
+            option
+              .setName("label")
+              .setDescription("What the pause is for, e.g. event setup")
+              .setMaxLength(100)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("remove")
+          .setDescription("Remove a pause window.")
+          .addIntegerOption((option) =>
+            option
+              .setName("number")
+              .setDescription("Window number as shown by /imageguard schedule list")
+              .setMinValue(1)
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub.setName("list").setDescription("List the pause windows.")
+      )
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("expirations")
+      .setDescription("Timed penalties waiting to be reverted.")
+      .addSubcommand((sub) =>
+        sub
+          .setName("list")
+          .setDescription("List pending expirations.")
+          .addUserOption((option) =>
+            option.setName("user").setDescription("Only show this member")
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("cancel")
+          .setDescription("Cancel a pending expiration.")
+          .addStringOption((option) =>
+            option
+              .setName("id")
+              .setDescription("Job ID as shown by /imageguard expirations list")
+              .setRequired(true)
+          )
+          .addBooleanOption((option) =>
+            option
+              .setName("revert")
+              .setDescription("Lift the penalty now (default: keep it)")
+          )
+      )
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("backfill")
+      .setDescription("Hash images already posted in a monitored channel.")
+      .addSubcommand((sub) =>
+        sub
+          .setName("start")
+          .setDescription("Scan a monitored channel's history, newest first.")
+          .addChannelOption((option) =>
+            option
+              .setName("channel")
+              .setDescription("Monitored channel to scan")
+              .addChannelTypes(...TEXT_CHANNEL_TYPES)
+              .setRequired(true)
+          )
+          .addIntegerOption((option) =>
+            option
+              .setName("limit")
+              .setDescription("Stop after this many messages (default: whole history)")
+              .setMinValue(1)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("cancel")
+          .setDescription("Stop a running scan.")
+          .addChannelOption((option) =>
+            option
+              .setName("channel")
+              .setDescription("Channel being scanned")
+              .addChannelTypes(...TEXT_CHANNEL_TYPES)
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub.setName("status").setDescription("Show recent scans.")
+      )
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("retention")
+      .setDescription("Forget stored images after a while or for a new season.")
+      .addSubcommand((sub) =>
+        sub
+          .setName("set")
+          .setDescription("Forget images a number of days after they were posted.")
+          .addIntegerOption((option) =>
+            option
+              .setName("days")
+              .setDescription("Days to keep images (0 = forever)")
+              .setMinValue(0)
+              .setRequired(true)
+          )
+          .addStringOption((option) =>
+            option
+              .setName("pool")
+              .setDescription("Only for this pool (default: the rest of the server)")
+              .setMaxLength(MAX_POOL_NAME_LENGTH)
+          )
+          .addBooleanOption((option) =>
+            option
+              .setName("dry-run")
+              .setDescription("Only count what would be forgotten")
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("remove")
+          .setDescription("Let a pool use the server's retention again.")
+          .addStringOption((option) =>
+            option
+              .setName("pool")
+              .setDescription("Pool with its own retention")
+              .setMaxLength(MAX_POOL_NAME_LENGTH)
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("reset")
+          .setDescription("Forget every stored image now (lists are kept).")
+          .addStringOption((option) =>
+            option
+              .setName("pool")
+              .setDescription("Only this pool (default: the whole server)")
+              .setMaxLength(MAX_POOL_NAME_LENGTH)
+          )
+          .addBooleanOption((option) =>
+            option
+              .setName("dry-run")
+              .setDescription("Only count what would be forgotten")
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("status")
+          .setDescription("Show retention settings and expired image counts.")
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName("migrate-authors")
+      .setDescription("Look up authors of older stored images.")
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName("audit")
+      .setDescription("Report clusters of similar stored images (no penalties).")
+      .addIntegerOption((option) =>
+        option
+          .setName("threshold")
+          .setDescription("Max bits apart (default: the server's threshold)")
+          .setMinValue(MIN_THRESHOLD)
+          .setMaxValue(MAX_THRESHOLD)
+      )
+      .addStringOption((option) =>
+        option
+          .setName("pool")
+          .setDescription("Only audit this pool (default: the whole server)")
+          .setMaxLength(MAX_POOL_NAME_LENGTH)
+      )
+      .addStringOption((option) =>
+        option
+          .setName("format")
+          .setDescription("Attachment format (default: CSV)")
+          .addChoices(
+            { name: "CSV", value: "csv" },
+            { name: "JSON", value: "json" }
+          )
+      )
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("template")
+      .setDescription("Reword the duplicate DMs and notices.")
+      .addSubcommand((sub) =>
+        sub
+          .setName("set")
+          .setDescription("Reword a notice; placeholders like {user} are filled in.")
+          .addStringOption((option) =>
+            option
+              .setName("notice")
+              .setDescription("Which notice to reword")
+              .addChoices(templateChoices())
+              .setRequired(true)
+          )
+          .addStringOption((option) =>
+            option
+              .setName("text")
+              .setDescription("New text (see template show for placeholders)")
+              .setMaxLength(MAX_TEMPLATE_LENGTH)
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("reset")
+          .setDescription("Go back to the default text of a notice.")
+          .addStringOption((option) =>
+            option
+              .setName("notice")
+              .setDescription("Which notice to reset")
+              .addChoices(templateChoices())
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub.setName("show").setDescription("Show the current wording and placeholders.")
+      )
+  );
+
+const configData = new SlashCommandBuilder()
+  .setName("imageguard-config")
+  .setDescription("Tune how duplicates are found and handled.")
+  .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator)
+  .setDMPermission(false)
+  .addSubcommand((sub) =>
+    sub
+      .setName("threshold")
+      .setDescription("Set how many bits image hashes may differ by.")
+      .addIntegerOption((option) =>
+        option
+          .setName("bits")
+          .setDescription("Hamming distance (0 = exact matches only).")
+          .setMinValue(MIN_THRESHOLD)
+          .setMaxValue(MAX_THRESHOLD)
+          .setRequired(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName("hash")
+      .setDescription("Choose how images are hashed.")
+      .addStringOption((option) =>
+        option
+          .setName("algorithm")
+          .setDescription("Hash used to find duplicates.")
+          .addChoices(...ALGORITHM_CHOICES)
+          .setRequired(true)
+      )
+      .addStringOption((option) =>
+        option
+          .setName("confirm")
+          .setDescription("Second hash a match must also pass (default: none)")
+          .addChoices({ name: "None", value: "none" }, ...ALGORITHM_CHOICES)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName("rehash")
+      .setDescription("Retry re-hashing stored images.")
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName("text")
+      .setDescription("Also catch reposted file names or text.")
+      .addStringOption((option) =>
+        option
+          .setName("mode")
+          .setDescription("Compare message and attachment text.")
+          .addChoices(
+            ...Object.entries(TEXT_CHECK_MODES).map(([value, name]) => ({
+              name,
+              value,
+            }))
+          )
+      )
+      .addBooleanOption((option) =>
+        option
+          .setName("filenames")
+          .setDescription("Flag reused attachment file names.")
+      )
+      .addIntegerOption((option) =>
+        option
+          .setName("similarity")
+          .setDescription("Shared text in percent for similar mode (default 80)")
+          .setMinValue(50)
+          .setMaxValue(100)
+      )
+      .addIntegerOption((option) =>
+        option
+          .setName("min-length")
+          .setDescription("Skip shorter texts (default 100 characters)")
+          .setMinValue(10)
+          .setMaxValue(4000)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName("policy")
+      .setDescription("Choose which duplicates are penalized.")
+      .addStringOption((option) =>
+        option
+          .setName("mode")
+          .setDescription("Which duplicates to penalize")
+          .addChoices(
+            ...Object.entries(DUPLICATE_POLICIES).map(([value, name]) => ({
+              name,
+              value,
+            }))
+          )
+          .setRequired(true)
+      )
+      .addIntegerOption((option) =>
+        option
+          .setName("window-hours")
+          .setDescription("Own reposts: only within this many hours (default 24)")
+          .setMinValue(1)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName("deleted-originals")
+      .setDescription("What happens to images of deleted originals.")
+      .addStringOption((option) =>
+        option
+          .setName("mode")
+          .setDescription("What to do with the deleted post's images")
+          .addChoices(
+            ...Object.entries(DELETED_ORIGINAL_POLICIES).map(([value, name]) => ({
+              name,
+              value,
+            }))
+          )
+          .setRequired(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName("review")
+      .setDescription("Hold duplicates for a moderator's approval.")
+      .addBooleanOption((option) =>
+        option
+          .setName("enabled")
+          .setDescription("Whether duplicates wait for review.")
+          .setRequired(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName("language")
+      .setDescription("Language of member DMs and duplicate notices.")
+      .addStringOption((option) =>
+        option
+          .setName("locale")
+          .setDescription("Language to use")
+          .addChoices(
+            { name: "Server language (default)", value: "auto" },
+            ...Object.entries(LOCALES).map(([value, { name }]) => ({ name, value }))
+          )
+          .setRequired(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName("legacy")
+      .setDescription("Allow or block the old ! text commands.")
+      .addBooleanOption((option) =>
+        option
+          .setName("enabled")
+          .setDescription("Whether text commands are accepted.")
+          .setRequired(true)
+      )
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("penalty")
+      .setDescription("Actions taken against members who post duplicates.")
+      .addSubcommand((sub) =>
+        sub
+          .setName("add")
+          .setDescription("Append an action to the penalty pipeline.")
+          .addStringOption((option) =>
+            option
+              .setName("type")
+              .setDescription("What to do")
+              .addChoices(
+                ...Object.entries(PENALTY_TYPES).map(([value, name]) => ({
+                  name,
+                  value,
+                }))
+              )
+              .setRequired(true)
+          )
+          .addRoleOption((option) =>
+            option
+              .setName("role")
+              .setDescription("Role to add or remove (role actions only)")
+          )
+          .addIntegerOption((option) =>
+            option
+              .setName("duration")
+              .setDescription("Minutes to keep an added role or the timeout")
+              .setMinValue(1)
+              .setMaxValue(MAX_TIMEOUT_MINUTES)
+          )
+          .addIntegerOption((option) =>
+            option
+              .setName("after-strikes")
+              .setDescription("Only run from this many strikes on (default 1)")
+              .setMinValue(1)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("remove")
+          .setDescription("Remove an action from the penalty pipeline.")
+          .addIntegerOption((option) =>
+            option
+              .setName("number")
+              .setDescription("Action number as shown by /imageguard-config penalty list")
+              .setMinValue(1)
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub.setName("list").setDescription("List the penalty pipeline in order.")
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("clear")
+          .setDescription("Remove every action; duplicates are only reported.")
+      )
+      .addSubcommand((sub) =>
+        sub.setName("reset").setDescription("Restore the default penalty pipeline.")
+      )
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("escalation")
+      .setDescription("Harsher actions for repeat offenders.")
+      .addSubcommand((sub) =>
+        sub
+          .setName("add")
+          .setDescription("Add a rule: N strikes within D days => action.")
+          .addIntegerOption((option) =>
+            option
+              .setName("strikes")
+              .setDescription("Number of active strikes that triggers the rule")
+              .setMinValue(2)
+              .setRequired(true)
+          )
+          .addStringOption((option) =>
+            option
+              .setName("type")
+              .setDescription("What to do")
+              .addChoices(
+                ...ESCALATION_TYPES.map((value) => ({
+                  name: PENALTY_TYPES[value],
+                  value,
+                }))
+              )
+              .setRequired(true)
+          )
+          .addIntegerOption((option) =>
+            option
+              .setName("days")
+              .setDescription("Count strikes of the last D days (default: all active)")
+              .setMinValue(1)
+          )
+          .addRoleOption((option) =>
+            option
+              .setName("role")
+              .setDescription("Role to add or remove (role actions only)")
+          )
+          .addIntegerOption((option) =>
+            option
+              .setName("duration")
+              .setDescription("Minutes to keep the role change or the timeout")
+              .setMinValue(1)
+              .setMaxValue(MAX_TIMEOUT_MINUTES)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("remove")
+          .setDescription("Remove an escalation rule.")
+          .addIntegerOption((option) =>
+            option
+              .setName("number")
+              .setDescription("Rule number as shown by /imageguard-config escalation list")
+              .setMinValue(1)
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub.setName("list").setDescription("List escalation rules and strike decay.")
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("decay")
+          .setDescription("Set after how many days strikes stop counting.")
+          .addIntegerOption((option) =>
+            option
+              .setName("days")
+              .setDescription("Days until a strike decays (0 = never)")
+              .setMinValue(0)
+              .setRequired(true)
+          )
+      )
+  );
+
+const listsData = new SlashCommandBuilder()
+  .setName("imageguard-lists")
+  .setDescription("Images that are always allowed or always removed.")
+  .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator)
+  .setDMPermission(false)
+  .addSubcommandGroup((group) =>
+    listGroup(group, "allowlist", "Images everyone may post, like templates.")
+  )
+  .addSubcommandGroup((group) =>
+    listGroup(group, "blocklist", "Banned images, removed whenever they are posted.")
+  );
+
+const reply = (interaction, content) =>
+  interaction.reply({ content, ephemeral: true });
+
+// ---------------------------------------
+//  Subcommand Handlers
+// ---------------------------------------
+
+const handleSetup = async (interaction) => {
+  const monitor = interaction.options.getChannel("monitor", true);
+  const notify = interaction.options.getChannel("notify", true);
+
+  await saveChannels(interaction.guildId, monitor.id, notify.id);
+
+  await reply(
+    interaction,
+    `✅ Configuration saved. Monitoring only ${monitor} and reporting to ${notify}. ` +
+      "Monitor more channels with `/imageguard channel add`."
+  );
+  console.log(`✅ Setup completed for guild: ${interaction.guildId}`);
+};
+
+const handleStart = async (interaction) => {
+  await setRunning(interaction.guildId, true, interaction.user.id);
+  await reply(interaction, "✅ The bot is now running.");
+  console.log(`✅ Bot started in guild ${interaction.guildId}.`);
+};
+
+const handleStop = async (interaction) => {
+  await setRunning(interaction.guildId, false, interaction.user.id);
+  await reply(interaction, "🛑 The bot has been stopped.");
+  console.log(`🛑 Bot stopped in guild ${interaction.guildId}.`);
+};
+
+const describeChannel = (channel) =>
+  `<#${channel.channelId}> — ${channel.pool ? `pool \`${channel.pool}\`` : "whole server"}`;
+
+const listChannels = (guildConfig) => {
+  const channels = getMonitoredChannels(guildConfig);
+  return channels.length > 0
+    ? channels.map(describeChannel).join("\n")
+    : "None";
+};
+
+const handleChannelAdd = async (interaction) => {
+  const channel = interaction.options.getChannel("channel", true);
+  const pool = interaction.options.getString("pool");
+
+  const guildConfig = await setMonitoredChannel(interaction.guildId, channel.id, pool);
+
+  await reply(
+    interaction,
+    `✅ Monitoring ${channel}.\n\n**Monitored channels:**\n${listChannels(guildConfig)}`
+  );
+  console.log(`✅ Monitoring channel ${channel.id} in guild ${interaction.guildId}.`);
+};
+
+const handleChannelRemove = async (interaction) => {
+  const channel = interaction.options.getChannel("channel", true);
+
+  const removed = await removeMonitoredChannel(interaction.guildId, channel.id);
+  await reply(
+    interaction,
+    removed ? `✅ No longer monitoring ${channel}.` : `❌ ${channel} is not monitored.`
+  );
+};
+
+const handleChannelList = async (interaction, guildConfig) => {
+  await reply(interaction, `**Monitored channels:**\n${listChannels(guildConfig)}`);
+};
+
+const describeState = (guildConfig) => {
+  if (!guildConfig.running) {
+    const by = guildConfig.pausedBy ? ` by <@${guildConfig.pausedBy}>` : "";
+    const at = guildConfig.pausedAt ? ` ${toTimestamp(guildConfig.pausedAt)}` : "";
+    return `🛑 stopped${by}${at}`;
+  }
+
+  const window = activePauseWindow(guildConfig.pauseWindows);
+  return window ? `⏸️ paused by schedule (${formatWindow(window)})` : "✅ running";
+};
+
+const listWindows = (guildConfig) =>
+  guildConfig.pauseWindows.length > 0
+    ? guildConfig.pauseWindows
+        .map((window, index) => `${index + 1}. ${formatWindow(window)}`)
+        .join("\n")
+    : "None";
+
+const listPenalties = (guildConfig) => {
+  const penalties = getPenalties(guildConfig);
+  return penalties.length > 0
+    ? penalties
+        .map((action, index) => `${index + 1}. ${describePenalty(action)}`)
+        .join("\n")
+    : "None (duplicates are only reported)";
+};
+
+const describeHashing = (guildConfig) => {
+  const { algorithm, confirmAlgorithm } = hashSettings(guildConfig);
+  return (
+    getHasher(algorithm).label +
+    (confirmAlgorithm ? `, confirmed by ${getHasher(confirmAlgorithm).label}` : "")
+  );
+};
+
+const handleStatus = async (interaction, guildConfig) => {
+  await reply(
+    interaction,
+    [
+      `**State:** ${describeState(guildConfig)}`,
+      `**Monitored channels:**\n${listChannels(guildConfig)}`,
+      `**Notification channel:** <#${guildConfig.botCommandChannelId}>`,
+      `**Similarity threshold:** ${guildConfig.similarityThreshold} bit(s)`,
+      `**Hashing:** ${describeHashing(guildConfig)}`,
+      `**Text checks:** ${describeTextChecks(guildConfig)}`,
+      `**Penalizing:** ${describePolicy(guildConfig)}`,
+      `**Deleted originals:** ${DELETED_ORIGINAL_POLICIES[guildConfig.deletedOriginals]}`,
+      `**Retention:** ${describeRetention(guildConfig)}`,
+      `**Review mode:** ${await describeReviewMode(guildConfig)}`,
+      `**Language:** ${describeLanguage(guildConfig, interaction.guild)}`,
+      `**Text commands:** ${guildConfig.legacyCommandsEnabled ? "enabled" : "disabled"}`,
+      `**Pause windows:**\n${listWindows(guildConfig)}`,
+      `**Penalties${guildConfig.penalties ? "" : " (default)"}:**\n${listPenalties(guildConfig)}`,
+      `**Escalation:**\n${listEscalations(guildConfig)}`,
+    ].join("\n")
+  );
+};
+
+const handleScheduleAdd = async (interaction) => {
+  const start = interaction.options.getString("start", true).trim();
+  const end = interaction.options.getString("end", true).trim();
+  const label = interaction.options.getString("label") ?? undefined;
+
+  if (parseTime(start) === null || parseTime(end) === null) {
+    await reply(interaction, "❌ Times must be in 24-hour `HH:MM` format (UTC).");
+    return;
+  }
+  if (parseTime(start) === parseTime(end)) {
+    await reply(interaction, "❌ Start and end time must differ.");
+    return;
+  }
+
+  const window = { start, end, label };
+  await addPauseWindow(interaction.guildId, window);
+
+  await reply(interaction, `✅ Checking will pause daily ${formatWindow(window)}.`);
+  console.log(
+    `✅ Added pause window ${start}-${end} for guild ${interaction.guildId}.`
+  );
+};
+
+const handleScheduleRemove = async (interaction) => {
+  const number = interaction.options.getInteger("number", true);
+
+  const removed = await removePauseWindow(interaction.guildId, number - 1);
+  if (!removed) {
+    await reply(interaction, `❌ There is no pause window #${number}.`);
+    return;
+  }
+
+  await reply(interaction, `✅ Removed pause window ${formatWindow(removed)}.`);
+};
+
+const handleScheduleList = async (interaction, guildConfig) => {
+  await reply(interaction, `**Pause windows:**\n${listWindows(guildConfig)}`);
+};
+
+// Option limits are fixed per command, but the most bits depends on the hash
+const rejectLongThreshold = async (interaction, guildConfig, bits) => {
+  const max = maxThreshold(guildConfig.hashAlgorithm);
+  if (bits <= max) return false;
+
+  await reply(interaction, `❌ The server's hash is ${max} bits long; pick at most ${max}.`);
+  return true;
+};
+
+const handleThreshold = async (interaction, guildConfig) => {
+  const bits = interaction.options.getInteger("bits", true);
+  if (await rejectLongThreshold(interaction, guildConfig, bits)) return;
+
+  const updated = await setSimilarityThreshold(interaction.guildId, bits);
+  const settings = hashSettings(updated);
+
+  await reply(
+    interaction,
+    `✅ Similarity threshold set to ${bits} bit(s).` +
+      (settings.threshold > maxIndexedThreshold(settings.bits)
+        ? " ⚠️ Values this high disable the hash index and scan every stored image."
+        : "")
+  );
+  console.log(
+    `✅ Similarity threshold for guild ${interaction.guildId} set to ${bits}.`
+  );
+  // After the reply, as re-indexing a large server takes a while
+  await reindexImages(updated);
+};
+
+const handleHash = async (interaction, guildConfig) => {
+  const hashAlgorithm = interaction.options.getString("algorithm", true);
+  const confirm = interaction.options.getString("confirm") ?? "none";
+  const confirmAlgorithm =
+    confirm === "none" || confirm === hashAlgorithm ? null : confirm;
+
+  // Keep the same relative sensitivity when the hash length changes
+  const previous = getHasher(guildConfig.hashAlgorithm ?? DEFAULT_ALGORITHM);
+  const similarityThreshold = Math.min(
+    maxThreshold(hashAlgorithm),
+    Math.round(
+      (guildConfig.similarityThreshold * getHasher(hashAlgorithm).bits) /
+        previous.bits
+    )
+  );
+
+  const updated = await setHashAlgorithms(interaction.guildId, {
+    hashAlgorithm,
+    confirmAlgorithm,
+    similarityThreshold,
+  });
+  // Stored images only match once they're re-hashed with the new algorithms
+  const outdated = await countOutdatedImages(interaction.guildId, updated);
+  let rehashNote = "";
+  if (outdated > 0 && startRehash(interaction.client, interaction.guild, updated)) {
+    rehashNote =
+      `\n🔄 Re-hashing ${outdated} stored image(s) with the new algorithms; progress is ` +
+      `posted in <#${updated.botCommandChannelId}>. Reposts of images that aren't ` +
+      "re-hashed yet aren't caught until then.";
+  } else if (outdated > 0) {
+    rehashNote =
+      `\n⚠️ ${outdated} stored image(s) use other algorithms, but an earlier re-hash is ` +
+      "still running. Run `/imageguard-config rehash` once it has finished.";
+  }
+
+  await reply(
+    interaction,
+    `✅ Hashing set to ${describeHashing(updated)}. ` +
+      `Similarity threshold is now ${similarityThreshold} bit(s).` +
+      rehashNote
+  );
+  console.log(
+    `✅ Hashing for guild ${interaction.guildId} set to ${hashAlgorithm}` +
+      `${confirmAlgorithm ? ` + ${confirmAlgorithm}` : ""}.`
+  );
+  // Images already hashed with the new algorithm were indexed for the old threshold
+  await reindexImages(updated);
+};
+
+const handleText = async (interaction) => {
+  const changes = Object.fromEntries(
+    [
+      ["textCheck", interaction.options.getString("mode")],
+      ["filenameCheck", interaction.options.getBoolean("filenames")],
+      ["textSimilarity", interaction.options.getInteger("similarity")],
+      ["minTextLength", interaction.options.getInteger("min-length")],
+    ].filter(([, value]) => value !== null)
+  );
+
+  const updated = await setTextChecks(interaction.guildId, changes);
+
+  await reply(interaction, `✅ Text checks: ${describeTextChecks(updated)}.`);
+  console.log(
+    `✅ Text checks for guild ${interaction.guildId}: ${describeTextChecks(updated)}.`
+  );
+};
+
+const handleRehash = async (interaction, guildConfig) => {
+  const outdated = await countOutdatedImages(interaction.guildId, guildConfig);
+  if (outdated === 0) {
+    await reply(interaction, "✅ Every stored image already uses the current algorithms.");
+    return;
+  }
+
+  if (!startRehash(interaction.client, interaction.guild, guildConfig)) {
+    await reply(interaction, "❌ A re-hash is already running for this server.");
+    return;
+  }
+
+  await reply(
+    interaction,
+    `🔄 Re-hashing ${outdated} stored image(s). Progress is posted in ` +
+      `<#${guildConfig.botCommandChannelId}>.`
+  );
+};
+
+const handlePenaltyAdd = async (interaction) => {
+  const type = interaction.options.getString("type", true);
+  const role = interaction.options.getRole("role");
+  const durationMinutes = interaction.options.getInteger("duration") ?? undefined;
+  const afterStrikes = interaction.options.getInteger("after-strikes") ?? 1;
+
+  if ((type === "addRole" || type === "removeRole") && !role) {
+    await reply(interaction, "❌ Role actions need the `role` option.");
+    return;
+  }
+  if (type === "timeout" && !durationMinutes) {
+    await reply(interaction, "❌ Timeouts need the `duration` option.");
+    return;
+  }
+
+  const action = {
+    type,
+    roleId: role?.id,
+    durationMinutes,
+    afterStrikes,
+  };
+  const guildConfig = await addPenalty(interaction.guildId, action);
+
+  await reply(
+    interaction,
+    `✅ Added: ${describePenalty(action)}\n\n**Penalties:**\n${listPenalties(guildConfig)}`
+  );
+  console.log(`✅ Added "${type}" penalty for guild ${interaction.guildId}.`);
+};
+
+const handlePenaltyRemove = async (interaction) => {
+  const number = interaction.options.getInteger("number", true);
+
+  const removed = await removePenalty(interaction.guildId, number - 1);
+  if (!removed) {
+    await reply(interaction, `❌ There is no penalty action #${number}.`);
+    return;
+  }
+
+  await reply(interaction, `✅ Removed: ${describePenalty(removed)}`);
+};
+
+const handlePenaltyList = async (interaction, guildConfig) => {
+  await reply(interaction, `**Penalties:**\n${listPenalties(guildConfig)}`);
+};
+
+const handlePenaltyClear = async (interaction) => {
+  await clearPenalties(interaction.guildId);
+  await reply(
+    interaction,
+    "✅ Penalty pipeline cleared. Duplicates will only be reported."
+  );
+};
+
+const handlePenaltyReset = async (interaction) => {
+  const guildConfig = await resetPenalties(interaction.guildId);
+  await reply(
+    interaction,
+    `✅ Restored the default penalties:\n${listPenalties(guildConfig)}`
+  );
+};
+
+const describeEscalation = (rule) =>
+  `${rule.strikes}+ strikes${rule.windowDays ? ` within ${rule.windowDays} day(s)` : ""} → ${describePenalty(rule)}`;
+
+const listEscalations = (guildConfig) =>
+  [
+    guildConfig.escalations.length > 0
+      ? guildConfig.escalations
+          .map((rule, index) => `${index + 1}. ${describeEscalation(rule)}`)
+          .join("\n")
+      : "No escalation rules.",
+    `Strikes decay ${guildConfig.strikeDecayDays ? `after ${guildConfig.strikeDecayDays} day(s)` : "never"}.`,
+  ].join("\n");
+
+const handleEscalationAdd = async (interaction) => {
+  const strikes = interaction.options.getInteger("strikes", true);
+  const type = interaction.options.getString("type", true);
+  const windowDays = interaction.options.getInteger("days") ?? undefined;
+  const role = interaction.options.getRole("role");
+  const durationMinutes = interaction.options.getInteger("duration") ?? undefined;
+
+  if (type !== "timeout" && !role) {
+    await reply(interaction, "❌ Role actions need the `role` option.");
+    return;
+  }
+  if (type === "timeout" && !durationMinutes) {
+    await reply(interaction, "❌ Timeouts need the `duration` option.");
+    return;
+  }
+
+  const rule = { strikes, windowDays, type, roleId: role?.id, durationMinutes };
+  const guildConfig = await addEscalation(interaction.guildId, rule);
+
+  await reply(
+    interaction,
+    `✅ Added: ${describeEscalation(rule)}\n\n**Escalation:**\n${listEscalations(guildConfig)}`
+  );
+  console.log(`✅ Added escalation rule for guild ${interaction.guildId}.`);
+};
+
+const handleEscalationRemove = async (interaction) => {
+  const number = interaction.options.getInteger("number", true);
+
+  const removed = await removeEscalation(interaction.guildId, number - 1);
+  if (!removed) {
+    await reply(interaction, `❌ There is no escalation rule #${number}.`);
+    return;
+  }
+
+  await reply(interaction, `✅ Removed: ${describeEscalation(removed)}`);
+};
+
+const handleEscalationList = async (interaction, guildConfig) => {
+  await reply(interaction, `**Escalation:**\n${listEscalations(guildConfig)}`);
+};
+
+const handleEscalationDecay = async (interaction) => {
+  const days = interaction.options.getInteger("days", true);
+
+  await setStrikeDecayDays(interaction.guildId, days);
+
+  await reply(
+    interaction,
+    days > 0
+      ? `✅ Strikes now stop counting after ${days} day(s).`
+      : "✅ Strikes no longer decay."
+  );
+};
+
+const describeExpiry = (job) => {
+  const penalty = {
+    addRole: `<@&${job.roleId}> removed`,
+    removeRole: `<@&${job.roleId}> restored`,
+    timeout: "timeout ends",
+  }[job.type];
+  return `\`${job._id}\` <@${job.userId}>: ${penalty} ${toTimestamp(job.expiresAt)}`;
+};
+
+const handleExpirationsList = async (interaction) => {
+  const user = interaction.options.getUser("user");
+
+  const jobs = await listPendingExpiries(interaction.guildId, user?.id);
+  if (jobs.length === 0) {
+    await reply(interaction, "ℹ️ No pending expirations.");
+    return;
+  }
+
+  // Keep within Discord's 2000-character message limit
+  const lines = jobs.slice(0, 20).map(describeExpiry);
+  if (jobs.length > lines.length) {
+    lines.push(`…and ${jobs.length - lines.length} more.`);
+  }
+  await reply(interaction, `**Pending expirations:**\n${lines.join("\n")}`);
+};
+
+const handleExpirationsCancel = async (interaction) => {
+  const id = interaction.options.getString("id", true).trim();
+  const revertNow = interaction.options.getBoolean("revert") ?? false;
+
+  if (!mongoose.isValidObjectId(id)) {
+    await reply(interaction, "❌ That is not a valid job ID.");
+    return;
+  }
+
+  const job = await cancelExpiry(interaction.client, interaction.guildId, id, revertNow);
+  if (!job) {
+    await reply(interaction, "❌ No pending expiration with that ID.");
+    return;
+  }
+
+  await reply(
+    interaction,
+    revertNow
+      ? `✅ Cancelled and reverted the penalty for <@${job.userId}> now.`
+      : `✅ Cancelled. The penalty for <@${job.userId}> will stay in place.`
+  );
+  console.log(`✅ Cancelled expiry job ${id} in guild ${interaction.guildId}.`);
+};
+
+// Which records a list command targets: { recordId } or { messageId, channelId }
+const listTarget = async (interaction) => {
+  const record = interaction.options.getString("record")?.trim();
+  const message = interaction.options.getString("message");
+
+  if (record) {
+    if (!mongoose.isValidObjectId(record)) {
+      await reply(interaction, "❌ That is not a valid record ID.");
+      return null;
+    }
+    return { recordId: record };
+  }
+  if (message) {
+    const reference = parseMessageReference(message);
+    if (!reference) {
+      await reply(interaction, "❌ Give a message link or message ID.");
+      return null;
+    }
+    return reference;
+  }
+
+  await reply(interaction, "❌ Give either `message` or `record`.");
+  return null;
+};
+
+const listAddHandler = (status) => async (interaction, guildConfig) => {
+  const target = await listTarget(interaction);
+  if (!target) return;
+
+  // Unstored messages are hashed first, which can take a moment
+  await interaction.deferReply({ ephemeral: true });
+
+  const message = target.channelId
+    ? await fetchReferencedMessage(interaction.client, target)
+    : null;
+  const { listed, failed } = await addToList({
+    guildConfig,
+    status,
+    userId: interaction.user.id,
+    note: interaction.options.getString("note") ?? undefined,
+    recordId: target.recordId,
+    messageId: target.messageId,
+    message,
+  });
+
+  await interaction.editReply(
+    (listed > 0
+      ? `✅ Added ${listed} record(s) to the ${LISTS[status]}.`
+      : "❌ Nothing to add: no stored post matches and no images could be read from that message.") +
+      (failed.length > 0 ? ` ${failed.length} image(s) could not be hashed.` : "")
+  );
+  console.log(
+    `✅ ${interaction.user.tag} added ${listed} record(s) to the ${LISTS[status]} in guild ${interaction.guildId}.`
+  );
+};
+
+const listRemoveHandler = (status) => async (interaction) => {
+  const target = await listTarget(interaction);
+  if (!target) return;
+
+  const removed = await removeFromList({
+    guildId: interaction.guildId,
+    status,
+    recordId: target.recordId,
+    messageId: target.messageId,
+  });
+
+  await reply(
+    interaction,
+    removed > 0
+      ? `✅ Took ${removed} record(s) off the ${LISTS[status]}.`
+      : `❌ No listed records match.`
+  );
+};
+
+const listShowHandler = (status) => async (interaction) => {
+  const images = await listListedImages(interaction.guildId, status);
+
+  await reply(
+    interaction,
+    `**${status === "allowed" ? "Allowlist" : "Blocklist"}:**\n` +
+      (images.length > 0 ? images.map(describeListedImage).join("\n") : "Empty")
+  );
+};
+
+const handleBackfillStart = async (interaction, guildConfig) => {
+  const channel = interaction.options.getChannel("channel", true);
+  const messageLimit = interaction.options.getInteger("limit") ?? undefined;
+
+  const monitored = findMonitoredChannel(guildConfig, channel.id);
+  if (!monitored) {
+    await reply(interaction, `❌ ${channel} is not a monitored channel.`);
+    return;
+  }
+  if (await findRunningBackfill(interaction.guildId, channel.id)) {
+    await reply(interaction, `❌ ${channel} is already being scanned.`);
+    return;
+  }
+
+  await startBackfill(interaction.client, {
+    guildId: interaction.guildId,
+    channelId: channel.id,
+    pool: monitored.pool,
+    startedBy: interaction.user.id,
+    messageLimit,
+    progressChannelId: guildConfig.botCommandChannelId ?? interaction.channelId,
+  });
+
+  await reply(
+    interaction,
+    `🔄 Scanning ${channel}. Progress is posted in <#${guildConfig.botCommandChannelId ?? interaction.channelId}>.`
+  );
+};
+
+const handleBackfillCancel = async (interaction) => {
+  const channel = interaction.options.getChannel("channel", true);
+
+  const job = await cancelBackfill(interaction.guildId, channel.id);
+  await reply(
+    interaction,
+    job
+      ? `🛑 Stopping the scan of ${channel} after the current page.`
+      : `❌ ${channel} is not being scanned.`
+  );
+};
+
+const handleBackfillStatus = async (interaction) => {
+  const jobs = await listBackfills(interaction.guildId);
+  await reply(
+    interaction,
+    jobs.length > 0
+      ? jobs.map(describeBackfill).join("\n")
+      : "ℹ️ No scans have been run yet."
+  );
+};
+
+const describePolicy = (guildConfig) =>
+  guildConfig.duplicatePolicy === "sameUser"
+    ? `${DUPLICATE_POLICIES.sameUser} (${guildConfig.sameUserWindowHours}h)`
+    : DUPLICATE_POLICIES[guildConfig.duplicatePolicy];
+
+const handlePolicy = async (interaction) => {
+  const mode = interaction.options.getString("mode", true);
+  const windowHours = interaction.options.getInteger("window-hours");
+
+  const guildConfig = await setDuplicatePolicy(
+    interaction.guildId,
+    mode,
+    windowHours
+  );
+
+  await reply(interaction, `✅ Penalizing: ${describePolicy(guildConfig)}.`);
+  console.log(`✅ Duplicate policy for guild ${interaction.guildId} set to ${mode}.`);
+};
+
+const handleDeletedOriginals = async (interaction) => {
+  const mode = interaction.options.getString("mode", true);
+
+  await setDeletedOriginals(interaction.guildId, mode);
+
+  await reply(
+    interaction,
+    mode === "burned"
+      ? "✅ Images stay on record when their original post is deleted, so reposts are still duplicates."
+      : "✅ Deleting an original post forgets its images; the next post of one becomes the original."
+  );
+  console.log(`✅ Deleted-originals policy for guild ${interaction.guildId} set to ${mode}.`);
+};
+
+// ---------------------------------------
+//  Retention
+// ---------------------------------------
+
+const describeScope = (pool) => (pool ? `pool "${pool}"` : "this server");
+
+const handleRetentionSet = async (interaction, guildConfig) => {
+  const days = interaction.options.getInteger("days", true);
+  const pool = normalizePool(interaction.options.getString("pool"));
+  const dryRun = interaction.options.getBoolean("dry-run") ?? false;
+
+  const retention = withRetention(guildConfig, days, pool);
+  const kept = days > 0 ? `for ${days} day(s) after they were posted` : "forever";
+
+  if (dryRun) {
+    const count = await purgeExpiredImages(interaction.guildId, retention, { dryRun: true });
+    await reply(
+      interaction,
+      `ℹ️ Dry run: keeping images of ${describeScope(pool)} ${kept} would forget ${count} stored image(s) now. Nothing was changed.`
+    );
+    return;
+  }
+
+  await setRetention(interaction.guildId, retention);
+  const purged = await purgeExpiredImages(interaction.guildId, retention);
+
+  await reply(
+    interaction,
+    `✅ Images of ${describeScope(pool)} are kept ${kept}. Forgot ${purged} stored image(s) past that.`
+  );
+  console.log(
+    `✅ Retention for ${describeScope(pool)} in guild ${interaction.guildId} set to ${days} day(s); forgot ${purged} image(s).`
+  );
+};
+
+const handleRetentionRemove = async (interaction) => {
+  const pool = normalizePool(interaction.options.getString("pool", true));
+
+  const guildConfig = pool && (await removePoolRetention(interaction.guildId, pool));
+  if (!guildConfig) {
+    await reply(interaction, `❌ Pool "${pool}" has no retention of its own.`);
+    return;
+  }
+  const purged = await purgeExpiredImages(interaction.guildId, guildConfig);
+
+  await reply(
+    interaction,
+    `✅ Pool "${pool}" now uses the server's retention. Forgot ${purged} stored image(s) past it.`
+  );
+};
+
+const handleRetentionReset = async (interaction) => {
+  // Unlike elsewhere, no pool means every pool rather than only guild-wide images
+  const pool = normalizePool(interaction.options.getString("pool")) ?? undefined;
+  const dryRun = interaction.options.getBoolean("dry-run") ?? false;
+
+  const count = await resetImages(interaction.guildId, { pool, dryRun });
+
+  if (dryRun) {
+    await reply(
+      interaction,
+      `ℹ️ Dry run: a reset would forget ${count} stored image(s) of ${describeScope(pool)}. Nothing was changed.`
+    );
+    return;
+  }
+
+  await reply(
+    interaction,
+    `✅ Forgot ${count} stored image(s) of ${describeScope(pool)}; the next post of each is the new original. Allow- and blocklists are kept.`
+  );
+  console.log(`🧹 Reset ${count} image(s) of ${describeScope(pool)} in guild ${interaction.guildId}.`);
+};
+
+const handleRetentionStatus = async (interaction, guildConfig) => {
+  const expired = await purgeExpiredImages(interaction.guildId, guildConfig, { dryRun: true });
+
+  await reply(
+    interaction,
+    [
+      `**Retention:** ${describeRetention(guildConfig)}`,
+      `**Past retention:** ${expired} stored image(s), forgotten within the hour`,
+    ].join("\n")
+  );
+};
+
+const describeReviewMode = async (guildConfig) => {
+  if (!guildConfig.reviewMode) return "off (duplicates are penalized right away)";
+  const pending = await countPendingReviews(guildConfig.guildId);
+  return `on, ${pending} duplicate(s) waiting`;
+};
+
+const handleReview = async (interaction) => {
+  const enabled = interaction.options.getBoolean("enabled", true);
+
+  const guildConfig = await setReviewMode(interaction.guildId, enabled);
+
+  await reply(
+    interaction,
+    enabled
+      ? `✅ Duplicates now wait for a moderator in <#${guildConfig.botCommandChannelId}>. ` +
+          "Nobody is penalized until someone presses Approve."
+      : "✅ Review mode is off. Duplicates are penalized right away; " +
+          "duplicates already waiting can still be decided."
+  );
+  console.log(`✅ Review mode for guild ${interaction.guildId} set to ${enabled}.`);
+};
+
+const handleMigrateAuthors = async (interaction) => {
+  // Paging through channel history can take a while
+  await interaction.deferReply({ ephemeral: true });
+
+  const { updated, missing } = await migrateImageAuthors(
+    interaction.client,
+    interaction.guildId
+  );
+
+  await interaction.editReply(
+    `✅ Recorded the author of ${updated} image(s).` +
+      (missing > 0
+        ? ` ${missing} image(s) belong to deleted messages and stay without an author.`
+        : "")
+  );
+  console.log(
+    `✅ Migrated authors for guild ${interaction.guildId}: ${updated} updated, ${missing} missing.`
+  );
+};
+
+const handleAudit = async (interaction, guildConfig) => {
+  const threshold =
+    interaction.options.getInteger("threshold") ?? guildConfig.similarityThreshold;
+  if (await rejectLongThreshold(interaction, guildConfig, threshold)) return;
+
+  // An overridden threshold also scales the confirmation threshold. Fields
+  // are copied one by one, as spreading a Mongoose document drops them.
+  const settings = hashSettings({
+    hashAlgorithm: guildConfig.hashAlgorithm,
+    confirmAlgorithm: guildConfig.confirmAlgorithm,
+    similarityThreshold: threshold,
+  });
+  const pool = normalizePool(interaction.options.getString("pool"));
+  const format = interaction.options.getString("format") ?? "csv";
+
+  // Clustering and author lookups can take longer than the 3s reply window
+  await interaction.deferReply({ ephemeral: true });
+
+  const report = await buildAuditReport(interaction.client, interaction.guildId, {
+    settings,
+    pool,
+  });
+
+  await interaction.editReply({
+    embeds: [reportToEmbed(report)],
+    files: report.clusters.length > 0 ? [reportToAttachment(report, format)] : [],
+  });
+  console.log(
+    `📋 Audit report for guild ${interaction.guildId}: ${report.clusters.length} cluster(s).`
+  );
+};
+
+const describeLanguage = (guildConfig, guild) => {
+  const { name } = LOCALES[resolveLocale(guildConfig, guild)];
+  return guildConfig.locale ? name : `${name} (server language)`;
+};
+
+const handleLanguage = async (interaction) => {
+  const locale = interaction.options.getString("locale", true);
+
+  const guildConfig = await setLocale(
+    interaction.guildId,
+    locale === "auto" ? null : locale
+  );
+
+  await reply(
+    interaction,
+    `✅ DMs and duplicate notices are now in ${describeLanguage(guildConfig, interaction.guild)}.`
+  );
+  console.log(`✅ Language for guild ${interaction.guildId} set to ${locale}.`);
+};
+
+const handleTemplateSet = async (interaction) => {
+  const key = interaction.options.getString("notice", true);
+  const text = interaction.options.getString("text", true).trim();
+
+  const unknown = unknownPlaceholders(text);
+  if (unknown.length > 0) {
+    await reply(
+      interaction,
+      `❌ Unknown placeholder(s): ${unknown.map((name) => `\`{${name}}\``).join(", ")}. ` +
+        "See `/imageguard template show` for the ones you can use."
+    );
+    return;
+  }
+
+  await setTemplate(interaction.guildId, key, text);
+  await reply(interaction, `✅ ${TEMPLATES[key]} now reads:\n>>> ${text}`);
+  console.log(`✅ Template ${key} for guild ${interaction.guildId} updated.`);
+};
+
+const handleTemplateReset = async (interaction) => {
+  const key = interaction.options.getString("notice", true);
+
+  const updated = await setTemplate(interaction.guildId, key, null);
+  await reply(
+    interaction,
+    `✅ ${TEMPLATES[key]} is back to the default:\n>>> ` +
+      templateText(updated, resolveLocale(updated, interaction.guild), key)
+  );
+};
+
+const handleTemplateShow = async (interaction, guildConfig) => {
+  const locale = resolveLocale(guildConfig, interaction.guild);
+  const templates = Object.entries(TEMPLATES).map(
+    ([key, name]) =>
+      `**${name}**${guildConfig.templates?.has(key) ? "" : " (default)"}\n` +
+      `> ${templateText(guildConfig, locale, key)}`
+  );
+  const placeholders = Object.entries(TEMPLATE_PLACEHOLDERS).map(
+    ([name, description]) => `\`{${name}}\` ${description}`
+  );
+
+  await reply(
+    interaction,
+    [
+      `**Language:** ${describeLanguage(guildConfig, interaction.guild)}`,
+      ...templates,
+      `**Placeholders:**\n${placeholders.join("\n")}`,
+    ]
+      .join("\n")
+      .slice(0, 2000)
+  );
+};
+
+const handleLegacy = async (interaction) => {
+  const enabled = interaction.options.getBoolean("enabled", true);
+
+  await setLegacyCommandsEnabled(interaction.guildId, enabled);
+
+  await reply(
+    interaction,
+    enabled
+      ? "✅ Text commands (`!setup`, `!startbot`, ...) are enabled."
+      : "✅ Text commands are disabled. Use `/imageguard` instead."
+  );
+};
+
+// Keyed by the command as typed: name, group (if any) and subcommand
+const handlers = {
+  "imageguard start": handleStart,
+  "imageguard stop": handleStop,
+  "imageguard status": handleStatus,
+  "imageguard migrate-authors": handleMigrateAuthors,
+  "imageguard audit": handleAudit,
+  "imageguard channel add": handleChannelAdd,
+  "imageguard channel remove": handleChannelRemove,
+  "imageguard channel list": handleChannelList,
+  "imageguard schedule add": handleScheduleAdd,
+  "imageguard schedule remove": handleScheduleRemove,
+  "imageguard schedule list": handleScheduleList,
+  "imageguard template set": handleTemplateSet,
+  "imageguard template reset": handleTemplateReset,
+  "imageguard template show": handleTemplateShow,
+  "imageguard backfill start": handleBackfillStart,
+  "imageguard backfill cancel": handleBackfillCancel,
+  "imageguard backfill status": handleBackfillStatus,
+  "imageguard expirations list": handleExpirationsList,
+  "imageguard expirations cancel": handleExpirationsCancel,
+  "imageguard retention set": handleRetentionSet,
+  "imageguard retention remove": handleRetentionRemove,
+  "imageguard retention reset": handleRetentionReset,
+  "imageguard retention status": handleRetentionStatus,
+  "imageguard-config threshold": handleThreshold,
+  "imageguard-config hash": handleHash,
+  "imageguard-config rehash": handleRehash,
+  "imageguard-config text": handleText,
+  "imageguard-config policy": handlePolicy,
+  "imageguard-config deleted-originals": handleDeletedOriginals,
+  "imageguard-config review": handleReview,
+  "imageguard-config language": handleLanguage,
+  "imageguard-config legacy": handleLegacy,
+  "imageguard-config penalty add": handlePenaltyAdd,
+  "imageguard-config penalty remove": handlePenaltyRemove,
+  "imageguard-config penalty list": handlePenaltyList,
+  "imageguard-config penalty clear": handlePenaltyClear,
+  "imageguard-config penalty reset": handlePenaltyReset,
+  "imageguard-config escalation add": handleEscalationAdd,
+  "imageguard-config escalation remove": handleEscalationRemove,
+  "imageguard-config escalation list": handleEscalationList,
+  "imageguard-config escalation decay": handleEscalationDecay,
+  "imageguard-lists allowlist add": listAddHandler("allowed"),
+  "imageguard-lists allowlist remove": listRemoveHandler("allowed"),
+  "imageguard-lists allowlist list": listShowHandler("allowed"),
+  "imageguard-lists blocklist add": listAddHandler("blocked"),
+  "imageguard-lists blocklist remove": listRemoveHandler("blocked"),
+  "imageguard-lists blocklist list": listShowHandler("blocked"),
+};
+
+// Commands that only show things and aren't worth an audit event
+const VIEW_SUBCOMMANDS = new Set([
+  "imageguard status",
+  "imageguard audit",
+  "imageguard channel list",
+  "imageguard schedule list",
+  "imageguard-config penalty list",
+  "imageguard-config escalation list",
+  "imageguard-lists allowlist list",
+  "imageguard-lists blocklist list",
+  "imageguard template show",
+  "imageguard backfill status",
+  "imageguard expirations list",
+  "imageguard retention status",
+]);
+
+const eventType = (command) =>
+  command === "imageguard start" || command === "imageguard stop"
+    ? command.split(" ")[1]
+    : command.startsWith("imageguard-lists ")
+      ? "list"
+      : "config";
+
+// Leaf options as { name: value }; users, channels and roles give their ID
+const optionValues = (options) =>
+  Object.fromEntries(
+    options.flatMap((option) =>
+      option.options ? Object.entries(optionValues(option.options)) : [[option.name, option.value]]
+    )
+  );
+
+const recordCommand = (interaction, command) =>
+  recordEvent({
+    guildId: interaction.guildId,
+    type: eventType(command),
+    actorId: interaction.user.id,
+    payload: {
+      command: `/${command}`,
+      options: optionValues(interaction.options.data),
+    },
+  });
+
+const execute = async (interaction) => {
+  const command = [
+    interaction.commandName,
+    interaction.options.getSubcommandGroup(),
+    interaction.options.getSubcommand(),
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  if (command === "imageguard setup") {
+    await handleSetup(interaction);
+    await recordCommand(interaction, command);
+    return;
+  }
+
+  // Everything else needs an existing configuration
+  const guildConfig = await getGuildConfig(interaction.guildId);
+  if (!guildConfig) {
+    await reply(interaction, "❌ Run `/imageguard setup` first.");
+    return;
+  }
+
+  await handlers[command](interaction, guildConfig);
+  if (!VIEW_SUBCOMMANDS.has(command)) await recordCommand(interaction, command);
+};
+
+// Split in three, as Discord caps the size of a single command
+export const imageguard = { data: mainData, execute };
+export const imageguardConfig = { data: configData, execute };
+export const imageguardLists = { data: listsData, execute };
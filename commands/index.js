@@ -0,0 +1,29 @@
+import { Collection } from "discord.js";
+import { imageguard, imageguardConfig, imageguardLists } from "./imageguard.js";
+import * as strikes from "./strikes.js";
+import * as history from "./history.js";
+import { allowImage, blockImage } from "./listImage.js";
+
+// -----------------------------------------------------------------------------
+// COMMAND REGISTRY: Slash commands and message context menus
+// -----------------------------------------------------------------------------
+
+export const commands = new Collection(
+  [
+    imageguard,
+    imageguardConfig,
+    imageguardLists,
+    strikes,
+    history,
+    allowImage,
+    blockImage,
+  ].map((command) => [command.data.name, command])
+);
+
+// Replace the application's global command list with ours
+export const registerCommands = async (client) => {
+  await client.application.commands.set(
+    commands.map((command) => command.data.toJSON())
+  );
+  console.log(`✅ Registered ${commands.size} command(s).`);
+};
@@ -0,0 +1,159 @@
+import { PermissionsBitField } from "discord.js";
+import {
+  MIN_THRESHOLD,
+  findMonitoredChannel,
+  isValidThreshold,
+  maxThreshold,
+  saveChannels,
+  setRunning,
+  setSimilarityThreshold,
+} from "../services/guildSettings.js";
+import { recordEvent } from "../services/auditLog.js";
+import { hashSettings, reindexImages } from "../services/images.js";
+import { maxIndexedThreshold } from "../utils/similarity.js";
+
+// -----------------------------------------------------------------------------
+// LEGACY TEXT COMMANDS (superseded by /imageguard, toggled per guild)
+// -----------------------------------------------------------------------------
+
+const isAdmin = (message) =>
+  message.member.permissions.has(PermissionsBitField.Flags.Administrator);
+
+const recordLegacyCommand = (message, type) =>
+  recordEvent({
+    guildId: message.guild.id,
+    type,
+    actorId: message.author.id,
+    channelId: message.channel.id,
+    messageId: message.id,
+    payload: { command: message.content.slice(0, 200) },
+  });
+
+// ---------------------------------------
+//  Setup Command: "!setup <activeChannelId> <botCommandChannelId>"
+// ---------------------------------------
+const handleSetup = async (message) => {
+  // Must be admin
+  if (!isAdmin(message)) {
+    await message.reply("❌ Only administrators can run this command.");
+    return;
+  }
+
+  const [_, newActiveChannelId, newBotCommandChannelId] =
+    message.content.split(" ");
+
+  if (!newActiveChannelId || !newBotCommandChannelId) {
+    await message.reply(
+      "❌ Usage: `!setup <activeChannelId> <botCommandChannelId>`"
+    );
+    return;
+  }
+
+  await saveChannels(
+    message.guild.id,
+    newActiveChannelId,
+    newBotCommandChannelId
+  );
+
+  await recordLegacyCommand(message, "config");
+  await message.reply("✅ Configuration saved successfully.");
+  console.log(`✅ Setup completed for guild: ${message.guild.id}`);
+};
+
+// ---------------------------------------
+//  Threshold Command: "!threshold [bits]"
+// ---------------------------------------
+const handleThreshold = async (message, guildConfig) => {
+  // Must be admin
+  if (!isAdmin(message)) {
+    await message.reply("❌ Only administrators can run this command.");
+    return;
+  }
+
+  const [, value] = message.content.split(" ");
+
+  // No argument => show the current value
+  if (value === undefined) {
+    await message.reply(
+      `ℹ️ Current similarity threshold: ${guildConfig.similarityThreshold} bit(s).`
+    );
+    return;
+  }
+
+  const threshold = Number(value);
+  if (!isValidThreshold(threshold, guildConfig.hashAlgorithm)) {
+    await message.reply(
+      `❌ Usage: \`!threshold <bits>\` where bits is a whole number from ${MIN_THRESHOLD} to ` +
+        `${maxThreshold(guildConfig.hashAlgorithm)} for the server's hash.`
+    );
+    return;
+  }
+
+  const updated = await setSimilarityThreshold(message.guild.id, threshold);
+  const settings = hashSettings(updated);
+  await recordLegacyCommand(message, "config");
+
+  await message.reply(
+    `✅ Similarity threshold set to ${threshold} bit(s).` +
+      (settings.threshold > maxIndexedThreshold(settings.bits)
+        ? " ⚠️ Values this high disable the hash index and scan every stored image."
+        : "")
+  );
+  console.log(
+    `✅ Similarity threshold for guild ${message.guild.id} set to ${threshold}.`
+  );
+  await reindexImages(updated);
+};
+
+// ---------------------------------------
+//  Start and Stop Bot: "!startbot" / "!stopbot"
+// ---------------------------------------
+const handleStartStop = async (message) => {
+  // Must be admin
+  if (!isAdmin(message)) {
+    await message.reply("❌ You do not have permission to run this command.");
+    return;
+  }
+
+  if (message.content.startsWith("!startbot")) {
+    await setRunning(message.guild.id, true, message.author.id);
+    await recordLegacyCommand(message, "start");
+    await message.reply("✅ The bot is now running.");
+    console.log(`✅ Bot started in guild ${message.guild.id}.`);
+  } else {
+    await setRunning(message.guild.id, false, message.author.id);
+    await recordLegacyCommand(message, "stop");
+    await message.reply("🛑 The bot has been stopped.");
+    console.log(`🛑 Bot stopped in guild ${message.guild.id}.`);
+  }
+};
+
+// Returns true when the message was a text command and has been handled
+export const handleLegacyCommand = async (message, guildConfig) => {
+  if (guildConfig && !guildConfig.legacyCommandsEnabled) return false;
+
+  if (message.content.startsWith("!setup")) {
+    await handleSetup(message);
+    return true;
+  }
+
+  // Everything else needs an existing configuration
+  if (!guildConfig) return false;
+
+  if (message.content.startsWith("!threshold")) {
+    await handleThreshold(message, guildConfig);
+    return true;
+  }
+
+  // Start/stop are only accepted in a monitored channel
+  if (
+    findMonitoredChannel(guildConfig, message.channel.id) &&
+    (message.content.startsWith("!startbot") ||
+      message.content.startsWith("!stopbot"))
+  ) {
+    await handleStartStop(message);
+    return true;
+  }
+
+  return false;
+};
@@ -0,0 +1,64 @@
+import {
+  ApplicationCommandType,
+  ContextMenuCommandBuilder,
+  PermissionsBitField,
+} from "discord.js";
+import { getGuildConfig } from "../services/guildSettings.js";
+import { LISTS, addToList } from "../services/imageLists.js";
+import { recordEvent } from "../services/auditLog.js";
+
+// -----------------------------------------------------------------------------
+// Message context menu: Right-click a post to allowlist or blocklist it
+// -----------------------------------------------------------------------------
+
+const listCommand = (name, status) => ({
+  data: new ContextMenuCommandBuilder()
+    .setName(name)
+    .setType(ApplicationCommandType.Message)
+    .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator)
+    .setDMPermission(false),
+
+  execute: async (interaction) => {
+    const guildConfig = await getGuildConfig(interaction.guildId);
+    if (!guildConfig) {
+      await interaction.reply({
+        content: "❌ Run `/imageguard setup` first.",
+        ephemeral: true,
+      });
+      return;
+    }
+
+    // Unstored messages are hashed first, which can take a moment
+    await interaction.deferReply({ ephemeral: true });
+
+    const { listed, failed } = await addToList({
+      guildConfig,
+      status,
+      userId: interaction.user.id,
+      message: interaction.targetMessage,
+    });
+
+    await recordEvent({
+      guildId: interaction.guildId,
+      type: "list",
+      actorId: interaction.user.id,
+      targetId: interaction.targetMessage.author.id,
+      channelId: interaction.targetMessage.channelId,
+      messageId: interaction.targetMessage.id,
+      payload: { command: name, status, listed },
+    });
+
+    await interaction.editReply(
+      (listed > 0
+        ? `✅ Added ${listed} record(s) from ${interaction.targetMessage.url} to the ${LISTS[status]}.`
+        : "❌ That message has no images to list.") +
+        (failed.length > 0 ? ` ${failed.length} image(s) could not be hashed.` : "")
+    );
+    console.log(
+      `✅ ${interaction.user.tag} added ${listed} record(s) to the ${LISTS[status]} in guild ${interaction.guildId}.`
+    );
+  },
+});
+
+export const allowImage = listCommand("Allowlist images", "allowed");
+export const blockImage = listCommand("Blocklist images", "blocked");
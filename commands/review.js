@@ -0,0 +1,137 @@
+import { PermissionsBitField } from "discord.js";
+import { getGuildConfig } from "../services/guildSettings.js";
+import { penalizeDuplicate } from "../services/duplicates.js";
+import { addToList } from "../services/imageLists.js";
+import { recordEvent } from "../services/auditLog.js";
+import {
+  decideReview,
+  parseReviewButton,
+  recordReviewActions,
+  reviewMessage,
+  reviewedImage,
+} from "../services/reviews.js";
+
+// -----------------------------------------------------------------------------
+// Review buttons: Approve / Reject / Allowlist on queued duplicates
+// -----------------------------------------------------------------------------
+
+const reply = (interaction, content) =>
+  interaction.reply({ content, ephemeral: true });
+
+export const isReviewButton = (interaction) =>
+  interaction.isButton() && parseReviewButton(interaction.customId) !== null;
+
+const fetchPost = async (client, review) => {
+  try {
+    const channel = await client.channels.fetch(review.channelId);
+    return await channel.messages.fetch(review.messageId);
+  } catch (err) {
+    return null;
+  }
+};
+
+// The post may have been deleted while it waited for review. The member is
+// still penalized; deleting the post is then reported as failed.
+const deletedPost = (guild, review, member) => ({
+  id: review.messageId,
+  guild,
+  channel: { id: review.channelId },
+  author: member.user,
+  createdAt: review.createdAt,
+  delete: async () => {
+    throw new Error("The message was already deleted");
+  },
+});
+
+const approve = async (interaction, guildConfig, review) => {
+  // A fetched message only has a member while discord.js has them cached,
+  // and every penalty needs one
+  const member = await interaction.guild.members
+    .fetch(review.authorId)
+    .catch(() => null);
+  if (!member) return "The member has left the server; no action taken.";
+
+  const message =
+    (await fetchPost(interaction.client, review)) ??
+    deletedPost(interaction.guild, review, member);
+  Object.defineProperty(message, "member", { value: member, configurable: true });
+
+  const { strikeCount, escalated, actions } = await penalizeDuplicate({
+    message,
+    guildConfig,
+    existingImage: reviewedImage(review),
+    hash: review.hash,
+    distance: review.distance,
+    transform: review.transform ?? null,
+    kind: review.kind,
+    similarity: review.similarity,
+    approvedBy: interaction.user.id,
+  });
+  return `Strike ${strikeCount}${escalated ? " (escalated)" : ""}. Actions taken: ${actions}.`;
+};
+
+const allowlist = async (interaction, guildConfig, review) => {
+  await addToList({
+    guildConfig,
+    status: "allowed",
+    userId: interaction.user.id,
+    note: "Allowlisted from a duplicate review",
+    recordId: review.imageId,
+  });
+};
+
+export const handleReviewButton = async (interaction) => {
+  const { decision, reviewId } = parseReviewButton(interaction.customId);
+
+  if (!interaction.memberPermissions?.has(PermissionsBitField.Flags.ModerateMembers)) {
+    await reply(interaction, "❌ Only moderators can decide duplicate reviews.");
+    return;
+  }
+
+  const guildConfig = await getGuildConfig(interaction.guildId);
+  if (!guildConfig) {
+    await reply(interaction, "❌ Run `/imageguard setup` first.");
+    return;
+  }
+
+  let review = await decideReview(
+    interaction.guildId,
+    reviewId,
+    decision,
+    interaction.user.id
+  );
+  if (!review) {
+    await reply(interaction, "❌ This duplicate has already been reviewed.");
+    return;
+  }
+
+  // Penalties can take a moment; the review message is updated afterwards
+  await interaction.deferUpdate();
+
+  if (decision === "approve") {
+    review = await recordReviewActions(
+      review,
+      await approve(interaction, guildConfig, review)
+    );
+  } else if (decision === "allowlist") {
+    await allowlist(interaction, guildConfig, review);
+  }
+
+  await interaction.editReply(reviewMessage(review));
+  await recordEvent({
+    guildId: interaction.guildId,
+    type: "review",
+    actorId: interaction.user.id,
+    targetId: review.authorId,
+    channelId: review.channelId,
+    messageId: review.messageId,
+    payload: {
+      reviewId: String(review._id),
+      decision: review.status,
+      originalImageId: review.imageId ? String(review.imageId) : null,
+    },
+  });
+  console.log(
+    `✅ ${interaction.user.tag} marked review ${review._id} as ${review.status} in guild ${interaction.guildId}.`
+  );
+};
@@ -0,0 +1,138 @@
+import mongoose from "mongoose";
+import { PermissionsBitField, SlashCommandBuilder } from "discord.js";
+import { getGuildConfig } from "../services/guildSettings.js";
+import {
+  clearStrikes,
+  countActiveStrikes,
+  listStrikes,
+} from "../services/strikes.js";
+import { recordEvent } from "../services/auditLog.js";
+import { TRANSFORM_LABELS } from "../hashing/index.js";
+import { toTimestamp } from "../utils/format.js";
+
+// -----------------------------------------------------------------------------
+// /strikes: View and forgive a member's duplicate strikes
+// -----------------------------------------------------------------------------
+
+export const data = new SlashCommandBuilder()
+  .setName("strikes")
+  .setDescription("View or clear a member's duplicate-image strikes.")
+  .setDefaultMemberPermissions(PermissionsBitField.Flags.ModerateMembers)
+  .setDMPermission(false)
+  .addSubcommand((sub) =>
+    sub
+      .setName("view")
+      .setDescription("Show a member's strikes.")
+      .addUserOption((option) =>
+        option.setName("user").setDescription("Member to look up").setRequired(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName("clear")
+      .setDescription("Forgive a member's active strikes.")
+      .addUserOption((option) =>
+        option.setName("user").setDescription("Member to forgive").setRequired(true)
+      )
+      .addStringOption((option) =>
+        option
+          .setName("id")
+          .setDescription("Only clear this strike (ID from /strikes view)")
+      )
+  );
+
+const reply = (interaction, content) =>
+  interaction.reply({ content, ephemeral: true });
+
+const describeStrike = (strike) => {
+  const status = strike.clearedAt
+    ? ` ~~cleared by <@${strike.clearedBy}> ${toTimestamp(strike.clearedAt)}~~`
+    : "";
+  const original = strike.originalLink
+    ? `duplicate of [original](${strike.originalLink})`
+    : "duplicate";
+  const distance =
+    strike.distance !== undefined ? `, ${strike.distance} bit(s) apart` : "";
+  const transform = strike.transform ? `, ${TRANSFORM_LABELS[strike.transform]}` : "";
+  const approved = strike.approvedBy ? `, approved by <@${strike.approvedBy}>` : "";
+  return `\`${strike._id}\` ${toTimestamp(strike.createdAt)} — ${original}${distance}${transform}${approved}${status}`;
+};
+
+const handleView = async (interaction, guildConfig) => {
+  const user = interaction.options.getUser("user", true);
+
+  const [strikes, active] = await Promise.all([
+    listStrikes(interaction.guildId, user.id),
+    countActiveStrikes(guildConfig, user.id),
+  ]);
+  if (strikes.length === 0) {
+    await reply(interaction, `ℹ️ ${user} has no strikes.`);
+    return;
+  }
+
+  // Keep within Discord's 2000-character message limit
+  const lines = strikes.slice(0, 10).map(describeStrike);
+  if (strikes.length > lines.length) {
+    lines.push(`…and ${strikes.length - lines.length} older.`);
+  }
+
+  const decay = guildConfig.strikeDecayDays
+    ? ` (strikes decay after ${guildConfig.strikeDecayDays} day(s))`
+    : "";
+  await reply(
+    interaction,
+    `**${user}: ${active} active strike(s)${decay}**\n${lines.join("\n")}`
+  );
+};
+
+const handleClear = async (interaction) => {
+  const user = interaction.options.getUser("user", true);
+  const id = interaction.options.getString("id")?.trim();
+
+  if (id && !mongoose.isValidObjectId(id)) {
+    await reply(interaction, "❌ That is not a valid strike ID.");
+    return;
+  }
+
+  const cleared = await clearStrikes(
+    interaction.guildId,
+    user.id,
+    interaction.user.id,
+    id
+  );
+
+  if (cleared > 0) {
+    await recordEvent({
+      guildId: interaction.guildId,
+      type: "strike",
+      actorId: interaction.user.id,
+      targetId: user.id,
+      payload: { strikeId: id ?? null, cleared },
+    });
+  }
+
+  await reply(
+    interaction,
+    cleared > 0
+      ? `✅ Cleared ${cleared} strike(s) for ${user}.`
+      : `ℹ️ ${user} has no matching active strikes.`
+  );
+  console.log(
+    `✅ ${interaction.user.tag} cleared ${cleared} strike(s) for ${user.tag}.`
+  );
+};
+
+const handlers = {
+  view: handleView,
+  clear: handleClear,
+};
+
+export const execute = async (interaction) => {
+  const guildConfig = await getGuildConfig(interaction.guildId);
+  if (!guildConfig) {
+    await reply(interaction, "❌ Run `/imageguard setup` first.");
+    return;
+  }
+
+  await handlers[interaction.options.getSubcommand()](interaction, guildConfig);
+};
@@ -0,0 +1,19 @@
+// -----------------------------------------------------------------------------
+// BITS: Shared helpers for turning bit arrays into hex hashes
+// -----------------------------------------------------------------------------
+
+export const bitsToHex = (bits) => {
+  const hex = [];
+  for (let i = 0; i < bits.length; i += 4) {
+    hex.push(parseInt(bits.slice(i, i + 4).join(""), 2).toString(16));
+  }
+  return hex.join("");
+};
+
+export const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+};
@@ -0,0 +1,135 @@
+// -----------------------------------------------------------------------------
+// BLOCKHASH: Perceptual hash over raw RGBA pixels
+// -----------------------------------------------------------------------------
+// Port of the "precise" blockhash (bmvbhash) that the image-hash package
+// computed, so hashes stored before this module existed still compare.
+
+import { bitsToHex } from "./bits.js";
+
+const median = (values) => {
+  const sorted = values.slice(0).sort((a, b) => a - b);
+  // Off by one for even lengths, as in image-hash; kept for compatibility
+  if (sorted.length % 2 === 0) {
+    return (sorted[sorted.length / 2] + sorted[sorted.length / 2 + 1]) / 2.0;
+  }
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const blocksToBits = (blocks, pixelsPerBlock) => {
+  const halfBlockValue = (pixelsPerBlock * 256 * 3) / 2;
+  const bandSize = blocks.length / 4;
+
+  // Compare each block with the median of its horizontal band. In images
+  // dominated by black or white many blocks equal the median, so those
+  // become 1 only when the median is in the upper half of the value range.
+  for (let band = 0; band < 4; band++) {
+    const m = median(blocks.slice(band * bandSize, (band + 1) * bandSize));
+    for (let i = band * bandSize; i < (band + 1) * bandSize; i++) {
+      const v = blocks[i];
+      blocks[i] = Number(v > m || (Math.abs(v - m) < 1 && m > halfBlockValue));
+    }
+  }
+  return blocks;
+};
+
+// Fully transparent pixels count as white
+const pixelValue = (data, index) =>
+  data[index + 3] === 0 ? 765 : data[index] + data[index + 1] + data[index + 2];
+
+// Fast path when the image divides evenly into blocks
+const blockhashEven = ({ data, width, height }, bits) => {
+  const blockWidth = Math.floor(width / bits);
+  const blockHeight = Math.floor(height / bits);
+  const blocks = [];
+
+  for (let y = 0; y < bits; y++) {
+    for (let x = 0; x < bits; x++) {
+      let total = 0;
+      for (let iy = 0; iy < blockHeight; iy++) {
+        for (let ix = 0; ix < blockWidth; ix++) {
+          const cx = x * blockWidth + ix;
+          const cy = y * blockHeight + iy;
+          total += pixelValue(data, (cy * width + cx) * 4);
+        }
+      }
+      blocks.push(total);
+    }
+  }
+
+  return bitsToHex(blocksToBits(blocks, blockWidth * blockHeight));
+};
+
+// Hex hash of bits × bits blocks; pixels straddling a block boundary are
+// split between blocks by weight
+export const blockhash = (image, bits = 16) => {
+  const { data, width, height } = image;
+  const evenX = width % bits === 0;
+  const evenY = height % bits === 0;
+  if (evenX && evenY) return blockhashEven(image, bits);
+
+  const blocks = Array.from({ length: bits }, () => new Array(bits).fill(0));
+  const blockWidth = width / bits;
+  const blockHeight = height / bits;
+
+  for (let y = 0; y < height; y++) {
+    let blockTop;
+    let blockBottom;
+    let weightTop;
+    let weightBottom;
+
+    if (evenY) {
+      blockTop = blockBottom = Math.floor(y / blockHeight);
+      weightTop = 1;
+      weightBottom = 0;
+    } else {
+      const yMod = (y + 1) % blockHeight;
+      const yFrac = yMod - Math.floor(yMod);
+      const yInt = yMod - yFrac;
+      weightTop = 1 - yFrac;
+      weightBottom = yFrac;
+
+      // yInt is 0 on the bottom border and on block boundaries
+      if (yInt > 0 || y + 1 === height) {
+        blockTop = blockBottom = Math.floor(y / blockHeight);
+      } else {
+        blockTop = Math.floor(y / blockHeight);
+        blockBottom = Math.ceil(y / blockHeight);
+      }
+    }
+
+    for (let x = 0; x < width; x++) {
+      const value = pixelValue(data, (y * width + x) * 4);
+      let blockLeft;
+      let blockRight;
+      let weightLeft;
+      let weightRight;
+
+      if (evenX) {
+        blockLeft = blockRight = Math.floor(x / blockWidth);
+        weightLeft = 1;
+        weightRight = 0;
+      } else {
+        const xMod = (x + 1) % blockWidth;
+        const xFrac = xMod - Math.floor(xMod);
+        const xInt = xMod - xFrac;
+        weightLeft = 1 - xFrac;
+        weightRight = xFrac;
+
+        // xInt is 0 on the right border and on block boundaries
+        if (xInt > 0 || x + 1 === width) {
+          blockLeft = blockRight = Math.floor(x / blockWidth);
+        } else {
+          blockLeft = Math.floor(x / blockWidth);
+          blockRight = Math.ceil(x / blockWidth);
+        }
+      }
+
+      blocks[blockTop][blockLeft] += value * weightTop * weightLeft;
+      blocks[blockTop][blockRight] += value * weightTop * weightRight;
+      blocks[blockBottom][blockLeft] += value * weightBottom * weightLeft;
+      blocks[blockBottom][blockRight] += value * weightBottom * weightRight;
+    }
+  }
+
+  return bitsToHex(blocksToBits(blocks.flat(), blockWidth * blockHeight));
+};
@@ -0,0 +1,78 @@
+import fetch from "node-fetch";
+import { HASH_ERROR_CODES, HashError } from "./errors.js";
+
+// -----------------------------------------------------------------------------
+// DOWNLOAD: Fetch an image once, with size and time limits
+// -----------------------------------------------------------------------------
+
+export const DEFAULT_MAX_BYTES = 25 * 1024 * 1024;
+export const DEFAULT_TIMEOUT_MS = 15 * 1000;
+
+// Resolves to a Buffer, or rejects with a HashError
+export const downloadImage = async (
+  url,
+  {
+    maxBytes = DEFAULT_MAX_BYTES,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    fetchImpl = fetch,
+  } = {}
+) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    // node-fetch enforces `size` while streaming the body
+    const response = await fetchImpl(url, {
+      signal: controller.signal,
+      size: maxBytes,
+    });
+    if (!response.ok) {
+      throw new HashError(
+        HASH_ERROR_CODES.FETCH_FAILED,
+        `Failed to fetch image: ${response.status} ${response.statusText}`,
+        { url }
+      );
+    }
+
+    const declared = Number(response.headers.get("content-length"));
+    if (declared > maxBytes) {
+      throw new HashError(
+        HASH_ERROR_CODES.TOO_LARGE,
+        `Image is ${declared} bytes, over the ${maxBytes} byte limit`,
+        { url }
+      );
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > maxBytes) {
+      throw new HashError(
+        HASH_ERROR_CODES.TOO_LARGE,
+        `Image is over the ${maxBytes} byte limit`,
+        { url }
+      );
+    }
+    return buffer;
+  } catch (err) {
+    if (err instanceof HashError) throw err;
+    if (err.name === "AbortError") {
+      throw new HashError(
+        HASH_ERROR_CODES.TIMEOUT,
+        `Download timed out after ${timeoutMs} ms`,
+        { url, cause: err }
+      );
+    }
+    if (err.type === "max-size") {
+      throw new HashError(
+        HASH_ERROR_CODES.TOO_LARGE,
+        `Image is over the ${maxBytes} byte limit`,
+        { url, cause: err }
+      );
+    }
+    throw new HashError(HASH_ERROR_CODES.FETCH_FAILED, err.message, {
+      url,
+      cause: err,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+};
@@ -0,0 +1,21 @@
+// -----------------------------------------------------------------------------
+// HASH ERRORS: Why an image could not be hashed
+// -----------------------------------------------------------------------------
+
+export const HASH_ERROR_CODES = {
+  FETCH_FAILED: "FETCH_FAILED",
+  TIMEOUT: "TIMEOUT",
+  TOO_LARGE: "TOO_LARGE",
+  DECODE_FAILED: "DECODE_FAILED",
+  // A video was posted but no decoder is installed
+  UNSUPPORTED: "UNSUPPORTED",
+};
+
+export class HashError extends Error {
+  constructor(code, message, { url, cause } = {}) {
+    super(message, { cause });
+    this.name = "HashError";
+    this.code = code;
+    this.url = url;
+  }
+}
@@ -0,0 +1,149 @@
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import { HASH_ERROR_CODES, HashError } from "./errors.js";
+import { loadImage } from "./hashers.js";
+
+// -----------------------------------------------------------------------------
+// FRAMES: Sample frames from animations and short videos
+// -----------------------------------------------------------------------------
+
+export const MAX_FRAMES = 8;
+
+const FFMPEG_TIMEOUT_MS = 30 * 1000;
+const FRAME_WIDTH = 512;
+
+// Up to `count` indices spread evenly over `total`, always including the first
+const sampleIndices = (total, count) => {
+  if (total <= count) return Array.from({ length: total }, (_, i) => i);
+  return [
+    ...new Set(
+      Array.from({ length: count }, (_, i) =>
+        Math.round((i * (total - 1)) / (count - 1))
+      )
+    ),
+  ];
+};
+
+// Frames of a single colour (fades, black intros) would match each other
+// across unrelated clips, so they're left out
+export const isBlankFrame = async (image) => {
+  const { channels } = await loadImage(image).stats();
+  return channels.slice(0, 3).every((channel) => channel.stdev < 2);
+};
+
+// Number of frames in an animated GIF/WebP (1 for still images). Rejects if
+// sharp can't read the file at all.
+export const countPages = async (buffer) =>
+  (await sharp(buffer).metadata()).pages ?? 1;
+
+// Sampled frames after the first, as decoded RGBA pixels
+export const animationFrames = async (buffer, pages) => {
+  const frames = [];
+  for (const page of sampleIndices(pages, MAX_FRAMES).slice(1)) {
+    const { data, info } = await sharp(buffer, { page })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const frame = { data, width: info.width, height: info.height };
+    if (!(await isBlankFrame(frame))) frames.push(frame);
+  }
+  return frames;
+};
+
+// MP4/QuickTime ("ftyp" box) or Matroska/WebM (EBML header) files
+export const isVideoContainer = (buffer) =>
+  buffer.subarray(4, 8).toString("latin1") === "ftyp" ||
+  buffer.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3]));
+
+// Run ffmpeg, resolving with its stderr (where it reports stream info)
+const runFfmpeg = (args) =>
+  new Promise((resolve, reject) => {
+    // Videos are decoded by a locally installed ffmpeg
+    const ffmpeg = process.env.FFMPEG_PATH || "ffmpeg";
+    const child = spawn(ffmpeg, ["-hide_banner", "-nostdin", ...args]);
+    let stderr = "";
+    const timer = setTimeout(() => child.kill("SIGKILL"), FFMPEG_TIMEOUT_MS);
+
+    child.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk).slice(-10000);
+    });
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      reject(
+        err.code === "ENOENT"
+          ? new HashError(
+              HASH_ERROR_CODES.UNSUPPORTED,
+              "No video decoder available (install ffmpeg or set FFMPEG_PATH)",
+              { cause: err }
+            )
+          : err
+      );
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (signal === "SIGKILL") {
+        reject(
+          new HashError(
+            HASH_ERROR_CODES.TIMEOUT,
+            `Video decoding timed out after ${FFMPEG_TIMEOUT_MS} ms`
+          )
+        );
+      } else {
+        resolve({ code, stderr });
+      }
+    });
+  });
+
+const parseDuration = (stderr) => {
+  const match = /Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/.exec(stderr);
+  return match
+    ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3])
+    : null;
+};
+
+// Up to MAX_FRAMES non-blank frames spread over the video, as PNG buffers.
+// Rejects with DECODE_FAILED if ffmpeg can't read it.
+export const videoFrames = async (buffer) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "imageguard-"));
+  try {
+    const input = path.join(dir, "input");
+    await fs.writeFile(input, buffer);
+
+    // With no output ffmpeg just prints the stream info, including duration
+    const { stderr: probe } = await runFfmpeg(["-i", input]);
+    const duration = parseDuration(probe);
+    const fps = duration > 0 ? MAX_FRAMES / duration : 1;
+
+    const { code, stderr } = await runFfmpeg([
+      "-i",
+      input,
+      "-vf",
+      `fps=${fps},scale='min(${FRAME_WIDTH},iw)':-2`,
+      "-frames:v",
+      String(MAX_FRAMES),
+      path.join(dir, "frame-%02d.png"),
+    ]);
+
+    const files = (await fs.readdir(dir))
+      .filter((file) => file.startsWith("frame-"))
+      .sort();
+    if (code !== 0 || files.length === 0) {
+      throw new HashError(
+        HASH_ERROR_CODES.DECODE_FAILED,
+        `Could not decode image or video: ${stderr.trim().split("\n").pop() || "no frames"}`
+      );
+    }
+
+    const frames = [];
+    for (const file of files) {
+      const frame = await fs.readFile(path.join(dir, file));
+      if (!(await isBlankFrame(frame))) frames.push(frame);
+    }
+    return frames;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import { blockhash } from "./blockhash.js";
+import { bitsToHex, median } from "./bits.js";
+import { HASH_ERROR_CODES, HashError } from "./errors.js";
+
+// -----------------------------------------------------------------------------
+// HASHERS: Registry of hash algorithms a guild can choose from
+// -----------------------------------------------------------------------------
+// Each hasher turns an image into a hex string of `bits` bits; `name` is
+// short enough for command choices, `label` describes it. Images are
+// either encoded file buffers or decoded RGBA pixels ({ data, width, height });
+// non-perceptual hashers only get file buffers and only ever match exactly.
+
+const decodeError = (err) =>
+  new HashError(
+    HASH_ERROR_CODES.DECODE_FAILED,
+    `Could not decode image: ${err.message}`,
+    { cause: err }
+  );
+
+// sharp pipeline for either kind of image
+export const loadImage = (image) =>
+  Buffer.isBuffer(image)
+    ? sharp(image)
+    : sharp(image.data, {
+        raw: { width: image.width, height: image.height, channels: 4 },
+      });
+
+// Decode any format sharp understands into raw RGBA pixels
+export const decodeImage = async (image) => {
+  if (!Buffer.isBuffer(image)) return image;
+  try {
+    const { data, info } = await sharp(image)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  } catch (err) {
+    throw decodeError(err);
+  }
+};
+
+// Greyscale thumbnail (transparency on white) as one byte per pixel
+const greyscale = async (image, width, height) => {
+  try {
+    return await loadImage(image)
+      .flatten({ background: "#ffffff" })
+      .greyscale()
+      .resize(width, height, { fit: "fill" })
+      .raw()
+      .toBuffer();
+  } catch (err) {
+    throw decodeError(err);
+  }
+};
+
+// Average hash: each of 8×8 pixels brighter than the mean
+const averageHash = async (image) => {
+  const pixels = [...(await greyscale(image, 8, 8))];
+  const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+  return bitsToHex(pixels.map((value) => Number(value > mean)));
+};
+
+// Difference hash: each pixel of a 9×8 thumbnail brighter than its right neighbour
+const differenceHash = async (image) => {
+  const pixels = await greyscale(image, 9, 8);
+  const bits = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits.push(Number(pixels[y * 9 + x] > pixels[y * 9 + x + 1]));
+    }
+  }
+  return bitsToHex(bits);
+};
+
+// DCT-II coefficients of a square greyscale image, lowest frequencies first
+const PHASH_SIZE = 32;
+const PHASH_KEEP = 8;
+const COSINES = Array.from({ length: PHASH_KEEP }, (_, u) =>
+  Array.from({ length: PHASH_SIZE }, (_, x) =>
+    Math.cos(((2 * x + 1) * u * Math.PI) / (2 * PHASH_SIZE))
+  )
+);
+
+// Perceptual hash: low-frequency DCT coefficients above their median
+const perceptualHash = async (image) => {
+  const pixels = await greyscale(image, PHASH_SIZE, PHASH_SIZE);
+
+  const coefficients = [];
+  for (let v = 0; v < PHASH_KEEP; v++) {
+    for (let u = 0; u < PHASH_KEEP; u++) {
+      let sum = 0;
+      for (let y = 0; y < PHASH_SIZE; y++) {
+        for (let x = 0; x < PHASH_SIZE; x++) {
+          sum += pixels[y * PHASH_SIZE + x] * COSINES[u][x] * COSINES[v][y];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term only reflects overall brightness
+  const m = median(coefficients.slice(1));
+  return bitsToHex(coefficients.map((value) => Number(value > m)));
+};
+
+export const HASHERS = {
+  blockhash: {
+    name: "Block hash",
+    label: "Block hash (default, 256-bit)",
+    bits: 256,
+    perceptual: true,
+    compute: async (image) => blockhash(await decodeImage(image), 16),
+  },
+  ahash: {
+    name: "aHash",
+    label: "aHash (average, 64-bit)",
+    bits: 64,
+    perceptual: true,
+    compute: averageHash,
+  },
+  dhash: {
+    name: "dHash",
+    label: "dHash (difference, 64-bit) — resized images",
+    bits: 64,
+    perceptual: true,
+    compute: differenceHash,
+  },
+  phash: {
+    name: "pHash",
+    label: "pHash (DCT, 64-bit) — recompressed photos",
+    bits: 64,
+    perceptual: true,
+    compute: perceptualHash,
+  },
+  sha256: {
+    name: "SHA-256",
+    label: "SHA-256 (byte-identical files only)",
+    bits: 256,
+    perceptual: false,
+    compute: async (buffer) =>
+      crypto.createHash("sha256").update(buffer).digest("hex"),
+  },
+};
+
+export const DEFAULT_ALGORITHM = "blockhash";
+
+export const getHasher = (algorithm) =>
+  HASHERS[algorithm] ?? HASHERS[DEFAULT_ALGORITHM];
@@ -0,0 +1,148 @@
+import { downloadImage } from "./download.js";
+import { HASH_ERROR_CODES, HashError } from "./errors.js";
+import { DEFAULT_ALGORITHM, getHasher } from "./hashers.js";
+import { imageVariants } from "./variants.js";
+import { makeThumbnail } from "./thumbnail.js";
+import {
+  animationFrames,
+  countPages,
+  isVideoContainer,
+  videoFrames,
+} from "./frames.js";
+
+export { HASH_ERROR_CODES, HashError } from "./errors.js";
+export { downloadImage } from "./download.js";
+export {
+  DEFAULT_ALGORITHM,
+  HASHERS,
+  decodeImage,
+  getHasher,
+} from "./hashers.js";
+export { TRANSFORM_LABELS } from "./variants.js";
+export * from "./text.js";
+
+// -----------------------------------------------------------------------------
+// HASHING: Download once, decode with sharp (or ffmpeg for videos), hash locally
+// -----------------------------------------------------------------------------
+
+const uniqueAlgorithms = (algorithms) => [...new Set(algorithms.filter(Boolean))];
+
+const perceptualOnly = (algorithms) =>
+  uniqueAlgorithms(algorithms).filter(
+    (algorithm) => getHasher(algorithm).perceptual
+  );
+
+// Hashes of an in-memory image, keyed by algorithm; rejects with a HashError
+export const hashImageBuffer = async (
+  buffer,
+  algorithms = [DEFAULT_ALGORITHM]
+) => {
+  const hashes = {};
+  for (const algorithm of uniqueAlgorithms(algorithms)) {
+    hashes[algorithm] = await getHasher(algorithm).compute(buffer);
+  }
+  return hashes;
+};
+
+// Perceptual hashes of one frame (encoded or decoded)
+const hashFrame = async (frame, algorithms) => {
+  const hashes = {};
+  for (const algorithm of perceptualOnly(algorithms)) {
+    hashes[algorithm] = await getHasher(algorithm).compute(frame);
+  }
+  return hashes;
+};
+
+const hashFrames = async (frames, algorithms) => {
+  const hashed = [];
+  for (const frame of frames) {
+    hashed.push({ hashes: await hashFrame(frame, algorithms) });
+  }
+  return hashed;
+};
+
+// Hashes of each rotated, mirrored or cropped variant as [{ transform, hashes }].
+// Only perceptual hashers are used; byte hashes can't survive a transform.
+export const hashImageVariants = async (
+  buffer,
+  algorithms = [DEFAULT_ALGORITHM]
+) => {
+  if (perceptualOnly(algorithms).length === 0) return [];
+
+  const variants = [];
+  for await (const { transform, image } of imageVariants(buffer)) {
+    variants.push({ transform, hashes: await hashFrame(image, algorithms) });
+  }
+  return variants;
+};
+
+// Hash a downloaded file as { hashes, variants, frames, thumbnail }. Still
+// images hash as before; animations add up to MAX_FRAMES sampled frames, and
+// videos are hashed by their first non-blank frame plus the other samples.
+// Byte hashes always cover the file itself.
+export const hashMedia = async (buffer, algorithms = [DEFAULT_ALGORITHM]) => {
+  let pages;
+  try {
+    pages = await countPages(buffer);
+  } catch (err) {
+    if (!isVideoContainer(buffer)) {
+      throw new HashError(
+        HASH_ERROR_CODES.DECODE_FAILED,
+        `Could not decode image: ${err.message}`,
+        { cause: err }
+      );
+    }
+  }
+
+  if (pages) {
+    const frames = pages > 1 ? await animationFrames(buffer, pages) : [];
+    return {
+      hashes: await hashImageBuffer(buffer, algorithms),
+      variants: await hashImageVariants(buffer, algorithms),
+      frames: await hashFrames(frames, algorithms),
+      thumbnail: await makeThumbnail(buffer),
+    };
+  }
+
+  const [first, ...rest] = await videoFrames(buffer);
+  if (!first) {
+    throw new HashError(
+      HASH_ERROR_CODES.DECODE_FAILED,
+      "Video has no non-blank frames to compare"
+    );
+  }
+  const bytes = uniqueAlgorithms(algorithms).filter(
+    (algorithm) => !getHasher(algorithm).perceptual
+  );
+  return {
+    hashes: {
+      ...(await hashImageBuffer(buffer, bytes)),
+      ...(await hashFrame(first, algorithms)),
+    },
+    variants: await hashImageVariants(first, algorithms),
+    frames: await hashFrames(rest, algorithms),
+    thumbnail: await makeThumbnail(first),
+  };
+};
+
+// Resolves to { hashes, variants, frames, thumbnail } or { error: HashError },
+// never rejects
+export const computeImageHashes = async (
+  url,
+  { algorithms, ...downloadOptions } = {}
+) => {
+  try {
+    const buffer = await downloadImage(url, downloadOptions);
+    return await hashMedia(buffer, algorithms);
+  } catch (err) {
+    const error =
+      err instanceof HashError
+        ? err
+        : new HashError(HASH_ERROR_CODES.DECODE_FAILED, err.message, {
+            cause: err,
+          });
+    error.url ??= url;
+    console.error(`🔴 Error computing image hash (${error.code}):`, error.message);
+    return { error };
+  }
+};
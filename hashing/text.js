@@ -0,0 +1,135 @@
+import crypto from "crypto";
+
+// -----------------------------------------------------------------------------
+// TEXT: Fingerprints for message text and attachment filenames
+// -----------------------------------------------------------------------------
+// Stored in Image records next to image hashes, under their own `algorithm`
+// so image lookups never compare against them.
+
+export const TEXT_ALGORITHMS = {
+  filename: "filename",
+  text: "text",
+};
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// ---------------------------------------
+//  Filenames
+// ---------------------------------------
+
+// Names Discord, phones and screenshot tools give every file; matching on
+// them would flag unrelated posts
+const GENERIC_FILENAMES = new Set([
+  "",
+  "image",
+  "unknown",
+  "message",
+  "img",
+  "pxl",
+  "dsc",
+  "vid",
+  "photo",
+  "video",
+  "file",
+  "download",
+  "untitled",
+  "clipboard",
+  "pasted image",
+  "screenshot",
+  "screenshot at",
+  "screen shot",
+  "screen shot at",
+]);
+
+// Hash of a filename ignoring case, or null for generic names
+export const filenameHash = (name) => {
+  const normalized = (name ?? "").normalize("NFKC").trim().toLowerCase();
+  const stem = normalized
+    .replace(/\.[^.]*$/, "")
+    .replace(/[^\p{L}]+/gu, " ")
+    .trim();
+  return GENERIC_FILENAMES.has(stem) ? null : sha256(normalized);
+};
+
+// ---------------------------------------
+//  Text
+// ---------------------------------------
+
+// Case, whitespace, indentation and code fences don't count as changes
+export const normalizeText = (text) =>
+  (text ?? "")
+    .normalize("NFKC")
+    .replace(/```[\w+-]*\n?/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Words and individual symbols, so `a=b` and `a = b` tokenize the same
+const tokenize = (normalized) =>
+  normalized.match(/[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) ?? [];
+
+export const textHash = (normalized) => sha256(tokenize(normalized).join(" "));
+
+const SHINGLE_SIZE = 5;
+const SIGNATURE_SIZE = 64;
+// Locality-sensitive hashing: texts sharing any band are compared in full
+const BAND_ROWS = 4;
+
+// 32-bit FNV-1a
+const fnv1a = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// MurmurHash3 finalizer, seeded once per signature position
+const mix = (value) => {
+  let h = value;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix(i + 1));
+
+// MinHash signature over overlapping runs of SHINGLE_SIZE tokens. The share
+// of equal positions in two signatures estimates how much text they share.
+export const minhashSignature = (normalized) => {
+  const tokens = tokenize(normalized);
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= Math.max(tokens.length, SHINGLE_SIZE); i++) {
+    shingles.add(fnv1a(tokens.slice(i, i + SHINGLE_SIZE).join(" ")));
+  }
+
+  return SEEDS.map((seed) => {
+    let min = 0xffffffff;
+    for (const shingle of shingles) {
+      const value = mix(shingle ^ seed);
+      if (value < min) min = value;
+    }
+    return min;
+  });
+};
+
+// Estimated similarity of two signatures in percent
+export const signatureSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 0;
+  const equal = a.filter((value, i) => value === b[i]).length;
+  return (equal / a.length) * 100;
+};
+
+// Index keys for the `segments` multikey index
+export const signatureBands = (signature) => {
+  const bands = [];
+  for (let i = 0; i < signature.length; i += BAND_ROWS) {
+    bands.push(
+      `b${i / BAND_ROWS}:${signature
+        .slice(i, i + BAND_ROWS)
+        .map((value) => value.toString(16).padStart(8, "0"))
+        .join("")}`
+    );
+  }
+  return bands;
+};
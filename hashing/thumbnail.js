@@ -0,0 +1,20 @@
+import { loadImage } from "./hashers.js";
+
+// -----------------------------------------------------------------------------
+// THUMBNAIL: Small preview for notices, kept since the post may be deleted
+// -----------------------------------------------------------------------------
+
+const THUMBNAIL_SIZE = 160;
+
+// PNG of an image or frame fitted within THUMBNAIL_SIZE, or null if it can't
+// be made (a missing preview never fails the check)
+export const makeThumbnail = async (image) => {
+  try {
+    return await loadImage(image)
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside" })
+      .png()
+      .toBuffer();
+  } catch (err) {
+    return null;
+  }
+};
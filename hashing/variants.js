@@ -0,0 +1,90 @@
+import { HASH_ERROR_CODES, HashError } from "./errors.js";
+import { loadImage } from "./hashers.js";
+
+// -----------------------------------------------------------------------------
+// VARIANTS: Rotated, mirrored and border-cropped copies of an image
+// -----------------------------------------------------------------------------
+// Reposts are often turned or mirrored to dodge the check. Each orientation
+// undoes one way of doing that (sharp mirrors before it rotates), so hashing
+// the undone copy gives back the original's hash. Keys name what the
+// reposter did.
+
+const ORIENTATIONS = {
+  rotateRight: { rotate: 270, flop: false },
+  rotate180: { rotate: 180, flop: false },
+  rotateLeft: { rotate: 90, flop: false },
+  mirror: { rotate: 0, flop: true },
+  rotateRightMirror: { rotate: 270, flop: true },
+  flip: { rotate: 180, flop: true },
+  rotateLeftMirror: { rotate: 90, flop: true },
+};
+
+export const TRANSFORM_LABELS = {
+  rotateRight: "rotated 90° right",
+  rotate180: "rotated 180°",
+  rotateLeft: "rotated 90° left",
+  mirror: "mirrored",
+  rotateRightMirror: "rotated 90° right and mirrored",
+  flip: "flipped upside down",
+  rotateLeftMirror: "rotated 90° left and mirrored",
+  crop: "border cropped",
+  // Not a transform: one frame of an animation or video matched
+  frame: "matching an animation or video frame",
+};
+
+// Variants are hashed from a downscaled copy; perceptual hashes shrink the
+// image far more than this anyway
+const VARIANT_SIZE = 512;
+
+const toPixels = async (pipeline) => {
+  const { data, info } = await pipeline
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+};
+
+const shrink = async (buffer) => {
+  try {
+    return await toPixels(
+      loadImage(buffer).ensureAlpha().resize(VARIANT_SIZE, VARIANT_SIZE, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+    );
+  } catch (err) {
+    throw new HashError(
+      HASH_ERROR_CODES.DECODE_FAILED,
+      `Could not decode image: ${err.message}`,
+      { cause: err }
+    );
+  }
+};
+
+// The image without a uniform border, or null if it has none
+const trimBorder = async (pixels) => {
+  try {
+    const trimmed = await toPixels(loadImage(pixels).trim());
+    return trimmed.width === pixels.width && trimmed.height === pixels.height
+      ? null
+      : trimmed;
+  } catch (err) {
+    // Images of a single colour have nothing left to keep
+    return null;
+  }
+};
+
+// Yields { transform, image } for each variant, one at a time to keep few
+// decoded copies in memory
+export async function* imageVariants(buffer) {
+  const pixels = await shrink(buffer);
+
+  for (const [transform, { rotate, flop }] of Object.entries(ORIENTATIONS)) {
+    const pipeline = loadImage(pixels);
+    if (flop) pipeline.flop();
+    if (rotate) pipeline.rotate(rotate);
+    yield { transform, image: await toPixels(pipeline) };
+  }
+
+  const cropped = await trimBorder(pixels);
+  if (cropped) yield { transform: "crop", image: cropped };
+}
@@ -0,0 +1,50 @@
+// -----------------------------------------------------------------------------
+// GERMAN
+// -----------------------------------------------------------------------------
+
+export const de = {
+  "noun.image": "Bild",
+  "noun.filename": "Dateiname",
+  "noun.text": "Text",
+
+  "duplicate.title": "Duplikat: {noun}",
+  "blocked.title": "Gesperrt: {noun}",
+
+  "field.original": "Originalbeitrag",
+  "field.originalAuthor": "Ursprünglich von",
+  "field.postedAt": "Ursprünglich gepostet",
+  "field.similarity": "Übereinstimmung",
+  "field.strike": "Verwarnung",
+  "field.actions": "Maßnahmen",
+  "field.entry": "Sperrlisteneintrag",
+
+  "value.jumpToOriginal": "Zum Original",
+  "value.unknown": "unbekannt",
+  "value.escalated": "{count} (verschärft)",
+  "value.noActions": "keine Maßnahmen",
+  "value.removed": "Nachricht entfernt",
+  "value.notRemoved": "Nachricht konnte nicht entfernt werden",
+
+  "appeal.request": "Überprüfung anfordern",
+
+  "similarity.image": "Ähnlichkeit {percent} %, {distance} Bit Unterschied",
+  "similarity.filename": "identischer Dateiname",
+  "similarity.identicalText": "identischer Text",
+  "similarity.text": "Text zu {percent} % ähnlich",
+  "transform.rotateRight": "um 90° nach rechts gedreht",
+  "transform.rotate180": "um 180° gedreht",
+  "transform.rotateLeft": "um 90° nach links gedreht",
+  "transform.mirror": "gespiegelt",
+  "transform.rotateRightMirror": "um 90° nach rechts gedreht und gespiegelt",
+  "transform.flip": "auf den Kopf gestellt",
+  "transform.rotateLeftMirror": "um 90° nach links gedreht und gespiegelt",
+  "transform.crop": "Rand abgeschnitten",
+  "transform.frame": "passt zu einem Einzelbild einer Animation oder eines Videos",
+
+  "template.dmDuplicate":
+    "Dein Beitrag ({noun}) wurde als Duplikat eines früheren Beitrags erkannt.",
+  "template.noticeDuplicate": "{user} hat ein Duplikat gepostet ({noun}).",
+  "template.dmBlocked":
+    "Dein Beitrag ({noun}) wurde entfernt, weil er auf diesem Server gesperrt ist.",
+  "template.noticeBlocked": "{user} hat gesperrten Inhalt gepostet ({noun}).",
+};
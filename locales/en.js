@@ -0,0 +1,51 @@
+// -----------------------------------------------------------------------------
+// ENGLISH: Default wording, and the fallback for keys other locales lack
+// -----------------------------------------------------------------------------
+
+export const en = {
+  "noun.image": "image",
+  "noun.filename": "file name",
+  "noun.text": "text",
+
+  "duplicate.title": "Duplicate {noun}",
+  "blocked.title": "Blocklisted {noun}",
+
+  "field.original": "Original post",
+  "field.originalAuthor": "Original author",
+  "field.postedAt": "Originally posted",
+  "field.similarity": "Match",
+  "field.strike": "Strike",
+  "field.actions": "Actions taken",
+  "field.entry": "Blocklist entry",
+
+  "value.jumpToOriginal": "Jump to original",
+  "value.unknown": "unknown",
+  "value.escalated": "{count} (escalated)",
+  "value.noActions": "no action taken",
+  "value.removed": "message removed",
+  "value.notRemoved": "could not remove the message",
+
+  "appeal.request": "Request review",
+
+  // How a duplicate matched, shown in notices and review requests
+  "similarity.image": "similarity {percent}%, {distance} bit(s) apart",
+  "similarity.filename": "identical file name",
+  "similarity.identicalText": "identical text",
+  "similarity.text": "text {percent}% similar",
+  "transform.rotateRight": "rotated 90° right",
+  "transform.rotate180": "rotated 180°",
+  "transform.rotateLeft": "rotated 90° left",
+  "transform.mirror": "mirrored",
+  "transform.rotateRightMirror": "rotated 90° right and mirrored",
+  "transform.flip": "flipped upside down",
+  "transform.rotateLeftMirror": "rotated 90° left and mirrored",
+  "transform.crop": "border cropped",
+  "transform.frame": "matching an animation or video frame",
+
+  // Defaults for the per-guild templates (see TEMPLATES in services/notices.js)
+  "template.dmDuplicate": "Your {noun} was identified as a duplicate of an earlier post.",
+  "template.noticeDuplicate": "{user} posted a duplicate {noun}.",
+  "template.dmBlocked":
+    "Your {noun} was removed because it matches one that is banned on this server.",
+  "template.noticeBlocked": "{user} posted a blocklisted {noun}.",
+};
@@ -0,0 +1,50 @@
+// -----------------------------------------------------------------------------
+// FRENCH
+// -----------------------------------------------------------------------------
+
+export const fr = {
+  "noun.image": "image",
+  "noun.filename": "nom de fichier",
+  "noun.text": "texte",
+
+  "duplicate.title": "Doublon : {noun}",
+  "blocked.title": "Contenu interdit : {noun}",
+
+  "field.original": "Publication d'origine",
+  "field.originalAuthor": "Auteur d'origine",
+  "field.postedAt": "Publié à l'origine",
+  "field.similarity": "Correspondance",
+  "field.strike": "Avertissement",
+  "field.actions": "Mesures prises",
+  "field.entry": "Entrée de la liste noire",
+
+  "value.jumpToOriginal": "Voir l'original",
+  "value.unknown": "inconnu",
+  "value.escalated": "{count} (aggravé)",
+  "value.noActions": "aucune mesure",
+  "value.removed": "message supprimé",
+  "value.notRemoved": "impossible de supprimer le message",
+
+  "appeal.request": "Demander un réexamen",
+
+  "similarity.image": "similarité {percent} %, {distance} bit(s) d'écart",
+  "similarity.filename": "nom de fichier identique",
+  "similarity.identicalText": "texte identique",
+  "similarity.text": "texte similaire à {percent} %",
+  "transform.rotateRight": "tournée de 90° vers la droite",
+  "transform.rotate180": "tournée de 180°",
+  "transform.rotateLeft": "tournée de 90° vers la gauche",
+  "transform.mirror": "en miroir",
+  "transform.rotateRightMirror": "tournée de 90° vers la droite et en miroir",
+  "transform.flip": "retournée à l'envers",
+  "transform.rotateLeftMirror": "tournée de 90° vers la gauche et en miroir",
+  "transform.crop": "bordure rognée",
+  "transform.frame": "correspond à une image d'une animation ou d'une vidéo",
+
+  "template.dmDuplicate":
+    "Votre publication ({noun}) a été identifiée comme doublon d'une publication précédente.",
+  "template.noticeDuplicate": "{user} a publié un doublon ({noun}).",
+  "template.dmBlocked":
+    "Votre publication ({noun}) a été supprimée car elle est interdite sur ce serveur.",
+  "template.noticeBlocked": "{user} a publié un contenu interdit ({noun}).",
+};
@@ -0,0 +1,33 @@
+import { de } from "./de.js";
+import { en } from "./en.js";
+import { fr } from "./fr.js";
+
+// -----------------------------------------------------------------------------
+// LOCALES: Wording of member DMs and duplicate notices
+// -----------------------------------------------------------------------------
+// Moderator commands stay in English; what members and the notification
+// channel see follows the guild's language.
+
+export const LOCALES = {
+  en: { name: "English", strings: en },
+  de: { name: "Deutsch", strings: de },
+  fr: { name: "Français", strings: fr },
+};
+
+export const DEFAULT_LOCALE = "en";
+
+// Replace {placeholders} with `values`; unknown ones are left as they are
+export const fillTemplate = (text, values = {}) =>
+  text.replace(/\{(\w+)\}/g, (match, name) =>
+    values[name] === undefined || values[name] === null ? match : String(values[name])
+  );
+
+export const translate = (locale, key, values) =>
+  fillTemplate(LOCALES[locale]?.strings[key] ?? en[key] ?? key, values);
+
+// The guild's chosen language, else its Discord server language if we have it
+export const resolveLocale = (guildConfig, guild) => {
+  if (LOCALES[guildConfig.locale]) return guildConfig.locale;
+  const preferred = guild?.preferredLocale?.split("-")[0];
+  return LOCALES[preferred] ? preferred : DEFAULT_LOCALE;
+};
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// -----------------------------------------------------------------------------
+// APPEAL SCHEMA: A member's request to have a strike reviewed
+// -----------------------------------------------------------------------------
+
+const appealSchema = new mongoose.Schema(
+  {
+    guildId: String,
+    userId: String,
+    // One appeal per strike
+    strikeId: { type: mongoose.Schema.Types.ObjectId, unique: true },
+    explanation: String,
+    // Where the appeal was posted for moderators
+    appealChannelId: String,
+    appealMessageId: String,
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "denied"],
+      default: "pending",
+    },
+    decidedBy: String,
+    decidedAt: Date,
+    // Whether the member's post replaced the original's record
+    reregistered: { type: Boolean, default: false },
+    // Whether the matched image was allowlisted for the member
+    allowlisted: { type: Boolean, default: false },
+    // What accepting undid, for the appeal message
+    outcome: String,
+  },
+  { timestamps: true }
+);
+appealSchema.index({ guildId: 1, status: 1, createdAt: -1 });
+
+export const Appeal = mongoose.model("Appeal", appealSchema);
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// -----------------------------------------------------------------------------
+// AUDIT EVENT SCHEMA: One moderation-relevant thing that happened in a guild
+// -----------------------------------------------------------------------------
+
+const auditEventSchema = new mongoose.Schema(
+  {
+    guildId: { type: String, required: true },
+    // See AUDIT_EVENT_TYPES in services/auditLog.js
+    type: { type: String, required: true },
+    // Who did it (unset when the bot acted on its own) and who it affected
+    actorId: String,
+    targetId: String,
+    // Where it happened, if it concerns a message
+    channelId: String,
+    messageId: String,
+    // Type-specific details
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+auditEventSchema.index({ guildId: 1, createdAt: -1 });
+auditEventSchema.index({ guildId: 1, targetId: 1, createdAt: -1 });
+auditEventSchema.index({ guildId: 1, actorId: 1, createdAt: -1 });
+auditEventSchema.index({ guildId: 1, channelId: 1, createdAt: -1 });
+
+export const AuditEvent = mongoose.model("AuditEvent", auditEventSchema);
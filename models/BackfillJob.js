@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// -----------------------------------------------------------------------------
+// BACKFILL JOB SCHEMA: Resumable scan of a channel's message history
+// -----------------------------------------------------------------------------
+
+const backfillJobSchema = new mongoose.Schema(
+  {
+    guildId: String,
+    channelId: String,
+    pool: { type: String, default: null },
+    startedBy: String,
+    status: {
+      type: String,
+      enum: ["running", "done", "cancelled", "failed"],
+      default: "running",
+    },
+    // Oldest message processed so far; the next page starts before it
+    cursor: String,
+    // Stop after this many messages (unset = whole history)
+    messageLimit: Number,
+    scannedMessages: { type: Number, default: 0 },
+    storedImages: { type: Number, default: 0 },
+    knownImages: { type: Number, default: 0 },
+    // Near copies of earlier posts; only the earlier post is kept
+    duplicateImages: { type: Number, default: 0 },
+    failedImages: { type: Number, default: 0 },
+    // Progress message in the bot command channel, edited as the scan runs
+    progressChannelId: String,
+    progressMessageId: String,
+    lastError: String,
+  },
+  { timestamps: true }
+);
+backfillJobSchema.index({ guildId: 1, channelId: 1, status: 1 });
+
+export const BackfillJob = mongoose.model("BackfillJob", backfillJobSchema);
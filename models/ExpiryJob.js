@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// -----------------------------------------------------------------------------
+// EXPIRY JOB SCHEMA: A timed penalty to revert at `expiresAt`
+// -----------------------------------------------------------------------------
+
+const expiryJobSchema = new mongoose.Schema(
+  {
+    guildId: String,
+    userId: String,
+    roleId: String,
+    // The penalty that was applied: "addRole", "removeRole" or "timeout"
+    type: {
+      type: String,
+      enum: ["addRole", "removeRole", "timeout"],
+      required: true,
+    },
+    expiresAt: Date,
+    status: {
+      type: String,
+      enum: ["pending", "running", "done", "cancelled", "failed"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    lastError: String,
+  },
+  { timestamps: true }
+);
+expiryJobSchema.index({ status: 1, expiresAt: 1 });
+expiryJobSchema.index({ guildId: 1, status: 1 });
+
+export const ExpiryJob = mongoose.model("ExpiryJob", expiryJobSchema);
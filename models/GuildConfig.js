@@ -0,0 +1,133 @@
+import mongoose from "mongoose";
+import { DEFAULT_SIMILARITY_THRESHOLD } from "../utils/similarity.js";
+
+// -----------------------------------------------------------------------------
+// GUILD CONFIG SCHEMA
+// -----------------------------------------------------------------------------
+
+// A daily window (UTC) during which duplicate checking is paused
+const pauseWindowSchema = new mongoose.Schema(
+  {
+    start: String, // "HH:MM"
+    end: String, // "HH:MM"
+    label: String,
+  },
+  { _id: false }
+);
+
+// One step of the duplicate penalty pipeline, see services/penalties.js
+const penaltySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["warn", "delete", "removeRole", "addRole", "timeout"],
+      required: true,
+    },
+    roleId: String,
+    // Only used by the built-in default pipeline
+    roleName: String,
+    // Timeout length, or how long an added role is kept
+    durationMinutes: Number,
+    // Only run once the member has at least this many strikes
+    afterStrikes: { type: Number, default: 1 },
+  },
+  { _id: false }
+);
+
+// A pool that forgets its images after its own number of days
+const poolRetentionSchema = new mongoose.Schema(
+  {
+    pool: String,
+    days: Number,
+  },
+  { _id: false }
+);
+
+// "N strikes within D days => action", evaluated before the pipeline runs
+const escalationSchema = new mongoose.Schema(
+  {
+    strikes: { type: Number, required: true },
+    windowDays: Number,
+    type: {
+      type: String,
+      enum: ["removeRole", "addRole", "timeout"],
+      required: true,
+    },
+    roleId: String,
+    durationMinutes: Number,
+  },
+  { _id: false }
+);
+
+// A channel whose images are checked; channels sharing a pool are only
+// compared with each other, channels without one against the whole guild
+const monitoredChannelSchema = new mongoose.Schema(
+  {
+    channelId: String,
+    pool: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const guildSchema = new mongoose.Schema({
+  guildId: { type: String, unique: true },
+  // Single monitored channel from before pools; see getMonitoredChannels()
+  activeChannelId: String,
+  monitoredChannels: { type: [monitoredChannelSchema], default: undefined },
+  botCommandChannelId: String,
+  // Max Hamming distance (in bits) for two images to count as duplicates
+  similarityThreshold: { type: Number, default: DEFAULT_SIMILARITY_THRESHOLD },
+  // Primary hasher, plus an optional one every match must also pass
+  hashAlgorithm: { type: String, default: "blockhash" },
+  confirmAlgorithm: { type: String, default: null },
+  // Threshold the stored images' index segments were last sized for; they
+  // are re-indexed on startup when it differs (see reindexImages())
+  indexedThreshold: Number,
+  // Optional checks besides images: identical attachment filenames, and
+  // message text that is identical ("exact") or mostly shared ("similar")
+  filenameCheck: { type: Boolean, default: false },
+  textCheck: {
+    type: String,
+    enum: ["off", "exact", "similar"],
+    default: "off",
+  },
+  // Percent of shared text for "similar", and the shortest text checked
+  textSimilarity: { type: Number, default: 80 },
+  minTextLength: { type: Number, default: 100 },
+  // Language of member DMs and duplicate notices (null = the server's own
+  // language if supported), and per-notice wording overrides
+  locale: { type: String, default: null },
+  templates: { type: Map, of: String, default: undefined },
+  // "!setup"-style text commands, kept during the move to slash commands
+  legacyCommandsEnabled: { type: Boolean, default: true },
+  // Whether duplicate checking is on for this guild, and who turned it off
+  running: { type: Boolean, default: true },
+  pausedBy: String,
+  pausedAt: Date,
+  pauseWindows: { type: [pauseWindowSchema], default: [] },
+  // Ordered penalty actions; unset means the default pipeline
+  penalties: { type: [penaltySchema], default: undefined },
+  // Strikes older than this stop counting (0 = never decay)
+  strikeDecayDays: { type: Number, default: 0 },
+  // Which duplicates are penalized: "all", "crossUser" (self-reposts are
+  // exempt) or "sameUser" (only own reposts within sameUserWindowHours)
+  duplicatePolicy: {
+    type: String,
+    enum: ["all", "crossUser", "sameUser"],
+    default: "all",
+  },
+  sameUserWindowHours: { type: Number, default: 24 },
+  // What deleting an original post does to its images: "free" forgets them,
+  // so the next post is the new original; "burned" keeps them on record
+  deletedOriginals: { type: String, enum: ["free", "burned"], default: "free" },
+  // Stored images are forgotten this many days after they were posted (0 =
+  // kept forever); a pool in poolRetention uses its own number instead
+  retentionDays: { type: Number, default: 0 },
+  poolRetention: { type: [poolRetentionSchema], default: [] },
+  // Hold duplicates for a moderator to approve in the bot command channel
+  // instead of penalizing right away
+  reviewMode: { type: Boolean, default: false },
+  escalations: { type: [escalationSchema], default: [] },
+});
+
+export const GuildConfig = mongoose.model("GuildConfig", guildSchema);
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// -----------------------------------------------------------------------------
+// IMAGE SCHEMA
+// -----------------------------------------------------------------------------
+
+const imageSchema = new mongoose.Schema(
+  {
+    hash: { type: String },
+    // Hasher that produced `hash` (see hashing/hashers.js, or hashing/text.js
+    // for "filename" and "text" records) and its length
+    algorithm: { type: String, default: "blockhash" },
+    bits: Number,
+    // Optional second opinion from the guild's confirmation algorithm
+    confirmAlgorithm: String,
+    confirmHash: String,
+    // Primary hash without the image's uniform border, if it has one
+    cropHash: String,
+    // Primary hashes of further sampled frames of an animation or video
+    frameHashes: { type: [String], default: undefined },
+    // MinHash signature of "text" records, see hashing/text.js
+    minhash: { type: [Number], default: undefined },
+    guildId: { type: String, index: true },
+    channelId: String,
+    messageId: String,
+    // Who posted it (records from before this field are migrated on demand)
+    authorId: String,
+    url: String,
+    // When the message was posted (backfilled records predate createdAt)
+    postedAt: Date,
+    // Duplicate pool of the channel it was posted in (null = guild-wide)
+    pool: { type: String, default: null },
+    // "allowed" (matches are ignored) or "blocked" (matches are removed)
+    listStatus: { type: String, enum: ["allowed", "blocked", null], default: null },
+    listedBy: String,
+    listedAt: Date,
+    listNote: String,
+    // Stored only to be listed, e.g. a banned image from an unmonitored channel
+    createdForList: Boolean,
+    // Multi-index hashing buckets, see utils/similarity.js
+    segments: [String],
+  },
+  { timestamps: true }
+);
+imageSchema.index(
+  { hash: 1, guildId: 1, pool: 1, algorithm: 1 },
+  { unique: true }
+);
+imageSchema.index({ guildId: 1, segments: 1 });
+
+export const Image = mongoose.model("Image", imageSchema);
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// -----------------------------------------------------------------------------
+// REVIEW SCHEMA: A detected duplicate waiting for a moderator's decision
+// -----------------------------------------------------------------------------
+
+const reviewSchema = new mongoose.Schema(
+  {
+    guildId: String,
+    // The duplicate post
+    channelId: String,
+    messageId: String,
+    authorId: String,
+    url: String,
+    // The record it matched and the post that record came from
+    imageId: mongoose.Schema.Types.ObjectId,
+    originalChannelId: String,
+    originalMessageId: String,
+    originalAuthorId: String,
+    originalPostedAt: Date,
+    originalUrl: String,
+    // Match details, as passed to handleDuplicate
+    kind: { type: String, default: "image" },
+    hash: String,
+    distance: Number,
+    transform: String,
+    similarity: String,
+    // Where the review was posted
+    reviewChannelId: String,
+    reviewMessageId: String,
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "allowlisted"],
+      default: "pending",
+    },
+    decidedBy: String,
+    decidedAt: Date,
+    // What approving did, for the review message
+    actions: String,
+  },
+  { timestamps: true }
+);
+reviewSchema.index({ guildId: 1, status: 1, createdAt: -1 });
+
+export const Review = mongoose.model("Review", reviewSchema);
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// -----------------------------------------------------------------------------
+// STRIKE SCHEMA: Ledger entry written for every detected duplicate
+// -----------------------------------------------------------------------------
+
+// A role change or timeout that was applied for the strike
+const appliedPenaltySchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["removeRole", "addRole", "timeout"] },
+    roleId: String,
+  },
+  { _id: false }
+);
+
+const strikeSchema = new mongoose.Schema(
+  {
+    guildId: String,
+    userId: String,
+    // The duplicate post
+    channelId: String,
+    messageId: String,
+    // The post it duplicated, and the record that matched
+    originalLink: String,
+    imageId: mongoose.Schema.Types.ObjectId,
+    hash: String,
+    distance: Number,
+    // How the duplicate was altered from the original, if at all
+    transform: String,
+    // Moderator who approved it, when the guild reviews duplicates
+    approvedBy: String,
+    penalties: { type: [appliedPenaltySchema], default: [] },
+    // Set when a moderator forgives the strike
+    clearedAt: Date,
+    clearedBy: String,
+  },
+  { timestamps: true }
+);
+strikeSchema.index({ guildId: 1, userId: 1, createdAt: -1 });
+
+export const Strike = mongoose.model("Strike", strikeSchema);
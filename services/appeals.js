@@ -0,0 +1,268 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  Colors,
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} from "discord.js";
+import { storage } from "../storage/index.js";
+import { isDuplicateKeyError } from "../storage/errors.js";
+import { getGuildConfig } from "./guildSettings.js";
+import { addToList } from "./imageLists.js";
+import { sendToBotChannel } from "./notices.js";
+import { revertPenalties } from "./scheduler.js";
+import { clearStrikes, messageLink } from "./strikes.js";
+import { toTimestamp } from "../utils/format.js";
+
+// -----------------------------------------------------------------------------
+// APPEALS: Members contest a strike from the duplicate DM
+// -----------------------------------------------------------------------------
+// The DM's "Request review" button opens a form; the explanation is posted to
+// the bot command channel, where a moderator accepts or denies it (see
+// commands/appeal.js).
+
+const PREFIX = "appeal";
+const MAX_EXPLANATION_LENGTH = 1000;
+
+export const APPEAL_DECISIONS = {
+  accept: { status: "accepted", label: "Accept", style: ButtonStyle.Success },
+  register: {
+    status: "accepted",
+    label: "Accept and register as original",
+    style: ButtonStyle.Primary,
+  },
+  allowlist: {
+    status: "accepted",
+    label: "Accept and allowlist",
+    style: ButtonStyle.Primary,
+  },
+  deny: { status: "denied", label: "Deny", style: ButtonStyle.Secondary },
+};
+
+const STATUS_COLORS = {
+  pending: Colors.Blue,
+  accepted: Colors.Green,
+  denied: Colors.Grey,
+};
+
+// Custom IDs look like "appeal:<action>:<ID>": "request" (DM button) and
+// "submit" (form) carry the strike ID, decisions the appeal ID
+export const parseAppealCustomId = (customId) => {
+  const [prefix, action, id] = customId.split(":");
+  const actions = ["request", "submit", ...Object.keys(APPEAL_DECISIONS)];
+  return prefix === PREFIX && actions.includes(action) && id ? { action, id } : null;
+};
+
+export const appealRequestRow = (strikeId, label = "Request review") =>
+  new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${PREFIX}:request:${strikeId}`)
+      .setLabel(label)
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+export const appealModal = (strikeId) =>
+  new ModalBuilder()
+    .setCustomId(`${PREFIX}:submit:${strikeId}`)
+    .setTitle("Request review")
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("explanation")
+          .setLabel("Why isn't this a duplicate?")
+          .setPlaceholder("e.g. I made the original, or the images only look alike")
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(MAX_EXPLANATION_LENGTH)
+          .setRequired(true)
+      )
+    );
+
+export const explanationFrom = (interaction) =>
+  interaction.fields.getTextInputValue("explanation").trim();
+
+// ---------------------------------------
+//  Appeal Message
+// ---------------------------------------
+
+const describeReverted = (penalty) =>
+  ({
+    removeRole: `<@&${penalty.roleId}> restored`,
+    addRole: `<@&${penalty.roleId}> removed`,
+    timeout: "timeout lifted",
+  })[penalty.type];
+
+const describeDecision = (appeal) => {
+  const by = `<@${appeal.decidedBy}> ${toTimestamp(appeal.decidedAt)}`;
+  switch (appeal.status) {
+    case "accepted":
+      return `✅ Accepted by ${by}` + (appeal.outcome ? `\n${appeal.outcome}` : "");
+    case "denied":
+      return `❎ Denied by ${by}; the strike stands.`;
+    default:
+      return "⏳ Waiting for a moderator.";
+  }
+};
+
+export const appealMessage = (appeal, strike) => {
+  const postLink = messageLink(strike.guildId, strike.channelId, strike.messageId);
+  const original = strike.originalLink ? ` of [this post](${strike.originalLink})` : "";
+
+  const embed = new EmbedBuilder()
+    .setTitle("Strike appeal")
+    .setColor(STATUS_COLORS[appeal.status])
+    .setDescription(
+      `<@${appeal.userId}> appeals strike \`${strike._id}\` for [their post](${postLink}), ` +
+        `flagged as a duplicate${original} ${toTimestamp(strike.createdAt)}.`
+    )
+    .addFields(
+      { name: "Explanation", value: appeal.explanation.slice(0, 1024) },
+      { name: "Decision", value: describeDecision(appeal) }
+    )
+    .setTimestamp(appeal.createdAt);
+
+  const components =
+    appeal.status === "pending"
+      ? [
+          new ActionRowBuilder().addComponents(
+            Object.entries(APPEAL_DECISIONS).map(([decision, { label, style }]) =>
+              new ButtonBuilder()
+                .setCustomId(`${PREFIX}:${decision}:${appeal._id}`)
+                .setLabel(label)
+                .setStyle(style)
+            )
+          ),
+        ]
+      : [];
+
+  return { embeds: [embed], components, allowedMentions: { parse: [] } };
+};
+
+// ---------------------------------------
+//  Filing and Deciding
+// ---------------------------------------
+
+// File an appeal for one of the member's strikes and post it for moderators.
+// Returns { appeal, guild }, or { error } with a message for the member.
+export const fileAppeal = async ({ client, strikeId, userId, explanation }) => {
+  const strike = await storage.strikes.findById(strikeId);
+  if (strike?.userId !== userId) return { error: "That strike no longer exists." };
+  if (strike.clearedAt) return { error: "That strike has already been cleared." };
+
+  const guildConfig = await getGuildConfig(strike.guildId);
+  if (!guildConfig) return { error: "That server no longer uses this bot." };
+
+  let appeal;
+  try {
+    appeal = await storage.appeals.create({
+      guildId: strike.guildId,
+      userId,
+      strikeId: strike._id,
+      explanation,
+      appealChannelId: guildConfig.botCommandChannelId,
+    });
+  } catch (err) {
+    if (isDuplicateKeyError(err)) return { error: "You have already appealed this strike." };
+    throw err;
+  }
+
+  const guild = await client.guilds.fetch(strike.guildId);
+  const sent = await sendToBotChannel(guild, guildConfig, appealMessage(appeal, strike));
+  if (!sent) {
+    await storage.appeals.delete(appeal._id);
+    return { error: "The moderators can't be reached right now. Please try again later." };
+  }
+
+  appeal = await storage.appeals.update(appeal._id, { appealMessageId: sent.id });
+  return { appeal, guild };
+};
+
+// Record a moderator's decision; null if the appeal was already decided
+export const decideAppeal = (guildId, appealId, decision, moderatorId) =>
+  storage.appeals.decide(guildId, appealId, {
+    status: APPEAL_DECISIONS[decision].status,
+    decidedBy: moderatorId,
+    decidedAt: new Date(),
+    reregistered: decision === "register",
+    allowlisted: decision === "allowlist",
+  });
+
+// The member's post becomes the record later posts are compared against
+const reregisterImage = async (strike) => {
+  if (!strike.imageId) return false;
+  return storage.images.update(strike.guildId, strike.imageId, {
+    channelId: strike.channelId,
+    messageId: strike.messageId,
+    authorId: strike.userId,
+    postedAt: strike.createdAt,
+  });
+};
+
+// The member's image may be posted from now on. The original's record stays
+// as it is; it goes on the allowlist, since that is what the image matched.
+const allowlistImage = async (strike, moderatorId) => {
+  if (!strike.imageId) return false;
+  const guildConfig = await getGuildConfig(strike.guildId);
+  if (!guildConfig) return false;
+
+  const { listed } = await addToList({
+    guildConfig,
+    status: "allowed",
+    userId: moderatorId,
+    note: `Allowlisted by an accepted appeal of strike ${strike._id}`,
+    recordId: strike.imageId,
+  });
+  return listed > 0;
+};
+
+// Clear the strike, undo its role changes and timeout, and re-register or
+// allowlist the image if the moderator chose to. Saves a summary on the appeal.
+export const acceptAppeal = async (client, appeal) => {
+  const strike = await storage.strikes.findById(appeal.strikeId);
+  if (!strike) {
+    return storage.appeals.update(appeal._id, {
+      outcome: "The strike no longer exists; nothing to undo.",
+    });
+  }
+
+  await clearStrikes(strike.guildId, strike.userId, appeal.decidedBy, strike._id);
+  const reverted = await revertPenalties(client, {
+    guildId: strike.guildId,
+    userId: strike.userId,
+    penalties: strike.penalties,
+  });
+  const reregistered = appeal.reregistered && Boolean(await reregisterImage(strike));
+  const allowlisted =
+    appeal.allowlisted && (await allowlistImage(strike, appeal.decidedBy));
+
+  return storage.appeals.update(appeal._id, {
+    reregistered,
+    allowlisted,
+    outcome: [
+      "Strike cleared",
+      ...reverted.map(describeReverted),
+      reregistered ? "post registered as the original" : null,
+      allowlisted ? "image allowlisted" : null,
+    ]
+      .filter(Boolean)
+      .join(", ") + ".",
+  });
+};
+
+export const findAppealStrike = (appeal) => storage.strikes.findById(appeal.strikeId);
+
+// Tell the member how their appeal was decided
+export const notifyAppellant = async (client, appeal, guild) => {
+  try {
+    const user = await client.users.fetch(appeal.userId);
+    await user.send(
+      appeal.status === "accepted"
+        ? `\`\`\`Your appeal in ${guild.name} was accepted. The strike was cleared and its penalties were undone where possible.\`\`\``
+        : `\`\`\`Your appeal in ${guild.name} was denied. The strike stands.\`\`\``
+    );
+  } catch (err) {
+    console.log("🔴 Could not send DM to user:", err);
+  }
+};
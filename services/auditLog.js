@@ -0,0 +1,166 @@
+import { AttachmentBuilder } from "discord.js";
+import { storage } from "../storage/index.js";
+import { messageLink } from "./strikes.js";
+import { csvCell, toTimestamp } from "../utils/format.js";
+
+// -----------------------------------------------------------------------------
+// AUDIT LOG: Durable record of detections, penalties and moderator actions
+// -----------------------------------------------------------------------------
+// Searchable with /history. Writing an event never fails the action it
+// describes; problems are only logged.
+
+export const AUDIT_EVENT_TYPES = {
+  detection: "Duplicate detected",
+  penalty: "Penalty applied",
+  deletion: "Message deleted",
+  review: "Review decided",
+  appeal: "Appeal filed or decided",
+  strike: "Strike cleared",
+  list: "Allowlist or blocklist changed",
+  config: "Settings command",
+  start: "Checking started",
+  stop: "Checking stopped",
+  error: "Error",
+};
+
+export const recordEvent = async ({
+  guildId,
+  type,
+  actorId,
+  targetId,
+  channelId,
+  messageId,
+  payload = {},
+}) => {
+  try {
+    await storage.events.create({
+      guildId,
+      type,
+      actorId,
+      targetId,
+      channelId,
+      messageId,
+      payload,
+    });
+  } catch (err) {
+    console.error(`🔴 Failed to record "${type}" audit event:`, err);
+  }
+};
+
+// Errors get their message and, for unexpected ones, the first stack frames
+export const recordError = (guildId, where, err, details = {}) =>
+  recordEvent({
+    guildId,
+    type: "error",
+    payload: {
+      where,
+      error: err?.message ?? String(err),
+      code: err?.code,
+      stack: err?.stack?.split("\n").slice(0, 4).join("\n"),
+      ...details,
+    },
+  });
+
+// ---------------------------------------
+//  Searching
+// ---------------------------------------
+
+export const MAX_EXPORTED_EVENTS = 5000;
+
+// Events involving `userId` (as actor or target), in `channelId`, of `type`
+// and within [since, until), newest first
+export const findEvents = (
+  guildId,
+  { userId, channelId, type, since, until, limit = MAX_EXPORTED_EVENTS } = {}
+) => storage.events.find(guildId, { userId, channelId, type, since, until, limit });
+
+// Short payload summary for the /history listing
+const summarize = (event) => {
+  const { payload = {} } = event;
+  switch (event.type) {
+    case "detection":
+      return [payload.kind, payload.similarity, payload.outcome].filter(Boolean).join(", ");
+    case "penalty":
+      return `strike ${payload.strikeCount}: ${payload.actions?.join(", ") || "no action"}`;
+    case "review":
+    case "appeal":
+      return payload.decision ?? payload.status ?? "";
+    case "config":
+      return payload.command ?? "";
+    case "error":
+      return `${payload.where}: ${payload.error}`;
+    default:
+      return payload.reason ?? payload.command ?? "";
+  }
+};
+
+export const describeEvent = (event) => {
+  const actor = event.actorId ? ` by <@${event.actorId}>` : "";
+  const target = event.targetId ? ` → <@${event.targetId}>` : "";
+  const link =
+    event.channelId && event.messageId
+      ? ` [message](${messageLink(event.guildId, event.channelId, event.messageId)})`
+      : "";
+  const summary = summarize(event);
+  return (
+    `${toTimestamp(event.createdAt, "f")} **${AUDIT_EVENT_TYPES[event.type] ?? event.type}**` +
+    `${actor}${target}${link}${summary ? ` — ${summary}` : ""}`
+  );
+};
+
+// ---------------------------------------
+//  Export
+// ---------------------------------------
+
+const CSV_COLUMNS = [
+  "id",
+  "createdAt",
+  "type",
+  "actorId",
+  "targetId",
+  "channelId",
+  "messageId",
+  "link",
+  "payload",
+];
+
+const exportRow = (event) => ({
+  id: String(event._id),
+  createdAt: event.createdAt,
+  type: event.type,
+  actorId: event.actorId ?? null,
+  targetId: event.targetId ?? null,
+  channelId: event.channelId ?? null,
+  messageId: event.messageId ?? null,
+  link:
+    event.channelId && event.messageId
+      ? messageLink(event.guildId, event.channelId, event.messageId)
+      : null,
+  payload: event.payload ?? {},
+});
+
+export const eventsToCsv = (events) =>
+  [
+    CSV_COLUMNS.join(","),
+    ...events.map(exportRow).map((row) =>
+      CSV_COLUMNS.map((column) =>
+        csvCell(column === "payload" ? JSON.stringify(row.payload) : row[column])
+      ).join(",")
+    ),
+  ].join("\n");
+
+export const eventsToAttachment = (guildId, events, format, filters) => {
+  const body =
+    format === "csv"
+      ? eventsToCsv(events)
+      : JSON.stringify(
+          { guildId, exportedAt: new Date(), filters, events: events.map(exportRow) },
+          null,
+          2
+        );
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  return new AttachmentBuilder(Buffer.from(body), {
+    name: `history-${guildId}-${stamp}.${format}`,
+  });
+};
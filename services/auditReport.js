@@ -0,0 +1,262 @@
+import { AttachmentBuilder, Colors, EmbedBuilder } from "discord.js";
+import { storage } from "../storage/index.js";
+import { byPostedAt, postedAt } from "../storage/records.js";
+import { compareStoredImages, indexSegments } from "./images.js";
+import { messageLink } from "./strikes.js";
+import { TRANSFORM_LABELS } from "../hashing/index.js";
+import { csvCell, toTimestamp } from "../utils/format.js";
+import { maxIndexedThreshold } from "../utils/similarity.js";
+
+// -----------------------------------------------------------------------------
+// AUDIT REPORT: Cluster stored images by similarity for moderator review
+// -----------------------------------------------------------------------------
+
+// Message fetches per report, to keep large guilds from hitting rate limits
+const MAX_AUTHOR_LOOKUPS = 500;
+const EMBED_CLUSTERS = 10;
+
+// ---------------------------------------
+//  Clustering
+// ---------------------------------------
+
+const createUnionFind = (size) => {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const union = (a, b) => {
+    parent[find(a)] = find(b);
+  };
+  return { find, union };
+};
+
+// Pairs of indices that might match under `settings`, via the segment index
+const candidatePairs = function* (images, settings) {
+  if (settings.threshold > maxIndexedThreshold(settings.bits)) {
+    for (let a = 0; a < images.length; a++) {
+      for (let b = a + 1; b < images.length; b++) yield [a, b];
+    }
+    return;
+  }
+
+  // Built from every stored form (cropped, frames), not just the hash, and
+  // sized for the audit's threshold rather than the one records were stored with
+  const buckets = new Map();
+  images.forEach((image, index) => {
+    const forms = [image.hash, image.cropHash, ...(image.frameHashes ?? [])];
+    for (const segment of indexSegments(forms, settings)) {
+      if (!buckets.has(segment)) buckets.set(segment, []);
+      buckets.get(segment).push(index);
+    }
+  });
+
+  for (const bucket of buckets.values()) {
+    for (let a = 0; a < bucket.length; a++) {
+      for (let b = a + 1; b < bucket.length; b++) yield [bucket[a], bucket[b]];
+    }
+  }
+};
+
+// Group images that (transitively) match under `settings`, the way new posts
+// are matched. Each cluster is sorted oldest first; singletons are dropped.
+export const clusterImages = (images, settings) => {
+  const { find, union } = createUnionFind(images.length);
+
+  for (const [a, b] of candidatePairs(images, settings)) {
+    if (find(a) === find(b)) continue;
+    if (compareStoredImages(images[a], images[b], settings)) union(a, b);
+  }
+
+  const groups = new Map();
+  images.forEach((image, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(image);
+  });
+
+  return [...groups.values()]
+    .filter((group) => group.length > 1)
+    .map((group) => group.sort(byPostedAt))
+    .sort((a, b) => b.length - a.length);
+};
+
+// ---------------------------------------
+//  Author Lookup
+// ---------------------------------------
+
+// Name the author of each post, fetching the message from Discord when the
+// record predates `authorId` (messages may be gone)
+const resolveAuthors = async (client, posts) => {
+  const channels = new Map();
+  let lookups = 0;
+
+  for (const post of posts) {
+    if (lookups >= MAX_AUTHOR_LOOKUPS) {
+      post.author = post.authorId ?? "not looked up";
+      continue;
+    }
+    lookups++;
+
+    if (post.authorId) {
+      try {
+        post.author = (await client.users.fetch(post.authorId)).tag;
+      } catch (err) {
+        post.author = post.authorId;
+      }
+      continue;
+    }
+
+    try {
+      if (!channels.has(post.channelId)) {
+        channels.set(post.channelId, await client.channels.fetch(post.channelId));
+      }
+      const message = await channels
+        .get(post.channelId)
+        .messages.fetch(post.messageId);
+      post.authorId = message.author.id;
+      post.author = message.author.tag;
+    } catch (err) {
+      post.author = "unknown (message deleted)";
+    }
+  }
+};
+
+// ---------------------------------------
+//  Report
+// ---------------------------------------
+
+// Only records hashed with the settings' algorithm are compared; others
+// can't be measured against each other until they're re-hashed
+export const buildAuditReport = async (client, guildId, { settings, pool }) => {
+  const { algorithm, threshold } = settings;
+  const images = await storage.images.findByAlgorithm({ guildId, algorithm, pool });
+
+  const clusters = clusterImages(images, settings).map((group, index) => {
+    const [original] = group;
+    return group.map((image, position) => {
+      // Later posts may only match the original through another post
+      const match =
+        position === 0
+          ? { distance: 0, transform: null }
+          : compareStoredImages(original, image, settings);
+      return {
+        cluster: index + 1,
+        recordId: String(image._id),
+        role: position === 0 ? "original" : "duplicate",
+        postedAt: postedAt(image),
+        channelId: image.channelId,
+        messageId: image.messageId,
+        authorId: image.authorId,
+        link: messageLink(guildId, image.channelId, image.messageId),
+        pool: image.pool,
+        distance: match?.distance ?? null,
+        transform: match?.transform ?? null,
+        hash: image.hash,
+        url: image.url,
+      };
+    });
+  });
+
+  await resolveAuthors(client, clusters.flat());
+
+  return {
+    guildId,
+    pool: pool ?? null,
+    algorithm,
+    threshold,
+    generatedAt: new Date(),
+    scannedImages: images.length,
+    clusters,
+  };
+};
+
+const CSV_COLUMNS = [
+  "cluster",
+  "recordId",
+  "role",
+  "postedAt",
+  "authorId",
+  "author",
+  "channelId",
+  "messageId",
+  "link",
+  "pool",
+  "distance",
+  "transform",
+  "hash",
+  "url",
+];
+
+export const reportToCsv = (report) =>
+  [
+    CSV_COLUMNS.join(","),
+    ...report.clusters
+      .flat()
+      .map((post) => CSV_COLUMNS.map((column) => csvCell(post[column])).join(",")),
+  ].join("\n");
+
+export const reportToAttachment = (report, format) => {
+  const stamp = report.generatedAt.toISOString().slice(0, 10);
+  const body =
+    format === "csv" ? reportToCsv(report) : JSON.stringify(report, null, 2);
+
+  return new AttachmentBuilder(Buffer.from(body), {
+    name: `duplicate-audit-${report.guildId}-${stamp}.${format}`,
+  });
+};
+
+const describeMatch = (post) =>
+  post.distance === null
+    ? "matches through another post"
+    : `${post.distance} bit(s)` +
+      (post.transform ? `, ${TRANSFORM_LABELS[post.transform]}` : "");
+
+export const reportToEmbed = (report) => {
+  const duplicates = report.clusters.reduce(
+    (total, cluster) => total + cluster.length - 1,
+    0
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle("Duplicate audit report")
+    .setColor(report.clusters.length > 0 ? Colors.Orange : Colors.Green)
+    .setDescription(
+      `Scanned **${report.scannedImages}** stored \`${report.algorithm}\` image(s)` +
+        `${report.pool ? ` in pool \`${report.pool}\`` : ""} ` +
+        `with a threshold of **${report.threshold}** bit(s).\n` +
+        `Found **${report.clusters.length}** cluster(s) containing ` +
+        `**${duplicates}** later post(s). Nobody has been penalized.`
+    )
+    .setTimestamp(report.generatedAt);
+
+  for (const cluster of report.clusters.slice(0, EMBED_CLUSTERS)) {
+    const [original, ...later] = cluster;
+    const lines = [
+      `**Original:** [${original.author}](${original.link}) ${toTimestamp(original.postedAt)}`,
+      ...later
+        .slice(0, 5)
+        .map(
+          (post) =>
+            `↳ [${post.author}](${post.link}) ${toTimestamp(post.postedAt)} · ${describeMatch(post)}`
+        ),
+    ];
+    if (later.length > 5) lines.push(`↳ …and ${later.length - 5} more`);
+
+    embed.addFields({
+      name: `Cluster ${original.cluster} (${cluster.length} posts)`,
+      value: lines.join("\n").slice(0, 1024),
+    });
+  }
+
+  if (report.clusters.length > EMBED_CLUSTERS) {
+    embed.setFooter({
+      text: `${report.clusters.length - EMBED_CLUSTERS} more cluster(s) in the attached file.`,
+    });
+  }
+
+  return embed;
+};
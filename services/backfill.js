@@ -0,0 +1,195 @@
+import { storage } from "../storage/index.js";
+import { getGuildConfig } from "./guildSettings.js";
+import { hashSettings, storeHistoricalImage } from "./images.js";
+import { computeImageHashes } from "../hashing/index.js";
+import { collectMediaUrls } from "../utils/messageMedia.js";
+
+// -----------------------------------------------------------------------------
+// BACKFILL: Hash a monitored channel's existing history
+// -----------------------------------------------------------------------------
+
+const PAGE_SIZE = 100;
+// Pause between pages on top of discord.js's own rate limit handling
+const PAGE_DELAY_MS = 1500;
+
+// Jobs running in this process
+const activeJobs = new Set();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export const findRunningBackfill = (guildId, channelId) =>
+  storage.backfills.findRunning(guildId, channelId);
+
+export const listBackfills = (guildId) => storage.backfills.list(guildId, 10);
+
+export const cancelBackfill = (guildId, channelId) =>
+  storage.backfills.cancel(guildId, channelId);
+
+export const describeBackfill = (job) => {
+  const icon = {
+    running: "🔄",
+    done: "✅",
+    cancelled: "🛑",
+    failed: "🔴",
+  }[job.status];
+
+  return (
+    `${icon} Backfill of <#${job.channelId}> ${job.status}: ` +
+    `${job.scannedMessages} message(s) scanned, ` +
+    `${job.storedImages} image(s) stored, ` +
+    `${job.knownImages} already known, ` +
+    `${job.duplicateImages} near copies of earlier posts, ` +
+    `${job.failedImages} failed.` +
+    (job.lastError ? ` Error: ${job.lastError}` : "")
+  );
+};
+
+// ---------------------------------------
+//  Progress Reporting
+// ---------------------------------------
+
+// Returns the job, updated if a new progress message had to be posted
+const reportProgress = async (client, job) => {
+  try {
+    const channel = await client.channels.fetch(job.progressChannelId);
+    if (!channel) return job;
+
+    if (job.progressMessageId) {
+      try {
+        const message = await channel.messages.fetch(job.progressMessageId);
+        await message.edit(describeBackfill(job));
+        return job;
+      } catch (err) {
+        // The progress message was deleted; post a new one below
+      }
+    }
+
+    const message = await channel.send(describeBackfill(job));
+    return await storage.backfills.update(job._id, { progressMessageId: message.id });
+  } catch (err) {
+    console.error("🔴 Failed to report backfill progress:", err);
+    return job;
+  }
+};
+
+// ---------------------------------------
+//  Scanning
+// ---------------------------------------
+// `job` is a copy whose counters are updated as messages are scanned, and
+// saved once per page.
+
+const backfillMessage = async (message, job, settings) => {
+  if (message.author.bot) return;
+
+  for (const url of collectMediaUrls(message)) {
+    const { hashes, variants, frames, error } = await computeImageHashes(url, {
+      algorithms: settings.algorithms,
+    });
+    if (error) {
+      job.failedImages++;
+      job.lastError = `${error.code}: ${error.message}`;
+      continue;
+    }
+
+    const result = await storeHistoricalImage({
+      message,
+      url,
+      hashes,
+      variants,
+      frames,
+      settings,
+      pool: job.pool,
+    });
+    if (result === "known") job.knownImages++;
+    else if (result === "duplicate" || result === "replaced") job.duplicateImages++;
+    else job.storedImages++;
+  }
+};
+
+const runBackfill = async (client, jobId) => {
+  if (activeJobs.has(String(jobId))) return;
+  activeJobs.add(String(jobId));
+
+  let job = await storage.backfills.findById(jobId);
+  try {
+    const channel = await client.channels.fetch(job.channelId);
+    job = await reportProgress(client, job);
+
+    while (true) {
+      // Re-read the job so cancellations take effect between pages
+      job = await storage.backfills.findById(jobId);
+      if (job.status !== "running") break;
+
+      const remaining = job.messageLimit
+        ? job.messageLimit - job.scannedMessages
+        : PAGE_SIZE;
+      const messages =
+        remaining > 0
+          ? await channel.messages.fetch({
+              limit: Math.min(PAGE_SIZE, remaining),
+              ...(job.cursor ? { before: job.cursor } : {}),
+            })
+          : null;
+
+      if (!messages || messages.size === 0) {
+        job = await storage.backfills.update(jobId, { status: "done" });
+        break;
+      }
+
+      // Picks up hash algorithm changes made while the scan is running
+      const settings = hashSettings(await getGuildConfig(job.guildId));
+      for (const message of messages.values()) {
+        await backfillMessage(message, job, settings);
+      }
+
+      // Collections are newest-first, so the last message is the oldest
+      job = await storage.backfills.update(jobId, {
+        cursor: messages.last().id,
+        scannedMessages: job.scannedMessages + messages.size,
+        storedImages: job.storedImages,
+        knownImages: job.knownImages,
+        duplicateImages: job.duplicateImages,
+        failedImages: job.failedImages,
+        lastError: job.lastError,
+      });
+      job = await reportProgress(client, job);
+
+      await sleep(PAGE_DELAY_MS);
+    }
+
+    console.log(
+      `✅ Backfill of channel ${job.channelId} finished with status "${job.status}".`
+    );
+  } catch (err) {
+    console.error(`🔴 Backfill of channel ${job.channelId} failed:`, err);
+    job = await storage.backfills.update(jobId, {
+      status: "failed",
+      lastError: err.message,
+    });
+  } finally {
+    activeJobs.delete(String(jobId));
+    await reportProgress(client, job);
+  }
+};
+
+export const startBackfill = async (client, options) => {
+  const job = await storage.backfills.create(options);
+  console.log(
+    `🔄 Starting backfill of channel ${job.channelId} in guild ${job.guildId}.`
+  );
+  runBackfill(client, job._id).catch((err) =>
+    console.error("🔴 Backfill crashed:", err)
+  );
+  return job;
+};
+
+// Pick up scans interrupted by a restart or crash
+export const resumeBackfills = async (client) => {
+  const jobs = await storage.backfills.listRunning();
+  for (const job of jobs) {
+    console.log(`🔄 Resuming backfill job ${job._id}.`);
+    runBackfill(client, job._id).catch((err) =>
+      console.error("🔴 Backfill crashed:", err)
+    );
+  }
+};
@@ -0,0 +1,385 @@
+import { runPenalties } from "./penalties.js";
+import {
+  blockedNotice,
+  duplicateNotice,
+  sendToBotChannel,
+} from "./notices.js";
+import { queueReview } from "./reviews.js";
+import { recordEvent } from "./auditLog.js";
+import { appealRequestRow } from "./appeals.js";
+import {
+  countActiveStrikes,
+  matchEscalation,
+  messageLink,
+  recordStrike,
+  recordStrikePenalties,
+} from "./strikes.js";
+import { resolveLocale, translate } from "../locales/index.js";
+import { hashBits, similarityPercent } from "../utils/similarity.js";
+
+// -----------------------------------------------------------------------------
+// DUPLICATES: Single handler for every detected duplicate
+// -----------------------------------------------------------------------------
+
+// Human-readable similarity note for moderation notices in `locale`, naming
+// how the duplicate was rotated, mirrored or cropped when it was
+export const describeSimilarity = (hash, distance, transform = null, locale) =>
+  translate(locale, "similarity.image", {
+    percent: similarityPercent(distance, hashBits(hash)).toFixed(1),
+    distance,
+  }) + (transform ? `, ${translate(locale, `transform.${transform}`)}` : "");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DUPLICATE_POLICIES = {
+  all: "Every duplicate",
+  crossUser: "Only reposts of someone else's image",
+  sameUser: "Only members reposting their own image within a time window",
+};
+
+// Whether the guild's policy penalizes this duplicate. Originals with an
+// unknown author (not yet migrated) count as someone else's.
+export const isPenalizedDuplicate = (guildConfig, message, existingImage) => {
+  const sameUser = existingImage.authorId === message.author.id;
+
+  switch (guildConfig.duplicatePolicy) {
+    case "crossUser":
+      return !sameUser;
+    case "sameUser": {
+      const originalPostedAt = existingImage.postedAt ?? existingImage.createdAt;
+      return (
+        sameUser &&
+        message.createdAt - originalPostedAt <=
+          guildConfig.sameUserWindowHours * HOUR_MS
+      );
+    }
+    default:
+      return true;
+  }
+};
+
+// What was duplicated, for the log
+const DUPLICATE_KINDS = {
+  image: "image",
+  filename: "file name",
+  text: "text",
+};
+
+// Blocklisted images are removed whoever posts them, without a strike
+const removeBlockedPost = async (details) => {
+  const { message, guildConfig } = details;
+  let removed = true;
+  try {
+    await message.delete();
+    await recordEvent({
+      guildId: message.guild.id,
+      type: "deletion",
+      targetId: message.author.id,
+      channelId: message.channel.id,
+      messageId: message.id,
+      payload: { reason: "blocklisted", entryId: String(details.existingImage._id) },
+    });
+  } catch (err) {
+    console.error("🔴 Failed to delete blocklisted post:", err);
+    removed = false;
+  }
+
+  try {
+    await message.author.send(blockedNotice({ ...details, removed, audience: "dm" }));
+  } catch (err) {
+    console.log("🔴 Could not send DM to user:", err);
+  }
+
+  await sendToBotChannel(
+    message.guild,
+    guildConfig,
+    blockedNotice({ ...details, removed, audience: "notice" })
+  );
+};
+
+const describeActions = (taken) =>
+  taken.length > 0 ? taken.join(", ") : "no action taken";
+
+// Strike and penalize the poster of a confirmed duplicate, DMing them if the
+// pipeline warns. Returns { strikeCount, escalated, taken, actions } for
+// notices.
+export const penalizeDuplicate = async ({
+  message,
+  guildConfig,
+  existingImage,
+  hash,
+  distance,
+  transform = null,
+  kind = "image",
+  similarity = describeSimilarity(
+    hash,
+    distance,
+    transform,
+    resolveLocale(guildConfig, message.guild)
+  ),
+  thumbnail = null,
+  approvedBy,
+}) => {
+  // 1) Record the strike and evaluate escalation before any penalty runs
+  let strike = null;
+  let strikeCount = 1;
+  let escalation = null;
+  try {
+    strike = await recordStrike({
+      message,
+      existingImage,
+      hash,
+      distance,
+      transform,
+      approvedBy,
+    });
+    strikeCount = await countActiveStrikes(guildConfig, message.author.id);
+    escalation = await matchEscalation(guildConfig, message.author.id);
+  } catch (err) {
+    console.error("🔴 Failed to record strike:", err);
+  }
+
+  if (escalation) {
+    console.log(
+      `⬆️ Escalating for ${message.author.tag}: ${escalation.strikes}+ strikes.`
+    );
+  }
+
+  // 2) Run the guild's penalty pipeline
+  const { taken, warn, applied } = await runPenalties(
+    message,
+    guildConfig,
+    strikeCount,
+    escalation
+  );
+
+  // Remembered so an accepted appeal can undo them
+  if (strike && applied.length > 0) {
+    try {
+      await recordStrikePenalties(strike._id, applied);
+    } catch (err) {
+      console.error("🔴 Failed to record applied penalties:", err);
+    }
+  }
+
+  const outcome = { strikeCount, escalated: Boolean(escalation), taken };
+  await recordEvent({
+    guildId: message.guild.id,
+    type: "penalty",
+    actorId: approvedBy,
+    targetId: message.author.id,
+    channelId: message.channel.id,
+    messageId: message.id,
+    payload: {
+      strikeId: strike ? String(strike._id) : null,
+      strikeCount,
+      escalated: outcome.escalated,
+      actions: taken,
+    },
+  });
+
+  // 3) Notify user via DM, with a button to appeal the strike
+  if (warn) {
+    const locale = resolveLocale(guildConfig, message.guild);
+    try {
+      await message.author.send({
+        ...duplicateNotice({
+          audience: "dm",
+          guildConfig,
+          message,
+          kind,
+          existingImage,
+          similarity,
+          thumbnail,
+          ...outcome,
+        }),
+        components: strike
+          ? [appealRequestRow(strike._id, translate(locale, "appeal.request"))]
+          : [],
+      });
+      console.log(`📩 Sent DM to ${message.author.tag}.`);
+    } catch (err) {
+      console.log("🔴 Could not send DM to user:", err);
+    }
+  }
+
+  return { ...outcome, actions: describeActions(taken) };
+};
+
+const recordDetection = (
+  { message, existingImage, kind = "image", similarity, distance, transform = null },
+  outcome
+) =>
+  recordEvent({
+    guildId: message.guild.id,
+    type: "detection",
+    targetId: message.author.id,
+    channelId: message.channel.id,
+    messageId: message.id,
+    payload: {
+      kind,
+      similarity,
+      distance,
+      transform,
+      outcome,
+      originalImageId: existingImage._id ? String(existingImage._id) : null,
+      originalAuthorId: existingImage.authorId ?? null,
+      originalLink: messageLink(
+        existingImage.guildId,
+        existingImage.channelId,
+        existingImage.messageId
+      ),
+    },
+  });
+
+const handleDuplicate = async ({
+  message,
+  guildConfig,
+  existingImage,
+  hash,
+  distance,
+  transform = null,
+  kind = "image",
+  similarity = describeSimilarity(
+    hash,
+    distance,
+    transform,
+    resolveLocale(guildConfig, message.guild)
+  ),
+  url,
+  thumbnail = null,
+}) => {
+  const noun = DUPLICATE_KINDS[kind];
+  const details = { message, existingImage, kind, similarity, distance, transform };
+  const recordOutcome = (outcome) => recordDetection(details, outcome);
+
+  if (existingImage.listStatus === "allowed") {
+    console.log(
+      `ℹ️ ${message.author.tag} posted an allowlisted ${noun} (${similarity}); ignoring.`
+    );
+    await recordOutcome("allowlisted");
+    return;
+  }
+  if (existingImage.listStatus === "blocked") {
+    console.log(`⛔ Blocklisted ${noun} from ${message.author.tag} (${similarity}).`);
+    await recordOutcome("blocklisted");
+    await removeBlockedPost({
+      message,
+      guildConfig,
+      existingImage,
+      kind,
+      similarity,
+      thumbnail,
+    });
+    return;
+  }
+
+  if (!isPenalizedDuplicate(guildConfig, message, existingImage)) {
+    console.log(
+      `ℹ️ Duplicate ${noun} from ${message.author.tag} (${similarity}) is exempt under the "${guildConfig.duplicatePolicy}" policy.`
+    );
+    await recordOutcome(`exempt (${guildConfig.duplicatePolicy} policy)`);
+    return;
+  }
+
+  // Review mode: a moderator decides from the bot command channel
+  if (guildConfig.reviewMode) {
+    const review = await queueReview({
+      message,
+      guildConfig,
+      existingImage,
+      hash,
+      distance,
+      transform,
+      kind,
+      similarity,
+      url,
+    });
+    console.log(
+      review
+        ? `🕵️ Duplicate ${noun} from ${message.author.tag} (${similarity}) queued for review.`
+        : `🔴 Could not post review for duplicate ${noun} from ${message.author.tag}; no action taken.`
+    );
+    await recordOutcome(review ? "queued for review" : "review could not be posted");
+    return;
+  }
+
+  console.log(
+    `⚠️ Duplicate ${noun} detected (${similarity}), handling as duplicate.`
+  );
+  await recordOutcome("penalized");
+
+  const outcome = await penalizeDuplicate({
+    message,
+    guildConfig,
+    existingImage,
+    hash,
+    distance,
+    transform,
+    kind,
+    similarity,
+    thumbnail,
+  });
+
+  // 4) Notify the bot command channel
+  await sendToBotChannel(
+    message.guild,
+    guildConfig,
+    duplicateNotice({
+      audience: "notice",
+      guildConfig,
+      message,
+      kind,
+      existingImage,
+      similarity,
+      thumbnail,
+      ...outcome,
+    })
+  );
+};
+
+// ---------------------------------------
+//  Per Message
+// ---------------------------------------
+
+// Blocklisted matches take the post down, the rest count against the poster;
+// allowlisted and exempt matches don't act
+const actionPriority = (guildConfig, message, existingImage) => {
+  if (existingImage.listStatus === "allowed") return 0;
+  if (existingImage.listStatus === "blocked") return 2;
+  return isPenalizedDuplicate(guildConfig, message, existingImage) ? 1 : 0;
+};
+
+// Handle everything a message duplicated (each as passed to handleDuplicate)
+// at once: all matches are logged, but the message is only removed, queued
+// for review or penalized for one of them, so a post with three copied images
+// is one strike and one deletion.
+export const handleDuplicates = async ({ message, guildConfig, duplicates }) => {
+  const ranked = duplicates.map((details) => ({
+    details,
+    priority: actionPriority(guildConfig, message, details.existingImage),
+  }));
+  const acted = ranked.reduce(
+    (best, entry) => (entry.priority > (best?.priority ?? 0) ? entry : best),
+    null
+  );
+
+  for (const { details, priority } of ranked) {
+    if (priority === 0 || details === acted.details) {
+      await handleDuplicate({ message, guildConfig, ...details });
+      continue;
+    }
+
+    const { hash, distance, transform = null, kind = "image" } = details;
+    const similarity =
+      details.similarity ??
+      describeSimilarity(hash, distance, transform, resolveLocale(guildConfig, message.guild));
+    console.log(
+      `ℹ️ Another duplicate ${DUPLICATE_KINDS[kind]} in the same message (${similarity}); handled once.`
+    );
+    await recordDetection(
+      { message, ...details, kind, similarity },
+      "handled with another match in the message"
+    );
+  }
+};
@@ -0,0 +1,216 @@
+import { storage } from "../storage/index.js";
+import { HASHERS, getHasher } from "../hashing/index.js";
+import { getPenalties } from "./penalties.js";
+import { activePauseWindow } from "../utils/schedule.js";
+
+// -----------------------------------------------------------------------------
+// GUILD SETTINGS: Shared by slash commands and legacy text commands
+// -----------------------------------------------------------------------------
+
+export const MIN_THRESHOLD = 0;
+
+// At a hash's full length every image matches, so a threshold can't go past
+// it. MAX_THRESHOLD is the most any algorithm allows.
+export const maxThreshold = (hashAlgorithm) => getHasher(hashAlgorithm).bits;
+export const MAX_THRESHOLD = Math.max(
+  ...Object.values(HASHERS).map((hasher) => hasher.bits)
+);
+
+export const getGuildConfig = (guildId) => storage.configs.get(guildId);
+
+export const MAX_POOL_NAME_LENGTH = 32;
+
+// Configs from before pools only have `activeChannelId`
+export const getMonitoredChannels = (guildConfig) =>
+  guildConfig.monitoredChannels ??
+  (guildConfig.activeChannelId
+    ? [{ channelId: guildConfig.activeChannelId, pool: null }]
+    : []);
+
+export const findMonitoredChannel = (guildConfig, channelId) =>
+  getMonitoredChannels(guildConfig).find(
+    (channel) => channel.channelId === channelId
+  ) ?? null;
+
+export const normalizePool = (pool) =>
+  pool?.trim().toLowerCase().slice(0, MAX_POOL_NAME_LENGTH) || null;
+
+// Add (or re-pool) a monitored channel
+export const setMonitoredChannel = async (guildId, channelId, pool = null) => {
+  const guildConfig = await getGuildConfig(guildId);
+
+  return storage.configs.upsert(guildId, {
+    monitoredChannels: [
+      ...(guildConfig ? getMonitoredChannels(guildConfig) : []).filter(
+        (channel) => channel.channelId !== channelId
+      ),
+      { channelId, pool: normalizePool(pool) },
+    ],
+  });
+};
+
+// Returns false if the channel wasn't monitored
+export const removeMonitoredChannel = async (guildId, channelId) => {
+  const channels = getMonitoredChannels(await getGuildConfig(guildId));
+  const remaining = channels.filter((channel) => channel.channelId !== channelId);
+  if (remaining.length === channels.length) return false;
+
+  await storage.configs.update(guildId, { monitoredChannels: remaining });
+  return true;
+};
+
+// Setup: monitor only `activeChannelId`, replacing any monitored channels as
+// setup always has (more are added with setMonitoredChannel), and set where
+// notifications go
+export const saveChannels = (guildId, activeChannelId, botCommandChannelId) =>
+  storage.configs.upsert(guildId, {
+    monitoredChannels: [{ channelId: activeChannelId, pool: null }],
+    botCommandChannelId,
+  });
+
+export const isValidThreshold = (threshold, hashAlgorithm) =>
+  Number.isInteger(threshold) &&
+  threshold >= MIN_THRESHOLD &&
+  threshold <= maxThreshold(hashAlgorithm);
+
+export const setSimilarityThreshold = (guildId, similarityThreshold) =>
+  storage.configs.update(guildId, { similarityThreshold });
+
+export const setIndexedThreshold = (guildId, indexedThreshold) =>
+  storage.configs.update(guildId, { indexedThreshold });
+
+// Change the hashers; the threshold moves with them since it counts bits
+export const setHashAlgorithms = (
+  guildId,
+  { hashAlgorithm, confirmAlgorithm, similarityThreshold }
+) =>
+  storage.configs.update(guildId, {
+    hashAlgorithm,
+    confirmAlgorithm,
+    similarityThreshold,
+  });
+
+// Update any of filenameCheck, textCheck, textSimilarity and minTextLength
+export const setTextChecks = (guildId, changes) =>
+  storage.configs.update(guildId, changes);
+
+export const setLocale = (guildId, locale) =>
+  storage.configs.update(guildId, { locale });
+
+// Reword one notice (see TEMPLATES in services/notices.js); null resets it
+export const setTemplate = async (guildId, key, text) => {
+  const templates = new Map((await getGuildConfig(guildId))?.templates ?? []);
+  if (text === null) templates.delete(key);
+  else templates.set(key, text);
+  return storage.configs.update(guildId, { templates: Object.fromEntries(templates) });
+};
+
+export const setLegacyCommandsEnabled = (guildId, legacyCommandsEnabled) =>
+  storage.configs.update(guildId, { legacyCommandsEnabled });
+
+// Start (running = true) or stop checking, remembering who stopped it
+export const setRunning = (guildId, running, userId) =>
+  storage.configs.update(
+    guildId,
+    running
+      ? { running, pausedBy: undefined, pausedAt: undefined }
+      : { running, pausedBy: userId, pausedAt: new Date() }
+  );
+
+export const addPauseWindow = async (guildId, window) => {
+  const { pauseWindows } = await getGuildConfig(guildId);
+  return storage.configs.update(guildId, { pauseWindows: [...pauseWindows, window] });
+};
+
+// Remove the window at `index` (0-based), returning the removed window
+export const removePauseWindow = async (guildId, index) => {
+  const pauseWindows = [...(await getGuildConfig(guildId)).pauseWindows];
+  const [removed] = pauseWindows.splice(index, 1);
+  if (removed) await storage.configs.update(guildId, { pauseWindows });
+  return removed ?? null;
+};
+
+// Checking is active unless stopped by command or inside a pause window
+export const isCheckingActive = (guildConfig, date = new Date()) =>
+  guildConfig.running && !activePauseWindow(guildConfig.pauseWindows, date);
+
+// Append a penalty action; the first custom action starts from the defaults
+export const addPenalty = async (guildId, action) => {
+  const guildConfig = await getGuildConfig(guildId);
+  return storage.configs.update(guildId, {
+    penalties: [...getPenalties(guildConfig), action],
+  });
+};
+
+// Remove the action at `index` (0-based), returning the removed action
+export const removePenalty = async (guildId, index) => {
+  const penalties = [...getPenalties(await getGuildConfig(guildId))];
+  const [removed] = penalties.splice(index, 1);
+  if (!removed) return null;
+
+  await storage.configs.update(guildId, { penalties });
+  return removed;
+};
+
+// Empty list => duplicates are only reported
+export const clearPenalties = (guildId) =>
+  storage.configs.update(guildId, { penalties: [] });
+
+// Back to the built-in default pipeline
+export const resetPenalties = (guildId) =>
+  storage.configs.update(guildId, { penalties: undefined });
+
+export const setDuplicatePolicy = (guildId, duplicatePolicy, sameUserWindowHours) =>
+  storage.configs.update(guildId, {
+    duplicatePolicy,
+    ...(sameUserWindowHours ? { sameUserWindowHours } : {}),
+  });
+
+export const setDeletedOriginals = (guildId, deletedOriginals) =>
+  storage.configs.update(guildId, { deletedOriginals });
+
+// Retention settings with `pool` (the server default when null) keeping its
+// images for `days` days, for setRetention or a dry run
+export const withRetention = (guildConfig, days, pool = null) => ({
+  retentionDays: pool ? guildConfig.retentionDays : days,
+  poolRetention: [
+    ...guildConfig.poolRetention
+      .filter((rule) => rule.pool !== pool)
+      .map((rule) => ({ pool: rule.pool, days: rule.days })),
+    ...(pool ? [{ pool, days }] : []),
+  ],
+});
+
+export const setRetention = (guildId, { retentionDays, poolRetention }) =>
+  storage.configs.update(guildId, { retentionDays, poolRetention });
+
+// The pool goes back to the server's retention. Returns the updated config,
+// or null if the pool had no retention of its own.
+export const removePoolRetention = async (guildId, pool) => {
+  const { poolRetention } = await getGuildConfig(guildId);
+  const remaining = poolRetention.filter((rule) => rule.pool !== pool);
+  if (remaining.length === poolRetention.length) return null;
+
+  return storage.configs.update(guildId, {
+    poolRetention: remaining.map((rule) => ({ pool: rule.pool, days: rule.days })),
+  });
+};
+
+export const setReviewMode = (guildId, reviewMode) =>
+  storage.configs.update(guildId, { reviewMode });
+
+export const setStrikeDecayDays = (guildId, strikeDecayDays) =>
+  storage.configs.update(guildId, { strikeDecayDays });
+
+export const addEscalation = async (guildId, rule) => {
+  const { escalations } = await getGuildConfig(guildId);
+  return storage.configs.update(guildId, { escalations: [...escalations, rule] });
+};
+
+// Remove the rule at `index` (0-based), returning the removed rule
+export const removeEscalation = async (guildId, index) => {
+  const escalations = [...(await getGuildConfig(guildId)).escalations];
+  const [removed] = escalations.splice(index, 1);
+  if (removed) await storage.configs.update(guildId, { escalations });
+  return removed ?? null;
+};
@@ -0,0 +1,122 @@
+import { storage } from "../storage/index.js";
+import { hashSettings, imageHashFields } from "./images.js";
+import { messageLink } from "./strikes.js";
+import { TEXT_ALGORITHMS, computeImageHashes } from "../hashing/index.js";
+import { collectMediaUrls } from "../utils/messageMedia.js";
+
+// -----------------------------------------------------------------------------
+// IMAGE LISTS: Allowlisted images are never duplicates, blocklisted ones are
+// always removed
+// -----------------------------------------------------------------------------
+
+export const LISTS = {
+  allowed: "allowlist",
+  blocked: "blocklist",
+};
+
+const MESSAGE_LINK = /channels\/(\d+|@me)\/(\d+)\/(\d+)/;
+
+// A message link or bare message ID, as { channelId, messageId } (channelId
+// is only known for links); null if it's neither
+export const parseMessageReference = (input) => {
+  const text = input.trim();
+  const link = MESSAGE_LINK.exec(text);
+  if (link) return { channelId: link[2], messageId: link[3] };
+  return /^\d{17,20}$/.test(text) ? { channelId: null, messageId: text } : null;
+};
+
+export const fetchReferencedMessage = async (client, { channelId, messageId }) => {
+  if (!channelId) return null;
+  try {
+    const channel = await client.channels.fetch(channelId);
+    return await channel.messages.fetch(messageId);
+  } catch (err) {
+    return null;
+  }
+};
+
+const listFields = (status, userId, note) => ({
+  listStatus: status,
+  listedBy: userId,
+  listedAt: new Date(),
+  listNote: note ?? null,
+});
+
+// Hash a message that has no records yet (e.g. posted outside the monitored
+// channels) and store its images guild-wide with the list status
+const listUnstoredMessage = async (message, guildConfig, fields) => {
+  const settings = hashSettings(guildConfig);
+  let listed = 0;
+  const failed = [];
+
+  for (const url of collectMediaUrls(message)) {
+    const { hashes, variants, frames, error } = await computeImageHashes(url, {
+      algorithms: settings.algorithms,
+    });
+    if (error) {
+      failed.push(error);
+      continue;
+    }
+
+    const { hash, algorithm, ...hashFields } = imageHashFields(
+      { hashes, variants, frames },
+      settings
+    );
+    const { record } = await storage.images.insertIfAbsent(
+      { hash, guildId: message.guild.id, pool: null, algorithm },
+      {
+        channelId: message.channel.id,
+        messageId: message.id,
+        authorId: message.author.id,
+        url,
+        postedAt: message.createdAt,
+        createdForList: true,
+        ...hashFields,
+      }
+    );
+    await storage.images.setListStatus(message.guild.id, { recordId: record._id }, fields);
+    listed++;
+  }
+
+  return { listed, failed };
+};
+
+// Put the records of a message (or one record by ID) on a list. Messages
+// without records are hashed when the message itself is given.
+export const addToList = async ({
+  guildConfig,
+  status,
+  userId,
+  note,
+  recordId,
+  messageId,
+  message,
+}) => {
+  const fields = listFields(status, userId, note);
+  const listed = await storage.images.setListStatus(
+    guildConfig.guildId,
+    recordId ? { recordId } : { messageId: message?.id ?? messageId },
+    fields
+  );
+  if (listed > 0 || !message) return { listed, failed: [] };
+
+  return listUnstoredMessage(message, guildConfig, fields);
+};
+
+// Take records off a list; records that only existed for the list go
+export const removeFromList = ({ guildId, status, recordId, messageId }) =>
+  storage.images.unlist(guildId, status, recordId ? { recordId } : { messageId });
+
+export const listListedImages = (guildId, status) =>
+  storage.images.findListed(guildId, status, 20);
+
+const isTextRecord = (image) =>
+  Object.values(TEXT_ALGORITHMS).includes(image.algorithm);
+
+export const describeListedImage = (image) =>
+  `\`${image._id}\` [post](${messageLink(
+    image.guildId,
+    image.channelId,
+    image.messageId
+  )})${isTextRecord(image) ? ` (${image.algorithm})` : ""} listed by <@${image.listedBy}>` +
+  (image.listNote ? ` — ${image.listNote}` : "");
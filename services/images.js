@@ -0,0 +1,322 @@
+import { storage } from "../storage/index.js";
+import { postedAt } from "../storage/records.js";
+import { DEFAULT_ALGORITHM, getHasher } from "../hashing/index.js";
+import {
+  hammingDistance,
+  hashSegments,
+  maxIndexedThreshold,
+} from "../utils/similarity.js";
+import { collectMediaUrls } from "../utils/messageMedia.js";
+import { setIndexedThreshold } from "./guildSettings.js";
+
+// -----------------------------------------------------------------------------
+// IMAGES: Near-duplicate lookup over stored hashes
+// -----------------------------------------------------------------------------
+
+// Which hashers a guild uses and how far apart their hashes may be. The
+// threshold is configured for the primary hasher and scaled for the
+// confirmation one; non-perceptual hashers always need an exact match.
+export const hashSettings = (guildConfig) => {
+  const algorithm = guildConfig.hashAlgorithm ?? DEFAULT_ALGORITHM;
+  const confirmAlgorithm = guildConfig.confirmAlgorithm || null;
+  const primary = getHasher(algorithm);
+  const confirm = confirmAlgorithm ? getHasher(confirmAlgorithm) : null;
+
+  return {
+    algorithm,
+    confirmAlgorithm,
+    algorithms: [algorithm, confirmAlgorithm].filter(Boolean),
+    bits: primary.bits,
+    threshold: primary.perceptual ? guildConfig.similarityThreshold : 0,
+    confirmThreshold:
+      confirm?.perceptual
+        ? Math.round((guildConfig.similarityThreshold * confirm.bits) / primary.bits)
+        : 0,
+  };
+};
+
+// Index segments of every given hash for lookups within the threshold, or
+// null if the threshold is too high to be indexed
+export const indexSegments = (hashes, settings) =>
+  settings.threshold <= maxIndexedThreshold(settings.bits)
+    ? [...new Set(hashes.flatMap((hash) => hashSegments(hash, settings.threshold)))]
+    : null;
+
+// Fields stored on an Image record for computed { hashes, variants, frames }
+export const imageHashFields = ({ hashes, variants = [], frames = [] }, settings) => {
+  const hash = hashes[settings.algorithm];
+  const cropHash =
+    variants.find((variant) => variant.transform === "crop")?.hashes[
+      settings.algorithm
+    ] ?? null;
+  const frameHashes = frames
+    .map((frame) => frame.hashes[settings.algorithm])
+    .filter(Boolean);
+
+  return {
+    hash,
+    algorithm: settings.algorithm,
+    bits: settings.bits,
+    cropHash,
+    frameHashes,
+    segments: indexSegments([hash, cropHash, ...frameHashes], settings) ?? [],
+    confirmAlgorithm: settings.confirmAlgorithm,
+    confirmHash: settings.confirmAlgorithm
+      ? hashes[settings.confirmAlgorithm]
+      : null,
+  };
+};
+
+// Stored forms of a record as [hash, confirmHash, transform]. Only the image
+// as posted has a confirmation hash; matches on its cropped form or other
+// frames, like records stored before confirmation was configured, are
+// trusted on the primary hash alone.
+const storedForms = (image, settings) => [
+  [
+    image.hash,
+    image.confirmAlgorithm === settings.confirmAlgorithm ? image.confirmHash : null,
+    null,
+  ],
+  [image.cropHash, null, "crop"],
+  ...(image.frameHashes ?? []).map((frameHash) => [frameHash, null, "frame"]),
+];
+
+// Forms without a confirmation hash on either side, like byte hashes of a
+// rotated variant, are trusted on the primary hash alone
+const isConfirmed = (hashes, confirmHash, settings) =>
+  !settings.confirmAlgorithm ||
+  !confirmHash ||
+  !hashes[settings.confirmAlgorithm] ||
+  hammingDistance(hashes[settings.confirmAlgorithm], confirmHash) <=
+    settings.confirmThreshold;
+
+// Closest confirmed pairing of any variant or frame of the new image with
+// any stored form, as { distance, transform } (null transform = the image as
+// posted). Ties prefer the untransformed image.
+const closestVariant = (image, candidates, settings) => {
+  let best = null;
+  for (const { transform, hashes } of candidates) {
+    for (const [stored, confirmHash, storedTransform] of storedForms(image, settings)) {
+      const distance = hammingDistance(hashes[settings.algorithm], stored);
+      if (
+        distance <= settings.threshold &&
+        (!best || distance < best.distance) &&
+        isConfirmed(hashes, confirmHash, settings)
+      ) {
+        best = { distance, transform: transform ?? storedTransform };
+      }
+    }
+  }
+  return best;
+};
+
+// Blocklisted matches win over allowlisted ones, which win over the rest
+const LIST_PRIORITY = { blocked: 0, allowed: 1 };
+const listPriority = (image) => LIST_PRIORITY[image.listStatus] ?? 2;
+
+// Find the closest stored image to the new image, any of its rotated,
+// mirrored or cropped variants or any sampled animation/video frame, only
+// looking inside `pool` when one is given
+export const findSimilarImage = async ({
+  guildId,
+  pool = null,
+  hashes,
+  variants = [],
+  frames = [],
+  settings,
+}) => {
+  const candidates = [
+    { transform: null, hashes },
+    ...variants,
+    ...frames.map((frame) => ({ transform: "frame", hashes: frame.hashes })),
+  ];
+  const searched = candidates.map((candidate) => candidate.hashes[settings.algorithm]);
+
+  // Thresholds the segment index can't guarantee fall back to a full scan
+  const images = await storage.images.findCandidates({
+    guildId,
+    algorithm: settings.algorithm,
+    pool,
+    segments: indexSegments(searched, settings),
+  });
+
+  return (
+    images
+      .map((image) => ({ image, ...closestVariant(image, candidates, settings) }))
+      .filter((match) => match.distance !== undefined)
+      .sort(
+        (a, b) =>
+          listPriority(a.image) - listPriority(b.image) || a.distance - b.distance
+      )[0] ?? null
+  );
+};
+
+// A record's stored forms in the shape of findSimilarImage's candidates
+const storedCandidates = (image, settings) =>
+  storedForms(image, settings)
+    .filter(([hash]) => hash)
+    .map(([hash, confirmHash, transform]) => ({
+      transform,
+      hashes: {
+        [settings.algorithm]: hash,
+        ...(confirmHash ? { [settings.confirmAlgorithm]: confirmHash } : {}),
+      },
+    }));
+
+// How close two stored records are, as { distance, transform } or null,
+// compared the way findSimilarImage compares a new image. Records don't keep
+// rotated or mirrored hashes, so those only match while an image is hashed.
+export const compareStoredImages = (image, other, settings) =>
+  closestVariant(image, storedCandidates(other, settings), settings);
+
+// Store an image from channel history, checked the way new posts are.
+// Returns "stored" for a new record, "earlier" if it predates the stored
+// original (which it then replaces), "known" if an earlier copy is already
+// on record, "duplicate" if it's a near copy of an earlier or listed image
+// (not stored, like a duplicate posted live), or "replaced" if a near copy
+// posted later was on record (history is scanned newest first), which is
+// then dropped for it.
+export const storeHistoricalImage = async ({
+  message,
+  url,
+  hashes,
+  variants,
+  frames,
+  settings,
+  pool,
+}) => {
+  const guildId = message.guild.id;
+  const { hash, algorithm, ...hashFields } = imageHashFields(
+    { hashes, variants, frames },
+    settings
+  );
+  const original = {
+    channelId: message.channel.id,
+    messageId: message.id,
+    authorId: message.author.id,
+    url,
+    postedAt: message.createdAt,
+  };
+  const key = { hash, guildId, pool, algorithm };
+
+  // Exact copies are left to the key below
+  const match = await findSimilarImage({ guildId, pool, hashes, variants, frames, settings });
+  const nearCopy =
+    match &&
+    match.image.messageId !== message.id &&
+    (match.image.hash !== hash || match.image.pool !== pool);
+  if (nearCopy && (match.image.listStatus || postedAt(match.image) <= message.createdAt)) {
+    return "duplicate";
+  }
+  if (nearCopy) await storage.images.delete(guildId, match.image._id);
+
+  const { inserted } = await storage.images.insertIfAbsent(key, {
+    ...original,
+    ...hashFields,
+  });
+  if (inserted) return nearCopy ? "replaced" : "stored";
+
+  const moved = await storage.images.moveOriginalIfEarlier(key, original);
+  return moved ? "earlier" : "known";
+};
+
+// Segments are sized by the threshold, so records indexed under another one
+// aren't found by lookups until they are re-indexed from their stored hashes.
+// Returns how many records were re-indexed.
+export const reindexImages = async (guildConfig) => {
+  const settings = hashSettings(guildConfig);
+  const images = await storage.images.findByAlgorithm({
+    guildId: guildConfig.guildId,
+    algorithm: settings.algorithm,
+  });
+
+  let updated = 0;
+  for (const image of images) {
+    const forms = [image.hash, image.cropHash, ...(image.frameHashes ?? [])];
+    const segments = indexSegments(forms, settings) ?? [];
+    if (segments.join() === (image.segments ?? []).join()) continue;
+
+    await storage.images.update(guildConfig.guildId, image._id, { segments });
+    updated++;
+  }
+  await setIndexedThreshold(guildConfig.guildId, settings.threshold);
+
+  if (updated > 0) {
+    console.log(`🔄 Re-indexed ${updated} stored image(s) in guild ${guildConfig.guildId}.`);
+  }
+  return updated;
+};
+
+// Re-index a guild whose last re-index didn't finish, or that was stored
+// before segments were sized by the threshold
+export const reindexImagesIfOutdated = async (guildConfig) =>
+  guildConfig.indexedThreshold === hashSettings(guildConfig).threshold
+    ? 0
+    : reindexImages(guildConfig);
+
+// CDN links expire, so prefer the attachment URL from a fresh fetch of the
+// message, falling back to the stored one when the message is gone.
+// Pass the same `channels` map across calls to fetch each channel once.
+export const currentImageUrl = async (client, image, channels = new Map()) => {
+  try {
+    if (!channels.has(image.channelId)) {
+      channels.set(image.channelId, await client.channels.fetch(image.channelId));
+    }
+    const message = await channels
+      .get(image.channelId)
+      .messages.fetch(image.messageId);
+
+    const { pathname } = new URL(image.url);
+    return (
+      collectMediaUrls(message).find((url) => new URL(url).pathname === pathname) ??
+      image.url
+    );
+  } catch (err) {
+    return image.url;
+  }
+};
+
+// Fill in `authorId` on records stored before it existed by paging through
+// each channel's history, newest first, until every missing message is found
+// or the history runs out. Deleted messages stay without an author.
+export const migrateImageAuthors = async (client, guildId) => {
+  const images = await storage.images.findWithoutAuthor(guildId);
+
+  const byChannel = new Map();
+  for (const image of images) {
+    if (!byChannel.has(image.channelId)) byChannel.set(image.channelId, new Set());
+    byChannel.get(image.channelId).add(image.messageId);
+  }
+
+  let updated = 0;
+  for (const [channelId, wanted] of byChannel) {
+    let channel;
+    try {
+      channel = await client.channels.fetch(channelId);
+    } catch (err) {
+      console.error(`🔴 Cannot read channel ${channelId} for author migration:`, err);
+      continue;
+    }
+
+    // Snowflakes grow over time, so nothing older than this is needed
+    const oldest = [...wanted].reduce((a, b) => (BigInt(a) < BigInt(b) ? a : b));
+    let before;
+    while (wanted.size > 0) {
+      const page = await channel.messages.fetch({
+        limit: 100,
+        ...(before ? { before } : {}),
+      });
+      if (page.size === 0) break;
+
+      for (const message of page.values()) {
+        if (!wanted.delete(message.id)) continue;
+        updated += await storage.images.setAuthor(guildId, message.id, message.author.id);
+      }
+
+      before = page.last().id;
+      if (BigInt(before) <= BigInt(oldest)) break;
+    }
+  }
+
+  return { updated, missing: images.length - updated };
+};
@@ -0,0 +1,287 @@
+import { storage } from "../storage/index.js";
+import { handleLegacyCommand } from "../commands/legacy.js";
+import {
+  findMonitoredChannel,
+  getGuildConfig,
+  isCheckingActive,
+} from "./guildSettings.js";
+import { listStrikes } from "./strikes.js";
+import { findSimilarImage, hashSettings, imageHashFields } from "./images.js";
+import { handleDuplicates } from "./duplicates.js";
+import { findTextDuplicates, textFingerprints } from "./textDuplicates.js";
+import { reportSkippedImages } from "./notices.js";
+import { recordError } from "./auditLog.js";
+import { computeImageHashes } from "../hashing/index.js";
+import { collectMediaUrls, mediaKey } from "../utils/messageMedia.js";
+import { createKeyedQueue } from "../utils/queue.js";
+
+// -----------------------------------------------------------------------------
+// MESSAGES: Checking new and edited posts, and forgetting deleted ones
+// -----------------------------------------------------------------------------
+// index.js hands the client's message events here.
+// Everything goes through the message itself and `storage`, so a fake message
+// and the memory backend are enough to drive it (see test/).
+//
+// Downloading and hashing run side by side, but each guild's lookups and
+// inserts take turns, so of two copies posted at once the one that gets
+// there first is the original, even when they're only similar. Another bot
+// process on the same database still relies on insertIfAbsent alone.
+const inGuildOrder = createKeyedQueue();
+
+// Store a hashed image, or return it as a duplicate of what's already stored
+const checkImage = async ({ message, pool, settings, imageUrl, hashed }) => {
+  const { hashes, variants, frames, thumbnail } = hashed;
+  const { hash, algorithm, ...hashFields } = imageHashFields(
+    { hashes, variants, frames },
+    settings
+  );
+  console.log(`🔑 Image hash computed (${algorithm}): ${hash}`);
+
+  // Look for a near-duplicate first, then fall back to the exact upsert
+  const match = await findSimilarImage({
+    guildId: message.guild.id,
+    pool,
+    hashes,
+    variants,
+    frames,
+    settings,
+  });
+
+  let existingImage;
+  let distance = 0;
+  let transform = null;
+  let wasInserted = false;
+
+  if (match) {
+    existingImage = match.image;
+    distance = match.distance;
+    transform = match.transform;
+  } else {
+    // Store it, unless an identical hash got there first
+    ({ record: existingImage, inserted: wasInserted } =
+      await storage.images.insertIfAbsent(
+        { hash, guildId: message.guild.id, pool, algorithm },
+        {
+          channelId: message.channel.id,
+          messageId: message.id,
+          authorId: message.author.id,
+          url: imageUrl,
+          postedAt: message.createdAt,
+          ...hashFields,
+        }
+      ));
+  }
+
+  if (wasInserted) {
+    // New image => no penalty
+    console.log(`✅ Saved new image hash for ${message.author.tag}`);
+    return null;
+  }
+
+  // The same image attached twice to one post isn't a repost
+  if (existingImage.messageId === message.id) return null;
+
+  return { existingImage, hash, distance, transform, url: imageUrl, thumbnail };
+};
+
+// Everything the message duplicates, storing what's new
+const findDuplicates = async ({ message, guildConfig, pool, settings, images, fingerprints }) => {
+  const duplicates = [];
+
+  for (const { imageUrl, hashed } of images) {
+    try {
+      const duplicate = await checkImage({ message, pool, settings, imageUrl, hashed });
+      if (duplicate) duplicates.push(duplicate);
+    } catch (err) {
+      console.error("🔴 Error saving new image hash:", err);
+      await recordError(message.guild.id, "saving image hash", err, {
+        messageId: message.id,
+      });
+    }
+  }
+
+  // Filename and text checks, if the guild enabled them
+  duplicates.push(...(await findTextDuplicates({ message, guildConfig, pool, fingerprints })));
+
+  return duplicates;
+};
+
+// The pool a message is checked in, or null if its channel isn't monitored
+// or checking is stopped or paused
+const checkedPool = (guildConfig, message) => {
+  const monitored = findMonitoredChannel(guildConfig, message.channel.id);
+  if (!monitored || !isCheckingActive(guildConfig)) return null;
+  return { pool: monitored.pool };
+};
+
+// Hash `imageUrls` from the message (and its text, with `checkText`), store
+// what's new and handle what's duplicated
+const checkMessage = async ({ message, guildConfig, pool, imageUrls, checkText }) => {
+  const settings = hashSettings(guildConfig);
+  if (imageUrls.length > 0) {
+    console.log(`🔍 Checking ${imageUrls.length} image(s)...`);
+  }
+
+  // ---------------------------------------
+  //  Hash Each Image
+  // ---------------------------------------
+  const images = [];
+  const skipped = [];
+  for (const imageUrl of imageUrls) {
+    const hashed = await computeImageHashes(imageUrl, {
+      algorithms: settings.algorithms,
+    });
+    if (hashed.error) skipped.push(hashed.error);
+    else images.push({ imageUrl, hashed });
+  }
+
+  if (skipped.length > 0) {
+    await reportSkippedImages(message, guildConfig, skipped);
+  }
+
+  const fingerprints = checkText ? await textFingerprints(message, guildConfig) : [];
+
+  // ---------------------------------------
+  //  Compare, Then Act Once for the Message
+  // ---------------------------------------
+  const duplicates = await inGuildOrder(message.guild.id, () =>
+    findDuplicates({ message, guildConfig, pool, settings, images, fingerprints })
+  );
+  if (duplicates.length > 0) {
+    await handleDuplicates({ message, guildConfig, duplicates });
+  }
+};
+
+export const handleMessageCreate = async (message) => {
+  try {
+    // Ignore bot messages and DMs
+    if (message.author.bot || !message.guild) return;
+
+    const guildConfig = await getGuildConfig(message.guild.id);
+
+    // Text commands ("!setup", "!startbot", ...) while they're still enabled
+    if (await handleLegacyCommand(message, guildConfig)) return;
+
+    // Check if configured
+    if (!guildConfig) return;
+
+    // Only process monitored channels, while checking is active
+    const checked = checkedPool(guildConfig, message);
+    if (!checked) return;
+
+    // Attachments + Embeds + Stickers
+    await checkMessage({
+      message,
+      guildConfig,
+      pool: checked.pool,
+      imageUrls: collectMediaUrls(message),
+      checkText: true,
+    });
+  } catch (error) {
+    console.error("🔴 Unexpected error in messageCreate event:", error);
+    if (message.guild) {
+      await recordError(message.guild.id, "messageCreate", error, {
+        messageId: message.id,
+      });
+    }
+  }
+};
+
+// ---------------------------------------
+//  Edits
+// ---------------------------------------
+
+// Media the edit added, e.g. an image edited in, or the link preview Discord
+// adds after posting. Without the old version (it wasn't cached), anything
+// not stored for the message counts, unless the message already earned its
+// author a strike.
+const addedMediaUrls = async (oldMessage, message) => {
+  const known = new Set(
+    (await storage.images.findByMessage(message.guild.id, message.id)).map((image) =>
+      mediaKey(image.url)
+    )
+  );
+
+  if (!oldMessage.partial) {
+    collectMediaUrls(oldMessage).forEach((url) => known.add(mediaKey(url)));
+  } else {
+    const strikes = await listStrikes(message.guild.id, message.author.id);
+    if (strikes.some((strike) => strike.messageId === message.id)) return [];
+  }
+
+  return collectMediaUrls(message).filter((url) => !known.has(mediaKey(url)));
+};
+
+export const handleMessageUpdate = async (oldMessage, newMessage) => {
+  // DMs have no guild; uncached (partial) guild messages still have its ID
+  if (!newMessage.guildId) return;
+
+  try {
+    const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+    if (message.author.bot) return;
+
+    const guildConfig = await getGuildConfig(message.guild.id);
+    if (!guildConfig) return;
+
+    const checked = checkedPool(guildConfig, message);
+    if (!checked) return;
+
+    const imageUrls = await addedMediaUrls(oldMessage, message);
+    if (imageUrls.length === 0) return;
+
+    console.log(`✏️ Message ${message.id} was edited to add ${imageUrls.length} image(s).`);
+    await checkMessage({
+      message,
+      guildConfig,
+      pool: checked.pool,
+      imageUrls,
+      checkText: false,
+    });
+  } catch (error) {
+    console.error("🔴 Unexpected error in messageUpdate event:", error);
+    await recordError(newMessage.guildId, "messageUpdate", error, {
+      messageId: newMessage.id,
+    });
+  }
+};
+
+// ---------------------------------------
+//  Deletions
+// ---------------------------------------
+
+export const DELETED_ORIGINAL_POLICIES = {
+  free: "Forget its images, so they can be posted again",
+  burned: "Keep its images on record",
+};
+
+// Forget the images of a deleted post, unless the guild keeps them. Deleted
+// messages are often uncached (partial), so only their IDs are used.
+export const handleMessageDelete = async (message) => {
+  // DMs have no guild
+  if (!message.guildId) return;
+
+  try {
+    const guildConfig = await getGuildConfig(message.guildId);
+    if (guildConfig?.deletedOriginals === "burned") return;
+
+    // Listed records stay; deleting the source of a blocklist entry mustn't unban it
+    const records = (
+      await storage.images.findByMessage(message.guildId, message.id)
+    ).filter((image) => !image.listStatus);
+    for (const record of records) {
+      await storage.images.delete(message.guildId, record._id);
+    }
+    if (records.length > 0) {
+      console.log(`🗑️ Deleted ${records.length} image record(s) for message ${message.id}`);
+    }
+  } catch (error) {
+    console.error("🔴 Error deleting image record:", error);
+  }
+};
+
+// Purges and channel deletions remove many messages at once
+export const handleMessageDeleteBulk = async (messages) => {
+  for (const message of messages.values()) {
+    await handleMessageDelete(message);
+  }
+};
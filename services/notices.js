@@ -0,0 +1,219 @@
+import { AttachmentBuilder, Colors, EmbedBuilder } from "discord.js";
+import { recordEvent } from "./auditLog.js";
+import { messageLink } from "./strikes.js";
+import { fillTemplate, resolveLocale, translate } from "../locales/index.js";
+import { toTimestamp } from "../utils/format.js";
+
+// -----------------------------------------------------------------------------
+// NOTICES: Duplicate DMs, and messages posted to the bot command channel
+// -----------------------------------------------------------------------------
+
+// Post to the bot command channel; returns the sent message, or null if the
+// channel couldn't be reached
+export const sendToBotChannel = async (guild, guildConfig, payload) => {
+  try {
+    const botCommandChannel = await guild.channels.fetch(
+      guildConfig.botCommandChannelId
+    );
+    if (!botCommandChannel) return null;
+
+    const sent = await botCommandChannel.send(payload);
+    console.log("📢 Sent notification to bot command channel.");
+    return sent;
+  } catch (err) {
+    console.error("🔴 Failed to send notification to bot command channel:", err);
+    return null;
+  }
+};
+
+// Images that couldn't be hashed are reported instead of silently skipped
+export const reportSkippedImages = async (message, guildConfig, errors) => {
+  for (const error of errors) {
+    await recordEvent({
+      guildId: message.guild.id,
+      type: "error",
+      targetId: message.author.id,
+      channelId: message.channel.id,
+      messageId: message.id,
+      payload: { where: "hashing", code: error.code, error: error.message, url: error.url },
+    });
+  }
+
+  return sendToBotChannel(message.guild, guildConfig, {
+    content: [
+      `⚠️ Could not check ${errors.length} image(s) from ${message.author.tag} in ${message.url}:`,
+      ...errors.map((error) => `- \`${error.code}\` ${error.message} (<${error.url}>)`),
+    ]
+      .join("\n")
+      .slice(0, 2000),
+    allowedMentions: { parse: [] },
+  });
+};
+
+// ---------------------------------------
+//  Templates
+// ---------------------------------------
+// The description of each notice can be reworded per guild; unset ones use
+// the guild language's default.
+
+export const TEMPLATES = {
+  dmDuplicate: "Duplicate DM",
+  noticeDuplicate: "Duplicate notice",
+  dmBlocked: "Blocklisted image DM",
+  noticeBlocked: "Blocklisted image notice",
+};
+
+export const TEMPLATE_PLACEHOLDERS = {
+  user: "The member, as a mention",
+  server: "Server name",
+  noun: "What was duplicated (image, file name, text)",
+  similarity: "How closely it matched",
+  original: "Link to the original post",
+  originalAuthor: "Author of the original, as a mention",
+  postedAt: "When the original was posted",
+  strike: "The member's strike count (duplicates only)",
+  actions: "Penalties applied (duplicates only)",
+};
+
+export const MAX_TEMPLATE_LENGTH = 1000;
+
+// Placeholders in `text` that TEMPLATE_PLACEHOLDERS doesn't know
+export const unknownPlaceholders = (text) =>
+  [...text.matchAll(/\{(\w+)\}/g)]
+    .map((match) => match[1])
+    .filter((name) => !TEMPLATE_PLACEHOLDERS[name]);
+
+export const templateText = (guildConfig, locale, key) =>
+  guildConfig.templates?.get(key) ?? translate(locale, `template.${key}`);
+
+// ---------------------------------------
+//  Duplicate Embeds
+// ---------------------------------------
+
+const THUMBNAIL_NAME = "duplicate.png";
+
+// The thumbnail is attached rather than linked, since the post it came from
+// is often deleted by the time the notice is read
+const withThumbnail = (embed, thumbnail) => {
+  if (!thumbnail) return { embeds: [embed], files: [] };
+  embed.setThumbnail(`attachment://${THUMBNAIL_NAME}`);
+  return {
+    embeds: [embed],
+    files: [new AttachmentBuilder(thumbnail, { name: THUMBNAIL_NAME })],
+  };
+};
+
+// Wording helpers and template values shared by every duplicate embed
+const noticeContext = ({ guildConfig, message, kind, existingImage, similarity }) => {
+  const locale = resolveLocale(guildConfig, message.guild);
+  const t = (key, values) => translate(locale, key, values);
+  const postedAt = existingImage.postedAt ?? existingImage.createdAt;
+
+  const values = {
+    user: `<@${message.author.id}>`,
+    server: message.guild.name,
+    noun: t(`noun.${kind}`),
+    similarity,
+    original: messageLink(
+      existingImage.guildId,
+      existingImage.channelId,
+      existingImage.messageId
+    ),
+    originalAuthor: existingImage.authorId
+      ? `<@${existingImage.authorId}>`
+      : t("value.unknown"),
+    postedAt: postedAt ? toTimestamp(postedAt, "f") : t("value.unknown"),
+  };
+  const describe = (key) => fillTemplate(templateText(guildConfig, locale, key), values);
+
+  return { t, values, describe };
+};
+
+const baseEmbed = (message, { t, values }, { showOriginal = true } = {}) => {
+  const embed = new EmbedBuilder()
+    .setAuthor({
+      name: message.author.tag,
+      iconURL: message.author.displayAvatarURL(),
+    })
+    .setTimestamp(message.createdAt);
+
+  if (showOriginal) {
+    embed.addFields(
+      {
+        name: t("field.original"),
+        value: `[${t("value.jumpToOriginal")}](${values.original})`,
+        inline: true,
+      },
+      { name: t("field.originalAuthor"), value: values.originalAuthor, inline: true },
+      { name: t("field.postedAt"), value: values.postedAt, inline: true }
+    );
+  }
+  return embed.addFields({ name: t("field.similarity"), value: values.similarity });
+};
+
+// DM (audience "dm") or notification channel post ("notice") for a
+// penalized duplicate. `taken` lists the penalty summaries.
+export const duplicateNotice = ({
+  audience,
+  guildConfig,
+  message,
+  kind,
+  existingImage,
+  similarity,
+  strikeCount,
+  escalated,
+  taken,
+  thumbnail,
+}) => {
+  const context = noticeContext({ guildConfig, message, kind, existingImage, similarity });
+  const { t, values, describe } = context;
+  values.strike = escalated ? t("value.escalated", { count: strikeCount }) : strikeCount;
+  values.actions = taken.length > 0 ? taken.join(", ") : t("value.noActions");
+
+  const embed = baseEmbed(message, context)
+    .setColor(Colors.Orange)
+    .setTitle(t("duplicate.title", { noun: values.noun }))
+    .setDescription(describe(audience === "dm" ? "dmDuplicate" : "noticeDuplicate"))
+    .addFields(
+      { name: t("field.strike"), value: String(values.strike), inline: true },
+      { name: t("field.actions"), value: values.actions }
+    );
+
+  return { ...withThumbnail(embed, thumbnail), allowedMentions: { parse: [] } };
+};
+
+// DM or notification channel post for a blocklisted post
+export const blockedNotice = ({
+  audience,
+  guildConfig,
+  message,
+  kind,
+  existingImage,
+  similarity,
+  removed,
+  thumbnail,
+}) => {
+  const context = noticeContext({ guildConfig, message, kind, existingImage, similarity });
+  const { t, values, describe } = context;
+
+  // Members aren't shown where a blocklist entry came from
+  const embed = baseEmbed(message, context, { showOriginal: audience !== "dm" })
+    .setColor(Colors.Red)
+    .setTitle(t("blocked.title", { noun: values.noun }))
+    .setDescription(describe(audience === "dm" ? "dmBlocked" : "noticeBlocked"))
+    .addFields({
+      name: t("field.actions"),
+      value: t(removed ? "value.removed" : "value.notRemoved"),
+    });
+
+  if (audience !== "dm") {
+    embed.addFields({
+      name: t("field.entry"),
+      value:
+        `\`${existingImage._id}\`` +
+        (existingImage.listNote ? ` — ${existingImage.listNote}` : ""),
+    });
+  }
+
+  return { ...withThumbnail(embed, thumbnail), allowedMentions: { parse: [] } };
+};
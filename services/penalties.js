@@ -0,0 +1,245 @@
+import { recordError, recordEvent } from "./auditLog.js";
+import { scheduleExpiry } from "./scheduler.js";
+
+// -----------------------------------------------------------------------------
+// PENALTIES: Per-guild ordered pipeline run against duplicate posters
+// -----------------------------------------------------------------------------
+
+export const PENALTY_TYPES = {
+  warn: "Warn the member by DM",
+  delete: "Delete the duplicate message",
+  removeRole: "Remove a role (optionally for a while)",
+  addRole: "Add a role (optionally for a while)",
+  timeout: "Timeout the member",
+};
+
+// What the bot did before penalties were configurable
+export const DEFAULT_PENALTIES = [
+  { type: "removeRole", roleName: "CODE CERTIFIED", afterStrikes: 1 },
+  { type: "delete", afterStrikes: 1 },
+  { type: "warn", afterStrikes: 1 },
+];
+
+// Discord caps member timeouts at 28 days
+export const MAX_TIMEOUT_MINUTES = 28 * 24 * 60;
+
+const REASON = "Posted a duplicate image";
+
+export const getPenalties = (guildConfig) =>
+  guildConfig.penalties ?? DEFAULT_PENALTIES;
+
+const resolveRole = (guild, action) =>
+  action.roleId
+    ? guild.roles.cache.get(action.roleId)
+    : guild.roles.cache.find((role) => role.name === action.roleName);
+
+// e.g. "Remove role @CODE CERTIFIED", "Timeout for 60 minute(s) (from strike 3)"
+export const describePenalty = (action) => {
+  const role = action.roleId ? `<@&${action.roleId}>` : `"${action.roleName}"`;
+  const duration = action.durationMinutes
+    ? ` for ${action.durationMinutes} minute(s)`
+    : "";
+
+  const description = {
+    warn: "Warn by DM",
+    delete: "Delete the message",
+    removeRole: `Remove role ${role}${duration}`,
+    addRole: `Add role ${role}${duration}`,
+    timeout: `Timeout${duration}`,
+  }[action.type];
+
+  return (action.afterStrikes ?? 1) > 1
+    ? `${description} (from strike ${action.afterStrikes})`
+    : description;
+};
+
+// Persist the revert so it survives restarts (see services/scheduler.js).
+// Returns whether it was saved.
+const scheduleTimedPenalty = async (message, action, role) => {
+  try {
+    await scheduleExpiry({
+      guildId: message.guild.id,
+      userId: message.author.id,
+      roleId: role?.id,
+      type: action.type,
+      durationMinutes: action.durationMinutes,
+    });
+    return true;
+  } catch (err) {
+    console.error(`🔴 Failed to schedule expiry for "${action.type}" penalty:`, err);
+    return false;
+  }
+};
+
+// A role change nothing would ever revert is taken back, so a temporary
+// penalty can't become a permanent one. Throws to report the penalty failed.
+const undoUnscheduledRoleChange = async (role, undo) => {
+  await undo();
+  throw new Error(
+    `Could not schedule the end of the timed "${role.name}" penalty, so the role change was undone`
+  );
+};
+
+// ---------------------------------------
+//  Action Executors
+// ---------------------------------------
+// Each returns a short past-tense summary, or null if nothing was done.
+
+const removeRole = async (message, action) => {
+  const role = resolveRole(message.guild, action);
+  if (!role) {
+    console.error(`🔴 Penalty role ${action.roleId ?? action.roleName} does not exist in the guild.`);
+    return null;
+  }
+  if (!message.member.roles.cache.has(role.id)) {
+    console.log(`ℹ️ User ${message.author.tag} does not have the "${role.name}" role.`);
+    return null;
+  }
+
+  await message.member.roles.remove(role, REASON);
+  console.log(`✅ Removed "${role.name}" from ${message.author.tag}.`);
+
+  if (!action.durationMinutes) return `"${role.name}" role removed`;
+
+  if (!(await scheduleTimedPenalty(message, action, role))) {
+    await undoUnscheduledRoleChange(role, () =>
+      message.member.roles.add(role, "Timed penalty could not be scheduled")
+    );
+  }
+  return `"${role.name}" role removed for ${action.durationMinutes} minute(s)`;
+};
+
+const addRole = async (message, action) => {
+  const role = resolveRole(message.guild, action);
+  if (!role) {
+    console.error(`🔴 Penalty role ${action.roleId ?? action.roleName} does not exist in the guild.`);
+    return null;
+  }
+
+  await message.member.roles.add(role, REASON);
+  console.log(`✅ Added "${role.name}" to ${message.author.tag}.`);
+
+  if (!action.durationMinutes) return `"${role.name}" role added`;
+
+  if (!(await scheduleTimedPenalty(message, action, role))) {
+    await undoUnscheduledRoleChange(role, () =>
+      message.member.roles.remove(role, "Timed penalty could not be scheduled")
+    );
+  }
+  return `"${role.name}" role added for ${action.durationMinutes} minute(s)`;
+};
+
+const timeout = async (message, action) => {
+  const minutes = Math.min(action.durationMinutes ?? 60, MAX_TIMEOUT_MINUTES);
+
+  await message.member.timeout(minutes * 60 * 1000, REASON);
+  console.log(`✅ Timed out ${message.author.tag} for ${minutes} minute(s).`);
+
+  // Discord ends timeouts by itself; the job only lets moderators end it early.
+  // Actions may be Mongoose subdocuments, whose fields a spread would drop.
+  const scheduled = await scheduleTimedPenalty(message, {
+    type: action.type,
+    durationMinutes: minutes,
+  });
+  if (!scheduled) {
+    console.error(
+      `⚠️ The timeout of ${message.author.tag} still ends by itself, but can't be listed or cancelled under /imageguard expirations.`
+    );
+  }
+  return `timed out for ${minutes} minute(s)`;
+};
+
+const deleteMessage = async (message) => {
+  await message.delete();
+  console.log("🗑️ Deleted duplicate message.");
+  await recordEvent({
+    guildId: message.guild.id,
+    type: "deletion",
+    targetId: message.author.id,
+    channelId: message.channel.id,
+    messageId: message.id,
+    payload: { reason: "duplicate" },
+  });
+  return "message deleted";
+};
+
+// Deleted messages can't be brought back
+const REVERTIBLE_TYPES = new Set(["removeRole", "addRole", "timeout"]);
+
+const executors = {
+  delete: deleteMessage,
+  removeRole,
+  addRole,
+  timeout,
+};
+
+// ---------------------------------------
+//  Pipeline
+// ---------------------------------------
+
+// An escalation replaces pipeline actions of the same type, or is appended
+const applyEscalation = (actions, escalation) => {
+  if (!escalation) return actions;
+
+  const index = actions.findIndex((action) => action.type === escalation.type);
+  if (index === -1) return [...actions, escalation];
+
+  return [
+    ...actions.slice(0, index),
+    escalation,
+    ...actions
+      .slice(index + 1)
+      .filter((action) => action.type !== escalation.type),
+  ];
+};
+
+// Run every action the member's strike count qualifies for, in order.
+// "warn" doesn't act immediately; it asks the caller to DM the member a
+// summary of everything that was done. `applied` lists the role changes and
+// timeouts that were made, so an accepted appeal can undo them.
+export const runPenalties = async (
+  message,
+  guildConfig,
+  strikeCount,
+  escalation = null
+) => {
+  const actions = applyEscalation(
+    getPenalties(guildConfig).filter(
+      (action) => strikeCount >= (action.afterStrikes ?? 1)
+    ),
+    escalation
+  );
+
+  const taken = [];
+  const applied = [];
+  let warn = false;
+
+  for (const action of actions) {
+    if (action.type === "warn") {
+      warn = true;
+      continue;
+    }
+
+    try {
+      const summary = await executors[action.type](message, action);
+      if (!summary) continue;
+      taken.push(summary);
+      if (REVERTIBLE_TYPES.has(action.type)) {
+        applied.push({
+          type: action.type,
+          roleId:
+            action.type === "timeout"
+              ? undefined
+              : resolveRole(message.guild, action).id,
+        });
+      }
+    } catch (err) {
+      console.error(`🔴 Penalty "${action.type}" failed:`, err);
+      await recordError(message.guild.id, `penalty ${action.type}`, err, {
+        userId: message.author.id,
+      });
+    }
+  }
+
+  return { taken, warn, applied };
+};
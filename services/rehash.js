@@ -0,0 +1,111 @@
+import { storage } from "../storage/index.js";
+import { isDuplicateKeyError } from "../storage/errors.js";
+import { postedAt } from "../storage/records.js";
+import { currentImageUrl, hashSettings, imageHashFields } from "./images.js";
+import { sendToBotChannel } from "./notices.js";
+import { computeImageHashes } from "../hashing/index.js";
+
+// -----------------------------------------------------------------------------
+// REHASH: Recompute stored hashes after a guild changes its algorithms
+// -----------------------------------------------------------------------------
+// Only records that don't match the guild's current algorithms are touched, so
+// an interrupted run simply continues where it stopped when started again.
+
+const PROGRESS_EVERY = 250;
+
+// Guilds with a re-hash running in this process
+const activeGuilds = new Set();
+
+export const isRehashRunning = (guildId) => activeGuilds.has(guildId);
+
+// Image records hashed with anything other than the guild's current choice
+export const countOutdatedImages = (guildId, guildConfig) =>
+  storage.images.countOutdated(guildId, hashSettings(guildConfig));
+
+// Save new hashes on `image`. If another record already has the same hash,
+// the two are duplicates of each other and only the earlier one is kept.
+const updateImage = async (image, fields) => {
+  try {
+    await storage.images.update(image.guildId, image._id, fields);
+    return "updated";
+  } catch (err) {
+    if (!isDuplicateKeyError(err)) throw err;
+  }
+
+  const existing = await storage.images.findByKey({
+    guildId: image.guildId,
+    pool: image.pool,
+    algorithm: fields.algorithm,
+    hash: fields.hash,
+  });
+  if (existing && postedAt(existing) <= postedAt(image)) {
+    await storage.images.delete(image.guildId, image._id);
+    return "merged";
+  }
+
+  if (existing) await storage.images.delete(existing.guildId, existing._id);
+  await storage.images.update(image.guildId, image._id, fields);
+  return "merged";
+};
+
+const runRehash = async (client, guild, guildConfig) => {
+  const settings = hashSettings(guildConfig);
+  const totals = { updated: 0, merged: 0, failed: 0 };
+  const channels = new Map();
+
+  let processed = 0;
+  for await (const image of storage.images.findOutdated(guild.id, settings)) {
+    const url = await currentImageUrl(client, image, channels);
+    const { hashes, variants, frames, error } = await computeImageHashes(url, {
+      algorithms: settings.algorithms,
+    });
+
+    if (error) {
+      totals.failed++;
+    } else {
+      const fields = imageHashFields({ hashes, variants, frames }, settings);
+      totals[await updateImage(image, fields)]++;
+    }
+
+    if (++processed % PROGRESS_EVERY === 0) {
+      await sendToBotChannel(guild, guildConfig, {
+        content: `🔄 Re-hashing: ${processed} image(s) processed so far.`,
+      });
+    }
+  }
+
+  return totals;
+};
+
+// Start re-hashing in the background; returns false if one is already running
+export const startRehash = (client, guild, guildConfig) => {
+  if (activeGuilds.has(guild.id)) return false;
+  activeGuilds.add(guild.id);
+
+  const { algorithm, confirmAlgorithm } = hashSettings(guildConfig);
+  console.log(
+    `🔄 Re-hashing images for guild ${guild.id} with ${algorithm}` +
+      `${confirmAlgorithm ? ` + ${confirmAlgorithm}` : ""}.`
+  );
+
+  runRehash(client, guild, guildConfig)
+    .then(({ updated, merged, failed }) =>
+      sendToBotChannel(guild, guildConfig, {
+        content:
+          `✅ Re-hash finished: ${updated} image(s) updated, ` +
+          `${merged} merged into an earlier copy, ${failed} failed.` +
+          (failed > 0
+            ? " Failed images keep their old hashes; run `/imageguard-config rehash` again to retry."
+            : ""),
+      })
+    )
+    .catch(async (err) => {
+      console.error(`🔴 Re-hash for guild ${guild.id} failed:`, err);
+      await sendToBotChannel(guild, guildConfig, {
+        content: `🔴 Re-hash stopped: ${err.message}. Run \`/imageguard-config rehash\` to continue.`,
+      });
+    })
+    .finally(() => activeGuilds.delete(guild.id));
+
+  return true;
+};
@@ -0,0 +1,88 @@
+import { storage } from "../storage/index.js";
+import { getGuildConfig } from "./guildSettings.js";
+
+// -----------------------------------------------------------------------------
+// RETENTION: Forgetting stored images after a while, per guild and pool
+// -----------------------------------------------------------------------------
+// A sweeper rather than TTL indexes: retention differs per guild and pool,
+// can change at any time, and the memory and SQLite backends have no TTL.
+// Allow- and blocklisted images are never forgotten.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+let sweepTimer = null;
+
+// One purge per pool with its own retention, then one for everything else
+// under the server's; 0 days keeps images forever
+const retentionScopes = ({ retentionDays, poolRetention }) =>
+  [
+    ...poolRetention.map(({ pool, days }) => ({ pool, days })),
+    { exceptPools: poolRetention.map(({ pool }) => pool), days: retentionDays },
+  ].filter(({ days }) => days > 0);
+
+// Forget every image past the retention settings (a guild config, or
+// withRetention's result for a dry run), or with `dryRun` only count them.
+// Returns the count.
+export const purgeExpiredImages = async (
+  guildId,
+  retention,
+  { dryRun = false, now = new Date() } = {}
+) => {
+  let purged = 0;
+  for (const { days, ...scope } of retentionScopes(retention)) {
+    purged += await storage.images.purge({
+      guildId,
+      before: new Date(now - days * DAY_MS),
+      dryRun,
+      ...scope,
+    });
+  }
+  return purged;
+};
+
+// Season reset: forget every image posted so far, in `pool` or all pools
+export const resetImages = (guildId, { pool, dryRun = false } = {}) =>
+  storage.images.purge({ guildId, before: new Date(), pool, dryRun });
+
+// "30 days", "forever", plus pools with their own retention
+export const describeRetention = ({ retentionDays, poolRetention }) => {
+  const describe = (days) => (days > 0 ? `${days} day(s)` : "forever");
+  return [
+    describe(retentionDays),
+    ...poolRetention.map(({ pool, days }) => `pool "${pool}": ${describe(days)}`),
+  ].join(", ");
+};
+
+const sweep = async (client) => {
+  for (const guildId of client.guilds.cache.keys()) {
+    try {
+      const guildConfig = await getGuildConfig(guildId);
+      if (!guildConfig) continue;
+
+      const purged = await purgeExpiredImages(guildId, guildConfig);
+      if (purged > 0) {
+        console.log(`🧹 Forgot ${purged} expired image record(s) in guild ${guildId}.`);
+      }
+    } catch (err) {
+      console.error(`🔴 Retention sweep failed in guild ${guildId}:`, err);
+    }
+  }
+};
+
+export const startRetentionSweeper = (client) => {
+  if (sweepTimer) return;
+
+  const tick = async () => {
+    await sweep(client);
+    sweepTimer = setTimeout(tick, SWEEP_INTERVAL_MS);
+  };
+  // The first tick catches up on anything that expired while offline
+  sweepTimer = setTimeout(tick, 0);
+  console.log("🧹 Retention sweeper started.");
+};
+
+export const stopRetentionSweeper = () => {
+  clearTimeout(sweepTimer);
+  sweepTimer = null;
+};
@@ -0,0 +1,177 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  Colors,
+  EmbedBuilder,
+} from "discord.js";
+import { storage } from "../storage/index.js";
+import { currentImageUrl } from "./images.js";
+import { sendToBotChannel } from "./notices.js";
+import { messageLink } from "./strikes.js";
+import { toTimestamp } from "../utils/format.js";
+
+// -----------------------------------------------------------------------------
+// REVIEWS: Duplicates held for a moderator's decision
+// -----------------------------------------------------------------------------
+// In review mode nothing happens to a duplicate's poster until a moderator
+// presses one of the buttons on the review message (see commands/review.js).
+
+const BUTTON_PREFIX = "review";
+
+export const REVIEW_DECISIONS = {
+  approve: { status: "approved", label: "Approve", style: ButtonStyle.Danger },
+  reject: { status: "rejected", label: "Reject", style: ButtonStyle.Secondary },
+  allowlist: { status: "allowlisted", label: "Allowlist", style: ButtonStyle.Success },
+};
+
+const STATUS_COLORS = {
+  pending: Colors.Orange,
+  approved: Colors.Red,
+  rejected: Colors.Grey,
+  allowlisted: Colors.Green,
+};
+
+// Button custom IDs look like "review:approve:<review ID>"
+export const parseReviewButton = (customId) => {
+  const [prefix, decision, reviewId] = customId.split(":");
+  return prefix === BUTTON_PREFIX && REVIEW_DECISIONS[decision] && reviewId
+    ? { decision, reviewId }
+    : null;
+};
+
+// The matched record as far as strikes and notices need it, even if the
+// record itself has since been deleted
+export const reviewedImage = (review) => ({
+  _id: review.imageId,
+  guildId: review.guildId,
+  channelId: review.originalChannelId,
+  messageId: review.originalMessageId,
+  authorId: review.originalAuthorId,
+  postedAt: review.originalPostedAt,
+});
+
+const describeStatus = (review) => {
+  const by = `<@${review.decidedBy}> ${toTimestamp(review.decidedAt)}`;
+  switch (review.status) {
+    case "approved":
+      return `✅ Approved by ${by}` + (review.actions ? `\n${review.actions}` : "");
+    case "rejected":
+      return `❎ Rejected by ${by}; no action taken.`;
+    case "allowlisted":
+      return `📃 Original allowlisted by ${by}; no action taken.`;
+    default:
+      return "⏳ Waiting for a moderator.";
+  }
+};
+
+// Embeds sharing a URL are shown as one gallery, which puts the new image
+// and the original side by side
+export const reviewMessage = (review) => {
+  const postLink = messageLink(review.guildId, review.channelId, review.messageId);
+  const originalLink = messageLink(
+    review.guildId,
+    review.originalChannelId,
+    review.originalMessageId
+  );
+  const originalAuthor = review.originalAuthorId
+    ? ` by <@${review.originalAuthorId}>`
+    : "";
+
+  const embed = new EmbedBuilder()
+    .setTitle("Possible duplicate")
+    .setURL(originalLink)
+    .setColor(STATUS_COLORS[review.status])
+    .setDescription(
+      `<@${review.authorId}> posted [this](${postLink}) in <#${review.channelId}>, ` +
+        `matching [an earlier post](${originalLink})${originalAuthor}.\n` +
+        `**Match:** ${review.similarity}`
+    )
+    .addFields({ name: "Decision", value: describeStatus(review) })
+    .setTimestamp(review.createdAt);
+  const embeds = [embed];
+
+  if (review.kind === "image") {
+    if (review.url) embed.setImage(review.url);
+    if (review.originalUrl) {
+      embeds.push(new EmbedBuilder().setURL(originalLink).setImage(review.originalUrl));
+      embed.setFooter({ text: "New post first, original second" });
+    }
+  }
+
+  const components =
+    review.status === "pending"
+      ? [
+          new ActionRowBuilder().addComponents(
+            Object.entries(REVIEW_DECISIONS).map(([decision, { label, style }]) =>
+              new ButtonBuilder()
+                .setCustomId(`${BUTTON_PREFIX}:${decision}:${review._id}`)
+                .setLabel(label)
+                .setStyle(style)
+            )
+          ),
+        ]
+      : [];
+
+  return { embeds, components, allowedMentions: { parse: [] } };
+};
+
+// Hold a duplicate for review and post it to the bot command channel.
+// Returns the review, or null if the channel couldn't be reached.
+export const queueReview = async ({
+  message,
+  guildConfig,
+  existingImage,
+  hash,
+  distance,
+  transform,
+  kind,
+  similarity,
+  url,
+}) => {
+  const review = await storage.reviews.create({
+    guildId: message.guild.id,
+    channelId: message.channel.id,
+    messageId: message.id,
+    authorId: message.author.id,
+    url,
+    imageId: existingImage._id,
+    originalChannelId: existingImage.channelId,
+    originalMessageId: existingImage.messageId,
+    originalAuthorId: existingImage.authorId,
+    originalPostedAt: existingImage.postedAt ?? existingImage.createdAt,
+    originalUrl:
+      kind === "image" && existingImage.url
+        ? await currentImageUrl(message.client, existingImage)
+        : undefined,
+    kind,
+    hash,
+    distance,
+    transform: transform ?? undefined,
+    similarity,
+    reviewChannelId: guildConfig.botCommandChannelId,
+  });
+
+  const sent = await sendToBotChannel(message.guild, guildConfig, reviewMessage(review));
+  if (!sent) {
+    await storage.reviews.delete(review._id);
+    return null;
+  }
+
+  return storage.reviews.update(review._id, { reviewMessageId: sent.id });
+};
+
+// Record a moderator's decision. Returns null if the review was already
+// decided, so two moderators pressing at once can't both act on it.
+export const decideReview = (guildId, reviewId, decision, moderatorId) =>
+  storage.reviews.decide(guildId, reviewId, {
+    status: REVIEW_DECISIONS[decision].status,
+    decidedBy: moderatorId,
+    decidedAt: new Date(),
+  });
+
+// Save what approving the review did, for the review message
+export const recordReviewActions = (review, actions) =>
+  storage.reviews.update(review._id, { actions });
+
+export const countPendingReviews = (guildId) => storage.reviews.countPending(guildId);
@@ -0,0 +1,133 @@
+import { storage } from "../storage/index.js";
+
+// -----------------------------------------------------------------------------
+// SCHEDULER: Durable expiry of timed roles and timeouts
+// -----------------------------------------------------------------------------
+
+const POLL_INTERVAL_MS = 30 * 1000;
+const MAX_ATTEMPTS = 3;
+
+let pollTimer = null;
+
+export const scheduleExpiry = ({ guildId, userId, roleId, type, durationMinutes }) =>
+  storage.expiries.create({
+    guildId,
+    userId,
+    roleId,
+    type,
+    expiresAt: new Date(Date.now() + durationMinutes * 60 * 1000),
+  });
+
+export const listPendingExpiries = (guildId, userId) =>
+  storage.expiries.listPending(guildId, userId);
+
+// ---------------------------------------
+//  Reverting
+// ---------------------------------------
+
+const revert = async (client, job) => {
+  const guild = await client.guilds.fetch(job.guildId);
+  const member = await guild.members.fetch(job.userId);
+
+  switch (job.type) {
+    case "addRole":
+      await member.roles.remove(job.roleId, "Penalty expired");
+      break;
+    case "removeRole":
+      await member.roles.add(job.roleId, "Penalty expired");
+      break;
+    case "timeout":
+      // Discord lifts timeouts by itself; only clear it when reverting early
+      if (member.isCommunicationDisabled()) {
+        await member.timeout(null, "Penalty expired");
+      }
+      break;
+  }
+};
+
+// Claim the job so it only runs once, revert it and record the outcome
+const runJob = async (client, job) => {
+  const claimed = await storage.expiries.claim(job._id);
+  if (!claimed) return;
+
+  try {
+    await revert(client, claimed);
+    await storage.expiries.update(claimed._id, { status: "done" });
+    console.log(
+      `⏰ Reverted expired ${claimed.type} penalty for ${claimed.userId} in guild ${claimed.guildId}.`
+    );
+  } catch (err) {
+    // Members who left (10007) or roles that were deleted (10011) won't come back
+    const permanent = err.code === 10007 || err.code === 10011;
+    await storage.expiries.update(claimed._id, {
+      status: permanent || claimed.attempts >= MAX_ATTEMPTS ? "failed" : "pending",
+      lastError: err.message,
+    });
+    console.error(`🔴 Failed to revert ${claimed.type} penalty:`, err);
+  }
+};
+
+// Revert every job whose time has come (including ones missed while offline)
+export const runDueExpiries = async (client) => {
+  const due = await storage.expiries.findDue(new Date());
+
+  for (const job of due) {
+    await runJob(client, job);
+  }
+};
+
+export const startExpiryScheduler = async (client) => {
+  if (pollTimer) return;
+
+  // Jobs left "running" by a crash are picked up again
+  await storage.expiries.releaseRunning();
+
+  const tick = async () => {
+    try {
+      await runDueExpiries(client);
+    } catch (err) {
+      console.error("🔴 Expiry scheduler error:", err);
+    }
+    pollTimer = setTimeout(tick, POLL_INTERVAL_MS);
+  };
+  // The first tick catches up on anything that expired while offline
+  pollTimer = setTimeout(tick, 0);
+  console.log("⏰ Expiry scheduler started.");
+};
+
+export const stopExpiryScheduler = () => {
+  clearTimeout(pollTimer);
+  pollTimer = null;
+};
+
+// Cancel a pending job; with `revertNow` the penalty is lifted immediately,
+// otherwise it simply stays in place.
+export const cancelExpiry = async (client, guildId, jobId, revertNow) => {
+  const job = await storage.expiries.cancel(guildId, jobId);
+  if (!job) return null;
+
+  if (revertNow) await revert(client, job);
+  return job;
+};
+
+// Undo applied penalties ahead of time (e.g. after an accepted appeal),
+// cancelling any pending expiry for them. Returns the ones that were undone.
+export const revertPenalties = async (client, { guildId, userId, penalties }) => {
+  const reverted = [];
+  for (const penalty of penalties) {
+    await storage.expiries.cancelForPenalty({
+      guildId,
+      userId,
+      type: penalty.type,
+      roleId: penalty.roleId,
+    });
+
+    try {
+      await revert(client, { guildId, userId, ...penalty });
+      reverted.push(penalty);
+    } catch (err) {
+      console.error(`🔴 Failed to revert ${penalty.type} penalty:`, err);
+    }
+  }
+  return reverted;
+};
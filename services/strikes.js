@@ -0,0 +1,72 @@
+import { storage } from "../storage/index.js";
+
+// -----------------------------------------------------------------------------
+// STRIKES: Ledger, decay and escalation
+// -----------------------------------------------------------------------------
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const messageLink = (guildId, channelId, messageId) =>
+  `https://discord.com/channels/${guildId}/${channelId}/${messageId}`;
+
+// Strikes older than the guild's decay period no longer count
+const activeSince = (guildConfig, windowDays) => {
+  const days = [guildConfig.strikeDecayDays, windowDays].filter((d) => d > 0);
+  return days.length > 0
+    ? new Date(Date.now() - Math.min(...days) * DAY_MS)
+    : new Date(0);
+};
+
+export const recordStrike = ({
+  message,
+  existingImage,
+  hash,
+  distance,
+  transform,
+  approvedBy,
+}) =>
+  storage.strikes.create({
+    guildId: message.guild.id,
+    userId: message.author.id,
+    channelId: message.channel.id,
+    messageId: message.id,
+    originalLink: messageLink(
+      existingImage.guildId,
+      existingImage.channelId,
+      existingImage.messageId
+    ),
+    imageId: existingImage._id,
+    hash,
+    distance,
+    transform: transform ?? undefined,
+    approvedBy,
+  });
+
+export const recordStrikePenalties = (strikeId, penalties) =>
+  storage.strikes.setPenalties(strikeId, penalties);
+
+export const countActiveStrikes = (guildConfig, userId, windowDays) =>
+  storage.strikes.countActive({
+    guildId: guildConfig.guildId,
+    userId,
+    since: activeSince(guildConfig, windowDays),
+  });
+
+export const listStrikes = (guildId, userId) => storage.strikes.list(guildId, userId);
+
+// Forgive every active strike (or a single one by ID)
+export const clearStrikes = (guildId, userId, clearedBy, strikeId) =>
+  storage.strikes.clear(guildId, userId, { strikeId, clearedBy });
+
+// The strictest escalation rule the member currently meets, if any
+export const matchEscalation = async (guildConfig, userId) => {
+  const rules = [...(guildConfig.escalations ?? [])].sort(
+    (a, b) => b.strikes - a.strikes
+  );
+
+  for (const rule of rules) {
+    const count = await countActiveStrikes(guildConfig, userId, rule.windowDays);
+    if (count >= rule.strikes) return rule;
+  }
+  return null;
+};
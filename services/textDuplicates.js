@@ -0,0 +1,182 @@
+import { storage } from "../storage/index.js";
+import {
+  TEXT_ALGORITHMS,
+  downloadImage,
+  filenameHash,
+  minhashSignature,
+  normalizeText,
+  signatureBands,
+  signatureSimilarity,
+  textHash,
+} from "../hashing/index.js";
+import { resolveLocale, translate } from "../locales/index.js";
+
+// -----------------------------------------------------------------------------
+// TEXT DUPLICATES: Filename and message text checks next to image hashing
+// -----------------------------------------------------------------------------
+
+export const TEXT_CHECK_MODES = {
+  off: "Off",
+  exact: "Identical text",
+  similar: "Similar text",
+};
+
+// Long code pastes are sent as text attachments (e.g. message.txt)
+const MAX_TEXT_ATTACHMENT_BYTES = 256 * 1024;
+
+export const describeTextChecks = (guildConfig) => {
+  const text =
+    guildConfig.textCheck === "similar"
+      ? `similar text (${guildConfig.textSimilarity}%+ shared)`
+      : guildConfig.textCheck === "exact"
+        ? "identical text"
+        : null;
+  const checks = [
+    guildConfig.filenameCheck ? "identical file names" : null,
+    text ? `${text}, ${guildConfig.minTextLength}+ characters` : null,
+  ].filter(Boolean);
+  return checks.length > 0 ? checks.join("; ") : "off";
+};
+
+// Message content plus any text attachments, normalized
+const collectText = async (message) => {
+  const parts = [message.content];
+
+  for (const attachment of message.attachments.values()) {
+    if (
+      !attachment.contentType?.startsWith("text/") ||
+      attachment.size > MAX_TEXT_ATTACHMENT_BYTES
+    ) {
+      continue;
+    }
+    try {
+      const buffer = await downloadImage(attachment.url, {
+        maxBytes: MAX_TEXT_ATTACHMENT_BYTES,
+      });
+      parts.push(buffer.toString("utf8"));
+    } catch (err) {
+      console.error(`🔴 Could not read text attachment ${attachment.name}:`, err.message);
+    }
+  }
+
+  return normalizeText(parts.join("\n"));
+};
+
+// Fingerprints the guild's filename and text checks want for this message,
+// as { kind, hash, minhash, segments }
+export const textFingerprints = async (message, guildConfig) => {
+  const found = [];
+
+  if (guildConfig.filenameCheck) {
+    for (const attachment of message.attachments.values()) {
+      const hash = filenameHash(attachment.name);
+      if (hash) found.push({ kind: TEXT_ALGORITHMS.filename, hash, segments: [] });
+    }
+  }
+
+  if (guildConfig.textCheck !== "off") {
+    const text = await collectText(message);
+    if (text.length >= guildConfig.minTextLength) {
+      const minhash = minhashSignature(text);
+      found.push({
+        kind: TEXT_ALGORITHMS.text,
+        hash: textHash(text),
+        minhash,
+        segments: signatureBands(minhash),
+      });
+    }
+  }
+
+  return found;
+};
+
+// Stored text sharing at least the guild's percentage, most similar first
+const findSimilarText = async ({ guildId, pool, fingerprint, guildConfig }) => {
+  const candidates = await storage.images.findCandidates({
+    guildId,
+    algorithm: TEXT_ALGORITHMS.text,
+    pool,
+    segments: fingerprint.segments,
+  });
+
+  return (
+    candidates
+      .map((image) => ({
+        image,
+        similarity: signatureSimilarity(fingerprint.minhash, image.minhash),
+      }))
+      .filter((match) => match.similarity >= guildConfig.textSimilarity)
+      .sort((a, b) => b.similarity - a.similarity)[0] ?? null
+  );
+};
+
+// Store the fingerprint, returning the earlier record if it already exists
+const storeFingerprint = async (message, pool, fingerprint) => {
+  const { record, inserted } = await storage.images.insertIfAbsent(
+    {
+      hash: fingerprint.hash,
+      guildId: message.guild.id,
+      pool,
+      algorithm: fingerprint.kind,
+    },
+    {
+      channelId: message.channel.id,
+      messageId: message.id,
+      authorId: message.author.id,
+      url: message.url,
+      postedAt: message.createdAt,
+      segments: fingerprint.segments,
+      minhash: fingerprint.minhash,
+    }
+  );
+  // Repeats within one message aren't reposts
+  return inserted || record.messageId === message.id ? null : record;
+};
+
+const describeTextMatch = (kind, similarity, locale) =>
+  kind === TEXT_ALGORITHMS.filename
+    ? translate(locale, "similarity.filename")
+    : similarity === undefined || similarity >= 100
+      ? translate(locale, "similarity.identicalText")
+      : translate(locale, "similarity.text", { percent: similarity.toFixed(0) });
+
+// Look up and store a message's fingerprints (see textFingerprints) in
+// `pool`, returning the duplicates found for handleDuplicates
+export const findTextDuplicates = async ({ message, guildConfig, pool, fingerprints }) => {
+  const duplicates = [];
+
+  for (const fingerprint of fingerprints) {
+    try {
+      let existingImage = null;
+      let similarity;
+
+      if (fingerprint.kind === TEXT_ALGORITHMS.text && guildConfig.textCheck === "similar") {
+        const match = await findSimilarText({
+          guildId: message.guild.id,
+          pool,
+          fingerprint,
+          guildConfig,
+        });
+        if (match) ({ image: existingImage, similarity } = match);
+      }
+
+      existingImage ??= await storeFingerprint(message, pool, fingerprint);
+      if (!existingImage) continue;
+
+      duplicates.push({
+        existingImage,
+        hash: fingerprint.hash,
+        kind: fingerprint.kind,
+        similarity: describeTextMatch(
+          fingerprint.kind,
+          similarity,
+          resolveLocale(guildConfig, message.guild)
+        ),
+      });
+    } catch (err) {
+      console.error(`🔴 Error checking ${fingerprint.kind} duplicates:`, err);
+    }
+  }
+
+  return duplicates;
+};
@@ -0,0 +1,17 @@
+// -----------------------------------------------------------------------------
+// STORAGE ERRORS
+// -----------------------------------------------------------------------------
+
+// MongoDB's duplicate key code; the other backends use it too, so callers
+// handle a unique index violation the same way whatever the backend
+export const DUPLICATE_KEY = 11000;
+
+export class DuplicateKeyError extends Error {
+  constructor(key, { cause } = {}) {
+    super(`Duplicate key ${key}`, { cause });
+    this.name = "DuplicateKeyError";
+    this.code = DUPLICATE_KEY;
+  }
+}
+
+export const isDuplicateKeyError = (err) => err?.code === DUPLICATE_KEY;
@@ -0,0 +1,131 @@
+import { createMemoryStorage } from "./memory.js";
+import { createMongoStorage } from "./mongo.js";
+import { createSqliteStorage } from "./sqlite.js";
+
+// -----------------------------------------------------------------------------
+// STORAGE: Where everything the bot remembers is kept
+// -----------------------------------------------------------------------------
+// Chosen with STORAGE_BACKEND. Every backend offers the same stores:
+//
+// storage.images — Image records, unique per { hash, guildId, pool, algorithm }
+//   insertIfAbsent(key, fields)  => { record, inserted }; an existing record
+//                                   with the key is returned untouched. Atomic:
+//                                   of concurrent calls for one key, exactly
+//                                   one gets inserted: true
+//   findByKey(key), findById(guildId, id), findByMessage(guildId, messageId)
+//   findCandidates({ guildId, algorithm, pool, segments })
+//                                => records in `pool` or listed (any pool when
+//                                   null), sharing a segment if segments given
+//   findByAlgorithm({ guildId, algorithm, pool }), findListed(guildId, status,
+//   limit), findWithoutAuthor(guildId)
+//   countOutdated(guildId, settings), findOutdated(guildId, settings)
+//                                => records hashed differently from `settings`
+//                                   (see hashSettings), oldest post first
+//   update(guildId, id, changes) => whether the record exists; throws a
+//                                   duplicate key error (see errors.js) if the
+//                                   changes collide with another record's key
+//   delete(guildId, id), moveOriginalIfEarlier(key, original),
+//   setAuthor(guildId, messageId, authorId),
+//   setListStatus(guildId, { recordId | messageId }, fields),
+//   unlist(guildId, status, { recordId | messageId })
+//   purge({ guildId, before, pool, exceptPools, dryRun })
+//                                => number of unlisted records posted before
+//                                   `before` that were deleted (with dryRun,
+//                                   only counted); in `pool` when given, else
+//                                   in any pool but `exceptPools`
+//
+// storage.configs — one GuildConfig per guild
+//   get(guildId) => config or null
+//   update(guildId, changes) => updated config, or null if there is none
+//   upsert(guildId, changes) => updated or newly created config
+//
+// storage.strikes — Strike records
+//   create(fields) => the new strike; findById(id) => strike or null
+//   setPenalties(id, penalties)
+//   countActive({ guildId, userId, since }) => uncleared strikes since `since`
+//   list(guildId, userId) => the member's strikes, newest first
+//   clear(guildId, userId, { strikeId, clearedBy }) => number cleared; all
+//                                   active strikes when strikeId is unset
+//
+// storage.events — AuditEvent records
+//   create(fields) => the new event
+//   find(guildId, { userId, channelId, type, since, until, limit })
+//                                => newest first; userId matches the actor or
+//                                   the target, `until` is exclusive
+//
+// storage.reviews — Review records, duplicates held for a moderator
+//   create(fields) => the new review; update(id, changes) => updated review
+//   delete(id), countPending(guildId)
+//   decide(guildId, id, changes) => the updated review, or null if it wasn't
+//                                   pending; of concurrent calls, one wins
+//
+// storage.appeals — Appeal records, at most one per strike
+//   create(fields) => the new appeal; throws a duplicate key error if the
+//                     strike was already appealed
+//   update(id, changes), delete(id), decide(guildId, id, changes) as reviews
+//
+// storage.expiries — ExpiryJob records, timed penalties to revert
+//   create(fields) => the new job; update(id, changes) => updated job
+//   listPending(guildId, userId) => pending jobs, soonest first; of every
+//                                   member when userId is unset
+//   findDue(now) => pending jobs of every guild expiring by `now`, soonest first
+//   claim(id) => the job, now running with one more attempt, or null if it
+//                wasn't pending; of concurrent calls, one wins
+//   cancel(guildId, id) => the cancelled job, or null if it wasn't pending
+//   cancelForPenalty({ guildId, userId, type, roleId }) => number of pending
+//                                   jobs reverting that penalty, cancelled
+//   releaseRunning() => jobs left running by a crash are pending again
+//
+// storage.backfills — BackfillJob records
+//   create(fields), findById(id), update(id, changes) => the job
+//   findRunning(guildId, channelId) => the channel's running job or null
+//   list(guildId, limit) => newest first; listRunning() => of every guild
+//   cancel(guildId, channelId) => the cancelled job, or null if none was running
+//
+// Changes are { field: value }, where undefined removes the field. Returned
+// records and configs are read-only snapshots; change them through the store.
+
+export const STORAGE_BACKENDS = {
+  mongo: "MongoDB",
+  memory: "In memory (lost on restart)",
+  sqlite: "SQLite file",
+};
+
+export const DEFAULT_SQLITE_PATH = "imageguard.sqlite";
+
+export const storage = {
+  backend: null,
+  images: null,
+  configs: null,
+  strikes: null,
+  events: null,
+  reviews: null,
+  appeals: null,
+  expiries: null,
+  backfills: null,
+  close: () => {},
+};
+
+const createStorage = (backend) => {
+  switch (backend) {
+    case "mongo":
+      return createMongoStorage();
+    case "memory":
+      return createMemoryStorage();
+    case "sqlite":
+      return createSqliteStorage(process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH);
+    default:
+      throw new Error(
+        `Unknown STORAGE_BACKEND "${backend}"; use one of ${Object.keys(STORAGE_BACKENDS).join(", ")}.`
+      );
+  }
+};
+
+// Open the backend named by STORAGE_BACKEND (MongoDB when unset), replacing
+// any backend opened before
+export const openStorage = async (backend = process.env.STORAGE_BACKEND || "mongo") => {
+  const { close = () => {}, ...stores } = await createStorage(backend);
+  storage.close();
+  Object.assign(storage, { backend, ...stores, close });
+  return storage;
+};
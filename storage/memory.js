@@ -0,0 +1,424 @@
+import { DuplicateKeyError } from "./errors.js";
+import {
+  UNLISTED,
+  applyChanges,
+  byPostedAt,
+  imageKey,
+  inPool,
+  isActiveStrike,
+  isDue,
+  isExpired,
+  isOutdated,
+  isPending,
+  matchesEventFilters,
+  matchesTarget,
+  newAppeal,
+  newAuditEvent,
+  newBackfillJob,
+  newExpiryJob,
+  newImageRecord,
+  newReview,
+  newStrike,
+  newestFirst,
+  postedAt,
+  readAppeal,
+  readAuditEvent,
+  readBackfillJob,
+  readExpiryJob,
+  readGuildConfig,
+  readImageRecord,
+  readReview,
+  readStrike,
+  revertsPenalty,
+  sameId,
+  soonestFirst,
+  writeGuildConfig,
+} from "./records.js";
+
+// -----------------------------------------------------------------------------
+// MEMORY STORAGE: Everything in this process, gone when it exits
+// -----------------------------------------------------------------------------
+// For trying the bot out and for tests. Calls are as asynchronous as the other
+// backends', but each one runs without yielding, which is what makes
+// insertIfAbsent atomic.
+
+export const createMemoryStorage = () => {
+  // Record ID => record, and unique key => record ID
+  const records = new Map();
+  const keys = new Map();
+  const guildConfigs = new Map();
+  // Strike ID => strike, and audit events oldest first
+  const strikeRecords = new Map();
+  const events = [];
+
+  const guildRecords = (guildId) =>
+    [...records.values()].filter((image) => image.guildId === guildId);
+
+  const find = (guildId, id) => {
+    const record = records.get(String(id));
+    return record && record.guildId === guildId ? record : null;
+  };
+
+  // Store a changed record, keeping the unique key index in step
+  const replace = (record, updated) => {
+    const oldKey = imageKey(record);
+    const newKey = imageKey(updated);
+    if (newKey !== oldKey) {
+      if (keys.has(newKey)) throw new DuplicateKeyError(newKey);
+      keys.delete(oldKey);
+      keys.set(newKey, String(record._id));
+    }
+    records.set(String(record._id), { ...updated, updatedAt: new Date() });
+  };
+
+  const remove = (record) => {
+    records.delete(String(record._id));
+    keys.delete(imageKey(record));
+  };
+
+  const read = (record) => (record ? readImageRecord(record) : null);
+
+  const images = {
+    insertIfAbsent: async (key, fields) => {
+      const existing = records.get(keys.get(imageKey(key)));
+      if (existing) return { record: read(existing), inserted: false };
+
+      const record = newImageRecord(key, fields);
+      records.set(String(record._id), record);
+      keys.set(imageKey(key), String(record._id));
+      return { record: read(record), inserted: true };
+    },
+
+    findByKey: async (key) => read(records.get(keys.get(imageKey(key)))),
+
+    findById: async (guildId, id) => read(find(guildId, id)),
+
+    findByMessage: async (guildId, messageId) =>
+      guildRecords(guildId)
+        .filter((image) => image.messageId === messageId)
+        .map(read),
+
+    findCandidates: async ({ guildId, algorithm, pool = null, segments = null }) => {
+      const wanted = segments && new Set(segments);
+      return guildRecords(guildId)
+        .filter(
+          (image) =>
+            image.algorithm === algorithm &&
+            inPool(image, pool) &&
+            (!wanted || image.segments.some((segment) => wanted.has(segment)))
+        )
+        .map(read);
+    },
+
+    findByAlgorithm: async ({ guildId, algorithm, pool = null }) =>
+      guildRecords(guildId)
+        .filter((image) => image.algorithm === algorithm && (!pool || image.pool === pool))
+        .map(read),
+
+    findListed: async (guildId, status, limit) =>
+      guildRecords(guildId)
+        .filter((image) => image.listStatus === status)
+        .sort((a, b) => b.listedAt - a.listedAt)
+        .slice(0, limit)
+        .map(read),
+
+    findWithoutAuthor: async (guildId) =>
+      guildRecords(guildId)
+        .filter((image) => image.authorId === undefined)
+        .map(read),
+
+    countOutdated: async (guildId, settings) =>
+      guildRecords(guildId).filter((image) => isOutdated(image, settings)).length,
+
+    findOutdated: async function* (guildId, settings) {
+      const outdated = guildRecords(guildId)
+        .filter((image) => isOutdated(image, settings))
+        .sort(byPostedAt);
+      for (const image of outdated) yield read(image);
+    },
+
+    update: async (guildId, id, changes) => {
+      const record = find(guildId, id);
+      if (!record) return false;
+      replace(record, applyChanges(record, changes));
+      return true;
+    },
+
+    delete: async (guildId, id) => {
+      const record = find(guildId, id);
+      if (record) remove(record);
+      return Boolean(record);
+    },
+
+    moveOriginalIfEarlier: async (key, original) => {
+      const record = records.get(keys.get(imageKey(key)));
+      if (!record || postedAt(record) <= original.postedAt) {
+        return false;
+      }
+      replace(record, applyChanges(record, original));
+      return true;
+    },
+
+    setAuthor: async (guildId, messageId, authorId) => {
+      const matching = guildRecords(guildId).filter(
+        (image) => image.messageId === messageId && image.authorId !== authorId
+      );
+      for (const record of matching) replace(record, { ...record, authorId });
+      return matching.length;
+    },
+
+    setListStatus: async (guildId, target, fields) => {
+      const matching = guildRecords(guildId).filter((image) =>
+        matchesTarget(image, target)
+      );
+      for (const record of matching) replace(record, applyChanges(record, fields));
+      return matching.length;
+    },
+
+    // Records that only existed for the list go, the rest are unlisted
+    unlist: async (guildId, status, target) => {
+      const matching = guildRecords(guildId).filter(
+        (image) => image.listStatus === status && matchesTarget(image, target)
+      );
+      for (const record of matching) {
+        if (record.createdForList) {
+          remove(record);
+        } else {
+          replace(record, applyChanges(record, UNLISTED));
+        }
+      }
+      return matching.length;
+    },
+
+    purge: async ({ guildId, dryRun = false, ...scope }) => {
+      const expired = guildRecords(guildId).filter((image) => isExpired(image, scope));
+      if (!dryRun) expired.forEach(remove);
+      return expired.length;
+    },
+  };
+
+  const configs = {
+    get: async (guildId) => {
+      const stored = guildConfigs.get(guildId);
+      return stored ? readGuildConfig(stored) : null;
+    },
+
+    update: async (guildId, changes) => {
+      const stored = guildConfigs.get(guildId);
+      if (!stored) return null;
+      const updated = writeGuildConfig(applyChanges(stored, changes));
+      guildConfigs.set(guildId, updated);
+      return readGuildConfig(updated);
+    },
+
+    upsert: async (guildId, changes) => {
+      const stored = guildConfigs.get(guildId) ?? writeGuildConfig({ guildId });
+      guildConfigs.set(guildId, writeGuildConfig(applyChanges(stored, changes)));
+      return readGuildConfig(guildConfigs.get(guildId));
+    },
+  };
+
+  const userStrikes = (guildId, userId) =>
+    [...strikeRecords.values()].filter(
+      (strike) => strike.guildId === guildId && strike.userId === userId
+    );
+
+  const strikes = {
+    create: async (fields) => {
+      const strike = newStrike(fields);
+      strikeRecords.set(String(strike._id), strike);
+      return readStrike(strike);
+    },
+
+    findById: async (id) => {
+      const strike = strikeRecords.get(String(id));
+      return strike ? readStrike(strike) : null;
+    },
+
+    setPenalties: async (id, penalties) => {
+      const strike = strikeRecords.get(String(id));
+      if (strike) strikeRecords.set(String(id), { ...strike, penalties, updatedAt: new Date() });
+    },
+
+    countActive: async ({ guildId, userId, since }) =>
+      userStrikes(guildId, userId).filter((strike) => isActiveStrike(strike, since)).length,
+
+    list: async (guildId, userId) =>
+      userStrikes(guildId, userId).sort(newestFirst).map(readStrike),
+
+    clear: async (guildId, userId, { strikeId, clearedBy }) => {
+      const cleared = userStrikes(guildId, userId).filter(
+        (strike) => !strike.clearedAt && (!strikeId || String(strike._id) === String(strikeId))
+      );
+      const now = new Date();
+      for (const strike of cleared) {
+        strikeRecords.set(String(strike._id), {
+          ...strike,
+          clearedAt: now,
+          clearedBy,
+          updatedAt: now,
+        });
+      }
+      return cleared.length;
+    },
+  };
+
+  const auditEvents = {
+    create: async (fields) => {
+      const event = newAuditEvent(fields);
+      events.push(event);
+      return readAuditEvent(event);
+    },
+
+    find: async (guildId, { limit, ...filters }) =>
+      events
+        .filter((event) => event.guildId === guildId && matchesEventFilters(event, filters))
+        .sort(newestFirst)
+        .slice(0, limit)
+        .map(readAuditEvent),
+  };
+
+  // ---------------------------------------
+  //  Reviews, Appeals and Jobs
+  // ---------------------------------------
+
+  // Records by ID, created with `create` and handed out through `read`
+  const collection = (create, read) => {
+    const stored = new Map();
+    const get = (id) => stored.get(String(id)) ?? null;
+    const update = (record, changes) => {
+      const updated = { ...applyChanges(record, changes), updatedAt: new Date() };
+      stored.set(String(record._id), updated);
+      return read(updated);
+    };
+
+    return {
+      all: () => [...stored.values()],
+      get,
+      read: (record) => (record ? read(record) : null),
+      insert: (fields) => {
+        const record = create(fields);
+        stored.set(String(record._id), record);
+        return read(record);
+      },
+      update,
+      updateById: (id, changes) => {
+        const record = get(id);
+        return record ? update(record, changes) : null;
+      },
+      delete: (id) => stored.delete(String(id)),
+    };
+  };
+
+  // The record changed if `guildId` can still decide it, else null
+  const decide = (records) => async (guildId, id, changes) => {
+    const record = records.get(id);
+    return record && isPending(record, guildId) ? records.update(record, changes) : null;
+  };
+
+  const reviewRecords = collection(newReview, readReview);
+
+  const reviews = {
+    create: async (fields) => reviewRecords.insert(fields),
+    update: async (id, changes) => reviewRecords.updateById(id, changes),
+    delete: async (id) => reviewRecords.delete(id),
+    decide: decide(reviewRecords),
+    countPending: async (guildId) =>
+      reviewRecords.all().filter((review) => isPending(review, guildId)).length,
+  };
+
+  const appealRecords = collection(newAppeal, readAppeal);
+
+  const appeals = {
+    create: async (fields) => {
+      if (appealRecords.all().some((appeal) => sameId(appeal.strikeId, fields.strikeId))) {
+        throw new DuplicateKeyError(`strikeId ${fields.strikeId}`);
+      }
+      return appealRecords.insert(fields);
+    },
+    update: async (id, changes) => appealRecords.updateById(id, changes),
+    delete: async (id) => appealRecords.delete(id),
+    decide: decide(appealRecords),
+  };
+
+  const expiryJobs = collection(newExpiryJob, readExpiryJob);
+
+  const expiries = {
+    create: async (fields) => expiryJobs.insert(fields),
+    update: async (id, changes) => expiryJobs.updateById(id, changes),
+    listPending: async (guildId, userId) =>
+      expiryJobs
+        .all()
+        .filter((job) => isPending(job, guildId) && (!userId || job.userId === userId))
+        .sort(soonestFirst)
+        .map(expiryJobs.read),
+    findDue: async (now) =>
+      expiryJobs.all().filter((job) => isDue(job, now)).sort(soonestFirst).map(expiryJobs.read),
+    claim: async (id) => {
+      const job = expiryJobs.get(id);
+      return job?.status === "pending"
+        ? expiryJobs.update(job, { status: "running", attempts: job.attempts + 1 })
+        : null;
+    },
+    cancel: async (guildId, id) => {
+      const job = expiryJobs.get(id);
+      return job && isPending(job, guildId)
+        ? expiryJobs.update(job, { status: "cancelled" })
+        : null;
+    },
+    cancelForPenalty: async (penalty) => {
+      const matching = expiryJobs.all().filter((job) => revertsPenalty(job, penalty));
+      for (const job of matching) expiryJobs.update(job, { status: "cancelled" });
+      return matching.length;
+    },
+    releaseRunning: async () => {
+      for (const job of expiryJobs.all()) {
+        if (job.status === "running") expiryJobs.update(job, { status: "pending" });
+      }
+    },
+  };
+
+  const backfillJobs = collection(newBackfillJob, readBackfillJob);
+  const runningBackfill = (guildId, channelId) =>
+    backfillJobs
+      .all()
+      .find(
+        (job) =>
+          job.guildId === guildId && job.channelId === channelId && job.status === "running"
+      );
+
+  const backfills = {
+    create: async (fields) => backfillJobs.insert(fields),
+    findById: async (id) => backfillJobs.read(backfillJobs.get(id)),
+    update: async (id, changes) => backfillJobs.updateById(id, changes),
+    findRunning: async (guildId, channelId) =>
+      backfillJobs.read(runningBackfill(guildId, channelId)),
+    list: async (guildId, limit) =>
+      backfillJobs
+        .all()
+        .filter((job) => job.guildId === guildId)
+        .sort(newestFirst)
+        .slice(0, limit)
+        .map(backfillJobs.read),
+    listRunning: async () =>
+      backfillJobs
+        .all()
+        .filter((job) => job.status === "running")
+        .map(backfillJobs.read),
+    cancel: async (guildId, channelId) => {
+      const job = runningBackfill(guildId, channelId);
+      return job ? backfillJobs.update(job, { status: "cancelled" }) : null;
+    },
+  };
+
+  return {
+    images,
+    configs,
+    strikes,
+    events: auditEvents,
+    reviews,
+    appeals,
+    expiries,
+    backfills,
+  };
+};
@@ -0,0 +1,377 @@
+import { Appeal } from "../models/Appeal.js";
+import { AuditEvent } from "../models/AuditEvent.js";
+import { BackfillJob } from "../models/BackfillJob.js";
+import { ExpiryJob } from "../models/ExpiryJob.js";
+import { GuildConfig } from "../models/GuildConfig.js";
+import { Image } from "../models/Image.js";
+import { Review } from "../models/Review.js";
+import { Strike } from "../models/Strike.js";
+import { isDuplicateKeyError } from "./errors.js";
+import { DEFAULT_ALGORITHM, TEXT_ALGORITHMS, getHasher } from "../hashing/index.js";
+
+// -----------------------------------------------------------------------------
+// MONGODB STORAGE: Collections through Mongoose
+// -----------------------------------------------------------------------------
+// The connection itself is opened in index.js.
+
+// { field: value } changes as a MongoDB update; undefined unsets
+const toUpdate = (changes) => {
+  const $set = {};
+  const $unset = {};
+  for (const [field, value] of Object.entries(changes)) {
+    if (value === undefined) $unset[field] = 1;
+    else $set[field] = value;
+  }
+  return {
+    ...(Object.keys($set).length > 0 ? { $set } : {}),
+    ...(Object.keys($unset).length > 0 ? { $unset } : {}),
+  };
+};
+
+// Records in `pool` (any pool when null); listed records apply everywhere
+const poolFilter = (pool) =>
+  pool ? { $or: [{ pool }, { listStatus: { $ne: null } }] } : {};
+
+const targetFilter = ({ recordId, messageId }) =>
+  recordId ? { _id: recordId } : { messageId };
+
+const expiredQuery = ({ guildId, before, pool, exceptPools = [] }) => ({
+  guildId,
+  listStatus: null,
+  ...(pool === undefined ? { pool: { $nin: exceptPools } } : { pool }),
+  $or: [
+    { postedAt: { $lt: before } },
+    { postedAt: { $exists: false }, createdAt: { $lt: before } },
+  ],
+});
+
+const outdatedQuery = (guildId, settings) => ({
+  guildId,
+  algorithm: { $nin: Object.values(TEXT_ALGORITHMS) },
+  $or: [
+    { algorithm: { $ne: settings.algorithm } },
+    { confirmAlgorithm: { $ne: settings.confirmAlgorithm } },
+  ],
+});
+
+const MAX_UPSERT_ATTEMPTS = 3;
+
+const images = {
+  // $setOnInsert leaves an existing record untouched (timestamps included),
+  // and the server reports whether the upsert inserted
+  insertIfAbsent: async (key, fields) => {
+    for (let attempt = 1; ; attempt++) {
+      const now = new Date();
+      try {
+        const { value: record, lastErrorObject } = await Image.findOneAndUpdate(
+          key,
+          { $setOnInsert: { ...fields, createdAt: now, updatedAt: now } },
+          {
+            upsert: true,
+            new: true,
+            setDefaultsOnInsert: true,
+            timestamps: false,
+            includeResultMetadata: true,
+          }
+        ).lean();
+        return { record, inserted: !lastErrorObject.updatedExisting };
+      } catch (err) {
+        // Concurrent upserts of a new key can both try to insert; the loser
+        // tries again and finds the winner's record
+        if (!isDuplicateKeyError(err) || attempt >= MAX_UPSERT_ATTEMPTS) throw err;
+      }
+    }
+  },
+
+  findByKey: (key) => Image.findOne(key).lean(),
+
+  findById: (guildId, id) => Image.findOne({ _id: id, guildId }).lean(),
+
+  findByMessage: (guildId, messageId) => Image.find({ guildId, messageId }).lean(),
+
+  findCandidates: ({ guildId, algorithm, pool = null, segments = null }) =>
+    Image.find({
+      guildId,
+      algorithm,
+      ...poolFilter(pool),
+      ...(segments ? { segments: { $in: segments } } : {}),
+    })
+      .select("-segments")
+      .lean(),
+
+  findByAlgorithm: ({ guildId, algorithm, pool = null }) =>
+    Image.find({ guildId, algorithm, ...(pool ? { pool } : {}) }).lean(),
+
+  findListed: (guildId, status, limit) =>
+    Image.find({ guildId, listStatus: status })
+      .sort({ listedAt: -1 })
+      .limit(limit)
+      .lean(),
+
+  findWithoutAuthor: (guildId) =>
+    Image.find({ guildId, authorId: { $exists: false } })
+      .select("channelId messageId")
+      .lean(),
+
+  countOutdated: (guildId, settings) =>
+    Image.countDocuments(outdatedQuery(guildId, settings)),
+
+  findOutdated: (guildId, settings) =>
+    Image.find(outdatedQuery(guildId, settings))
+      .sort({ postedAt: 1, createdAt: 1 })
+      .lean()
+      .cursor(),
+
+  update: async (guildId, id, changes) => {
+    const { matchedCount } = await Image.updateOne(
+      { _id: id, guildId },
+      toUpdate(changes)
+    );
+    return matchedCount > 0;
+  },
+
+  delete: async (guildId, id) => {
+    const { deletedCount } = await Image.deleteOne({ _id: id, guildId });
+    return deletedCount > 0;
+  },
+
+  moveOriginalIfEarlier: async (key, original) => {
+    const { modifiedCount } = await Image.updateOne(
+      {
+        ...key,
+        $or: [
+          { postedAt: { $gt: original.postedAt } },
+          { postedAt: { $exists: false }, createdAt: { $gt: original.postedAt } },
+        ],
+      },
+      { $set: original }
+    );
+    return modifiedCount > 0;
+  },
+
+  setAuthor: async (guildId, messageId, authorId) => {
+    const { modifiedCount } = await Image.updateMany(
+      { guildId, messageId },
+      { $set: { authorId } }
+    );
+    return modifiedCount;
+  },
+
+  setListStatus: async (guildId, target, fields) => {
+    const { modifiedCount, matchedCount } = await Image.updateMany(
+      { guildId, ...targetFilter(target) },
+      { $set: fields }
+    );
+    return modifiedCount || matchedCount;
+  },
+
+  // Records that only existed for the list go, the rest are unlisted
+  unlist: async (guildId, status, target) => {
+    const filter = { guildId, listStatus: status, ...targetFilter(target) };
+    const { deletedCount } = await Image.deleteMany({ ...filter, createdForList: true });
+    const { modifiedCount } = await Image.updateMany(filter, {
+      $set: { listStatus: null },
+      $unset: { listedBy: 1, listedAt: 1, listNote: 1 },
+    });
+    return deletedCount + modifiedCount;
+  },
+
+  purge: async ({ dryRun = false, ...scope }) => {
+    if (dryRun) return Image.countDocuments(expiredQuery(scope));
+    const { deletedCount } = await Image.deleteMany(expiredQuery(scope));
+    return deletedCount;
+  },
+};
+
+const configs = {
+  get: (guildId) => GuildConfig.findOne({ guildId }),
+
+  update: (guildId, changes) =>
+    GuildConfig.findOneAndUpdate({ guildId }, toUpdate(changes), { new: true }),
+
+  upsert: (guildId, changes) =>
+    GuildConfig.findOneAndUpdate({ guildId }, toUpdate(changes), {
+      new: true,
+      upsert: true,
+      setDefaultsOnInsert: true,
+    }),
+};
+
+const strikes = {
+  create: async (fields) => (await Strike.create(fields)).toObject(),
+
+  findById: (id) => Strike.findById(id).lean(),
+
+  setPenalties: (id, penalties) =>
+    Strike.updateOne({ _id: id }, { $set: { penalties } }),
+
+  countActive: ({ guildId, userId, since }) =>
+    Strike.countDocuments({
+      guildId,
+      userId,
+      clearedAt: { $exists: false },
+      createdAt: { $gte: since },
+    }),
+
+  list: (guildId, userId) =>
+    Strike.find({ guildId, userId }).sort({ createdAt: -1 }).lean(),
+
+  clear: async (guildId, userId, { strikeId, clearedBy }) => {
+    const { modifiedCount } = await Strike.updateMany(
+      {
+        guildId,
+        userId,
+        clearedAt: { $exists: false },
+        ...(strikeId ? { _id: strikeId } : {}),
+      },
+      { clearedAt: new Date(), clearedBy }
+    );
+    return modifiedCount;
+  },
+};
+
+const events = {
+  create: async (fields) => (await AuditEvent.create(fields)).toObject(),
+
+  find: (guildId, { userId, channelId, type, since, until, limit }) =>
+    AuditEvent.find({
+      guildId,
+      ...(userId ? { $or: [{ actorId: userId }, { targetId: userId }] } : {}),
+      ...(channelId ? { channelId } : {}),
+      ...(type ? { type } : {}),
+      ...(since || until
+        ? {
+            createdAt: {
+              ...(since ? { $gte: since } : {}),
+              ...(until ? { $lt: until } : {}),
+            },
+          }
+        : {}),
+    })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean(),
+};
+
+// The first record matching `filter`, changed and read back; null if none
+const updateOne = (Model, filter, changes) =>
+  Model.findOneAndUpdate(filter, toUpdate(changes), { new: true }).lean();
+
+const deleteById = async (Model, id) => {
+  const { deletedCount } = await Model.deleteOne({ _id: id });
+  return deletedCount > 0;
+};
+
+const reviews = {
+  create: async (fields) => (await Review.create(fields)).toObject(),
+
+  update: (id, changes) => updateOne(Review, { _id: id }, changes),
+
+  delete: (id) => deleteById(Review, id),
+
+  decide: (guildId, id, changes) =>
+    updateOne(Review, { _id: id, guildId, status: "pending" }, changes),
+
+  countPending: (guildId) => Review.countDocuments({ guildId, status: "pending" }),
+};
+
+const appeals = {
+  create: async (fields) => (await Appeal.create(fields)).toObject(),
+
+  update: (id, changes) => updateOne(Appeal, { _id: id }, changes),
+
+  delete: (id) => deleteById(Appeal, id),
+
+  decide: (guildId, id, changes) =>
+    updateOne(Appeal, { _id: id, guildId, status: "pending" }, changes),
+};
+
+const expiries = {
+  create: async (fields) => (await ExpiryJob.create(fields)).toObject(),
+
+  update: (id, changes) => updateOne(ExpiryJob, { _id: id }, changes),
+
+  listPending: (guildId, userId) =>
+    ExpiryJob.find({ guildId, status: "pending", ...(userId ? { userId } : {}) })
+      .sort({ expiresAt: 1 })
+      .lean(),
+
+  findDue: (now) =>
+    ExpiryJob.find({ status: "pending", expiresAt: { $lte: now } })
+      .sort({ expiresAt: 1 })
+      .lean(),
+
+  claim: (id) =>
+    ExpiryJob.findOneAndUpdate(
+      { _id: id, status: "pending" },
+      { $set: { status: "running" }, $inc: { attempts: 1 } },
+      { new: true }
+    ).lean(),
+
+  cancel: (guildId, id) =>
+    updateOne(ExpiryJob, { _id: id, guildId, status: "pending" }, { status: "cancelled" }),
+
+  cancelForPenalty: async ({ guildId, userId, type, roleId }) => {
+    const { modifiedCount } = await ExpiryJob.updateMany(
+      { guildId, userId, type, status: "pending", ...(roleId ? { roleId } : {}) },
+      { $set: { status: "cancelled" } }
+    );
+    return modifiedCount;
+  },
+
+  releaseRunning: () =>
+    ExpiryJob.updateMany({ status: "running" }, { $set: { status: "pending" } }),
+};
+
+const backfills = {
+  create: async (fields) => (await BackfillJob.create(fields)).toObject(),
+
+  findById: (id) => BackfillJob.findById(id).lean(),
+
+  update: (id, changes) => updateOne(BackfillJob, { _id: id }, changes),
+
+  findRunning: (guildId, channelId) =>
+    BackfillJob.findOne({ guildId, channelId, status: "running" }).lean(),
+
+  list: (guildId, limit) =>
+    BackfillJob.find({ guildId }).sort({ createdAt: -1 }).limit(limit).lean(),
+
+  listRunning: () => BackfillJob.find({ status: "running" }).lean(),
+
+  cancel: (guildId, channelId) =>
+    updateOne(
+      BackfillJob,
+      { guildId, channelId, status: "running" },
+      { status: "cancelled" }
+    ),
+};
+
+export const createMongoStorage = () => ({
+  images,
+  configs,
+  strikes,
+  events,
+  reviews,
+  appeals,
+  expiries,
+  backfills,
+});
+
+// ---------------------------------------
+//  Migrations
+// ---------------------------------------
+
+// Bring stored images up to date with the current schema
+export const migrateImages = async () => {
+  try {
+    // Records from before hash algorithms were selectable are block hashes
+    await Image.updateMany(
+      { algorithm: { $exists: false } },
+      { $set: { algorithm: DEFAULT_ALGORITHM, bits: getHasher(DEFAULT_ALGORITHM).bits } }
+    );
+    // Replaces older unique indexes with the pooled, per-algorithm one
+    await Image.syncIndexes();
+  } catch (err) {
+    console.error("🔴 Failed to migrate image records:", err);
+  }
+};
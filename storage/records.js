@@ -0,0 +1,153 @@
+import { Appeal } from "../models/Appeal.js";
+import { AuditEvent } from "../models/AuditEvent.js";
+import { BackfillJob } from "../models/BackfillJob.js";
+import { ExpiryJob } from "../models/ExpiryJob.js";
+import { GuildConfig } from "../models/GuildConfig.js";
+import { Image } from "../models/Image.js";
+import { Review } from "../models/Review.js";
+import { Strike } from "../models/Strike.js";
+import { TEXT_ALGORITHMS } from "../hashing/text.js";
+
+// -----------------------------------------------------------------------------
+// RECORDS: Shared by the storage backends that don't run on MongoDB
+// -----------------------------------------------------------------------------
+// The Mongoose models still describe every record: building a document
+// offline applies the same defaults and casting MongoDB would, so records
+// look the same whichever backend stored them.
+
+// Fields of the unique { hash, guildId, pool, algorithm } index, as one string
+export const imageKey = ({ guildId, pool = null, algorithm, hash }) =>
+  JSON.stringify([guildId, pool, algorithm, hash]);
+
+// A new record of `Model` with its defaults, an ObjectId and timestamps,
+// validated like Model.create() would
+export const newRecord = (Model, fields, now = new Date()) => {
+  const document = new Model(fields);
+  const error = document.validateSync();
+  if (error) throw error;
+
+  return {
+    ...document.toObject(),
+    createdAt: now,
+    ...(Model.schema.path("updatedAt") ? { updatedAt: now } : {}),
+  };
+};
+
+// A stored record as callers get it: cast back to Dates and ObjectIds, and
+// a copy they can change without touching the store
+export const readRecord = (Model, data) => new Model(data).toObject();
+
+export const newImageRecord = (key, fields) => newRecord(Image, { ...fields, ...key });
+
+export const readImageRecord = (data) => readRecord(Image, data);
+
+export const newStrike = (fields) => newRecord(Strike, fields);
+
+export const readStrike = (data) => readRecord(Strike, data);
+
+export const newAuditEvent = (fields) => newRecord(AuditEvent, fields);
+
+export const readAuditEvent = (data) => readRecord(AuditEvent, data);
+
+export const newReview = (fields) => newRecord(Review, fields);
+
+export const readReview = (data) => readRecord(Review, data);
+
+export const newAppeal = (fields) => newRecord(Appeal, fields);
+
+export const readAppeal = (data) => readRecord(Appeal, data);
+
+export const newExpiryJob = (fields) => newRecord(ExpiryJob, fields);
+
+export const readExpiryJob = (data) => readRecord(ExpiryJob, data);
+
+export const newBackfillJob = (fields) => newRecord(BackfillJob, fields);
+
+export const readBackfillJob = (data) => readRecord(BackfillJob, data);
+
+export const readGuildConfig = (data) => new GuildConfig(data).toObject();
+
+// JSON-safe form of a config (templates is a Map)
+export const writeGuildConfig = (config) =>
+  new GuildConfig(config).toObject({ flattenMaps: true });
+
+// Apply { field: value } changes to a copy of `record`; undefined unsets
+export const applyChanges = (record, changes) => {
+  const updated = { ...record };
+  for (const [field, value] of Object.entries(changes)) {
+    if (value === undefined) delete updated[field];
+    else updated[field] = value;
+  }
+  return updated;
+};
+
+export const sameId = (a, b) => String(a) === String(b);
+
+// In `pool`, or listed (listed records apply everywhere); any pool when null
+export const inPool = (image, pool) =>
+  !pool || image.pool === pool || (image.listStatus ?? null) !== null;
+
+// Records from before `postedAt` existed only have createdAt
+export const postedAt = (image) => image.postedAt ?? image.createdAt;
+
+// Whether a retention purge forgets the record: unlisted and posted before
+// `before`, in `pool` (null for records without one) or, when no pool is
+// given, in any pool but `exceptPools`
+export const isExpired = (image, { before, pool, exceptPools = [] }) =>
+  (image.listStatus ?? null) === null &&
+  postedAt(image) < before &&
+  (pool === undefined
+    ? !exceptPools.includes(image.pool ?? null)
+    : (image.pool ?? null) === pool);
+
+export const byPostedAt = (a, b) => postedAt(a) - postedAt(b);
+
+// Image records hashed with anything other than the guild's current choice
+export const isOutdated = (image, settings) =>
+  !Object.values(TEXT_ALGORITHMS).includes(image.algorithm) &&
+  (image.algorithm !== settings.algorithm ||
+    (image.confirmAlgorithm ?? null) !== settings.confirmAlgorithm);
+
+// Messages and records named by { recordId } or { messageId }
+export const matchesTarget = (image, { recordId, messageId }) =>
+  recordId ? sameId(image._id, recordId) : image.messageId === messageId;
+
+// Changes that take a record off its list
+export const UNLISTED = {
+  listStatus: null,
+  listedBy: undefined,
+  listedAt: undefined,
+  listNote: undefined,
+};
+
+// Strikes that still count: not cleared, and given since `since`
+export const isActiveStrike = (strike, since) =>
+  !strike.clearedAt && strike.createdAt >= since;
+
+// Audit events involving `userId` (as actor or target), in `channelId`, of
+// `type` and within [since, until)
+export const matchesEventFilters = (event, { userId, channelId, type, since, until }) =>
+  (!userId || event.actorId === userId || event.targetId === userId) &&
+  (!channelId || event.channelId === channelId) &&
+  (!type || event.type === type) &&
+  (!since || event.createdAt >= since) &&
+  (!until || event.createdAt < until);
+
+export const newestFirst = (a, b) => b.createdAt - a.createdAt;
+
+// Reviews and appeals a moderator can still decide
+export const isPending = (record, guildId) =>
+  record.guildId === guildId && record.status === "pending";
+
+// Pending expiry jobs due by `now`, and the order they run in
+export const isDue = (job, now) => job.status === "pending" && job.expiresAt <= now;
+
+export const soonestFirst = (a, b) => a.expiresAt - b.expiresAt;
+
+// Pending expiry jobs that would revert `penalty` ({ guildId, userId, type,
+// roleId }); any role when roleId is unset
+export const revertsPenalty = (job, { guildId, userId, type, roleId }) =>
+  isPending(job, guildId) &&
+  job.userId === userId &&
+  job.type === type &&
+  (!roleId || job.roleId === roleId);
@@ -0,0 +1,681 @@
+import { DuplicateKeyError } from "./errors.js";
+import {
+  UNLISTED,
+  applyChanges,
+  byPostedAt,
+  imageKey,
+  isExpired,
+  isOutdated,
+  isPending,
+  newAppeal,
+  newAuditEvent,
+  newBackfillJob,
+  newExpiryJob,
+  newImageRecord,
+  newReview,
+  newStrike,
+  postedAt,
+  readAppeal,
+  readAuditEvent,
+  readBackfillJob,
+  readExpiryJob,
+  readGuildConfig,
+  readImageRecord,
+  readReview,
+  readStrike,
+  writeGuildConfig,
+} from "./records.js";
+
+// -----------------------------------------------------------------------------
+// SQLITE STORAGE: Everything in a single local file
+// -----------------------------------------------------------------------------
+// Records are stored as JSON, with the fields lookups filter on copied into
+// columns. better-sqlite3 is synchronous, so every call runs to completion
+// before another one starts.
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS images (
+    id TEXT PRIMARY KEY,
+    guild_id TEXT NOT NULL,
+    -- '' for guild-wide records, since NULLs never collide in a UNIQUE index
+    pool TEXT NOT NULL,
+    algorithm TEXT NOT NULL,
+    hash TEXT NOT NULL,
+    message_id TEXT,
+    list_status TEXT,
+    data TEXT NOT NULL,
+    UNIQUE (guild_id, pool, algorithm, hash)
+  );
+  CREATE INDEX IF NOT EXISTS images_by_message ON images (guild_id, message_id);
+
+  -- Multi-index hashing buckets, see utils/similarity.js
+  CREATE TABLE IF NOT EXISTS image_segments (
+    image_id TEXT NOT NULL REFERENCES images (id) ON DELETE CASCADE,
+    guild_id TEXT NOT NULL,
+    segment TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS image_segments_lookup ON image_segments (guild_id, segment);
+  CREATE INDEX IF NOT EXISTS image_segments_by_image ON image_segments (image_id);
+
+  CREATE TABLE IF NOT EXISTS guild_configs (
+    guild_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+
+  -- Dates are ISO strings, which sort like the dates themselves
+  CREATE TABLE IF NOT EXISTS strikes (
+    id TEXT PRIMARY KEY,
+    guild_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    cleared INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS strikes_by_user ON strikes (guild_id, user_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS audit_events (
+    id TEXT PRIMARY KEY,
+    guild_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    actor_id TEXT,
+    target_id TEXT,
+    channel_id TEXT,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS audit_events_by_guild ON audit_events (guild_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS reviews (
+    id TEXT PRIMARY KEY,
+    guild_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS reviews_by_status ON reviews (guild_id, status);
+
+  CREATE TABLE IF NOT EXISTS appeals (
+    id TEXT PRIMARY KEY,
+    guild_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    strike_id TEXT NOT NULL UNIQUE,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS expiry_jobs (
+    id TEXT PRIMARY KEY,
+    guild_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    expires_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS expiry_jobs_due ON expiry_jobs (status, expires_at);
+  CREATE INDEX IF NOT EXISTS expiry_jobs_by_guild ON expiry_jobs (guild_id, status);
+
+  CREATE TABLE IF NOT EXISTS backfill_jobs (
+    id TEXT PRIMARY KEY,
+    guild_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    channel_id TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS backfill_jobs_by_guild ON backfill_jobs (guild_id, created_at);
+`;
+
+const loadDriver = async () => {
+  try {
+    return (await import("better-sqlite3")).default;
+  } catch (err) {
+    throw new Error(
+      'STORAGE_BACKEND=sqlite needs the better-sqlite3 package; run "npm install better-sqlite3".',
+      { cause: err }
+    );
+  }
+};
+
+const columns = (record) => ({
+  id: String(record._id),
+  guildId: record.guildId,
+  pool: record.pool ?? "",
+  algorithm: record.algorithm,
+  hash: record.hash ?? "",
+  messageId: record.messageId ?? null,
+  listStatus: record.listStatus ?? null,
+  data: JSON.stringify(record),
+});
+
+const keyParams = (key) => [key.guildId, key.pool ?? "", key.algorithm, key.hash];
+
+export const createSqliteStorage = async (path) => {
+  const Database = await loadDriver();
+  const db = new Database(path);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  db.exec(SCHEMA);
+
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO images (id, guild_id, pool, algorithm, hash, message_id, list_status, data)
+      VALUES (@id, @guildId, @pool, @algorithm, @hash, @messageId, @listStatus, @data)
+    `),
+    update: db.prepare(`
+      UPDATE images
+      SET pool = @pool, algorithm = @algorithm, hash = @hash, message_id = @messageId,
+          list_status = @listStatus, data = @data
+      WHERE id = @id
+    `),
+    delete: db.prepare("DELETE FROM images WHERE id = ?"),
+    clearSegments: db.prepare("DELETE FROM image_segments WHERE image_id = ?"),
+    addSegment: db.prepare(
+      "INSERT INTO image_segments (image_id, guild_id, segment) VALUES (?, ?, ?)"
+    ),
+    byKey: db.prepare(
+      "SELECT data FROM images WHERE guild_id = ? AND pool = ? AND algorithm = ? AND hash = ?"
+    ),
+    byId: db.prepare("SELECT data FROM images WHERE id = ? AND guild_id = ?"),
+    byMessage: db.prepare("SELECT data FROM images WHERE guild_id = ? AND message_id = ?"),
+    byGuild: db.prepare("SELECT data FROM images WHERE guild_id = ?"),
+    // A pool of '' means any pool; listed records apply in every pool
+    candidates: db.prepare(`
+      SELECT data FROM images
+      WHERE guild_id = @guildId AND algorithm = @algorithm
+        AND (@pool = '' OR pool = @pool OR list_status IS NOT NULL)
+    `),
+    candidatesBySegment: db.prepare(`
+      SELECT data FROM images
+      WHERE guild_id = @guildId AND algorithm = @algorithm
+        AND (@pool = '' OR pool = @pool OR list_status IS NOT NULL)
+        AND id IN (
+          SELECT image_id FROM image_segments
+          WHERE guild_id = @guildId AND segment IN (SELECT value FROM json_each(@segments))
+        )
+    `),
+    byAlgorithm: db.prepare(`
+      SELECT data FROM images
+      WHERE guild_id = @guildId AND algorithm = @algorithm AND (@pool = '' OR pool = @pool)
+    `),
+    listed: db.prepare("SELECT data FROM images WHERE guild_id = ? AND list_status = ?"),
+    withoutAuthor: db.prepare(
+      "SELECT data FROM images WHERE guild_id = ? AND json_extract(data, '$.authorId') IS NULL"
+    ),
+    config: db.prepare("SELECT data FROM guild_configs WHERE guild_id = ?"),
+    saveConfig: db.prepare(`
+      INSERT INTO guild_configs (guild_id, data) VALUES (?, ?)
+      ON CONFLICT (guild_id) DO UPDATE SET data = excluded.data
+    `),
+    insertStrike: db.prepare(`
+      INSERT INTO strikes (id, guild_id, user_id, created_at, cleared, data)
+      VALUES (@id, @guildId, @userId, @createdAt, @cleared, @data)
+    `),
+    updateStrike: db.prepare(
+      "UPDATE strikes SET cleared = @cleared, data = @data WHERE id = @id"
+    ),
+    strikeById: db.prepare("SELECT data FROM strikes WHERE id = ?"),
+    userStrikes: db.prepare(
+      "SELECT data FROM strikes WHERE guild_id = ? AND user_id = ? ORDER BY created_at DESC"
+    ),
+    countActiveStrikes: db.prepare(`
+      SELECT COUNT(*) AS count FROM strikes
+      WHERE guild_id = ? AND user_id = ? AND cleared = 0 AND created_at >= ?
+    `),
+    insertEvent: db.prepare(`
+      INSERT INTO audit_events (id, guild_id, type, actor_id, target_id, channel_id, created_at, data)
+      VALUES (@id, @guildId, @type, @actorId, @targetId, @channelId, @createdAt, @data)
+    `),
+    findEvents: db.prepare(`
+      SELECT data FROM audit_events
+      WHERE guild_id = @guildId
+        AND (@userId IS NULL OR actor_id = @userId OR target_id = @userId)
+        AND (@channelId IS NULL OR channel_id = @channelId)
+        AND (@type IS NULL OR type = @type)
+        AND (@since IS NULL OR created_at >= @since)
+        AND (@until IS NULL OR created_at < @until)
+      ORDER BY created_at DESC
+      LIMIT @limit
+    `),
+  };
+
+  const read = (row) => (row ? readImageRecord(JSON.parse(row.data)) : null);
+  const readAll = (rows) => rows.map(read);
+
+  // Run `statement` with a record's columns, turning a UNIQUE violation into
+  // the same error the other backends throw
+  const write = (statement, record) => {
+    try {
+      statement.run(columns(record));
+    } catch (err) {
+      if (err.code === "SQLITE_CONSTRAINT_UNIQUE") {
+        throw new DuplicateKeyError(imageKey(record), { cause: err });
+      }
+      throw err;
+    }
+    statements.clearSegments.run(String(record._id));
+    for (const segment of new Set(record.segments ?? [])) {
+      statements.addSegment.run(String(record._id), record.guildId, segment);
+    }
+  };
+
+  // The lookup and the insert share one write lock, so another process using
+  // the file can't insert the key in between
+  const insertUnlessKeyExists = db.transaction((key, fields) => {
+    const existing = read(statements.byKey.get(...keyParams(key)));
+    if (existing) return { record: existing, inserted: false };
+
+    const record = newImageRecord(key, fields);
+    write(statements.insert, record);
+    return { record: readImageRecord(record), inserted: true };
+  });
+  const updateRecord = db.transaction((record, changes) => {
+    write(statements.update, { ...applyChanges(record, changes), updatedAt: new Date() });
+  });
+
+  const deleteRecords = db.transaction((records) => {
+    for (const record of records) statements.delete.run(String(record._id));
+  });
+
+  const byTarget = (guildId, { recordId, messageId }) =>
+    recordId
+      ? [statements.byId.get(String(recordId), guildId)].filter(Boolean)
+      : statements.byMessage.all(guildId, messageId);
+
+  const images = {
+    insertIfAbsent: async (key, fields) => insertUnlessKeyExists.immediate(key, fields),
+
+    findByKey: async (key) => read(statements.byKey.get(...keyParams(key))),
+
+    findById: async (guildId, id) => read(statements.byId.get(String(id), guildId)),
+
+    findByMessage: async (guildId, messageId) =>
+      readAll(statements.byMessage.all(guildId, messageId)),
+
+    findCandidates: async ({ guildId, algorithm, pool = null, segments = null }) =>
+      readAll(
+        segments
+          ? statements.candidatesBySegment.all({
+              guildId,
+              algorithm,
+              pool: pool ?? "",
+              segments: JSON.stringify(segments),
+            })
+          : statements.candidates.all({ guildId, algorithm, pool: pool ?? "" })
+      ),
+
+    findByAlgorithm: async ({ guildId, algorithm, pool = null }) =>
+      readAll(statements.byAlgorithm.all({ guildId, algorithm, pool: pool ?? "" })),
+
+    findListed: async (guildId, status, limit) =>
+      readAll(statements.listed.all(guildId, status))
+        .sort((a, b) => b.listedAt - a.listedAt)
+        .slice(0, limit),
+
+    findWithoutAuthor: async (guildId) => readAll(statements.withoutAuthor.all(guildId)),
+
+    countOutdated: async (guildId, settings) =>
+      readAll(statements.byGuild.all(guildId)).filter((image) =>
+        isOutdated(image, settings)
+      ).length,
+
+    // Read up front: the connection can't write while a query is being read
+    findOutdated: async function* (guildId, settings) {
+      const outdated = readAll(statements.byGuild.all(guildId))
+        .filter((image) => isOutdated(image, settings))
+        .sort(byPostedAt);
+      yield* outdated;
+    },
+
+    update: async (guildId, id, changes) => {
+      const record = read(statements.byId.get(String(id), guildId));
+      if (!record) return false;
+      updateRecord(record, changes);
+      return true;
+    },
+
+    delete: async (guildId, id) => {
+      const record = statements.byId.get(String(id), guildId);
+      if (record) statements.delete.run(String(id));
+      return Boolean(record);
+    },
+
+    moveOriginalIfEarlier: async (key, original) => {
+      const record = read(statements.byKey.get(...keyParams(key)));
+      if (!record || postedAt(record) <= original.postedAt) return false;
+      updateRecord(record, original);
+      return true;
+    },
+
+    setAuthor: async (guildId, messageId, authorId) => {
+      const matching = readAll(statements.byMessage.all(guildId, messageId)).filter(
+        (image) => image.authorId !== authorId
+      );
+      for (const record of matching) updateRecord(record, { authorId });
+      return matching.length;
+    },
+
+    setListStatus: async (guildId, target, fields) => {
+      const matching = readAll(byTarget(guildId, target));
+      for (const record of matching) updateRecord(record, fields);
+      return matching.length;
+    },
+
+    // Records that only existed for the list go, the rest are unlisted
+    unlist: async (guildId, status, target) => {
+      const matching = readAll(byTarget(guildId, target)).filter(
+        (image) => image.listStatus === status
+      );
+      for (const record of matching) {
+        if (record.createdForList) statements.delete.run(String(record._id));
+        else updateRecord(record, UNLISTED);
+      }
+      return matching.length;
+    },
+
+    purge: async ({ guildId, dryRun = false, ...scope }) => {
+      const expired = readAll(statements.byGuild.all(guildId)).filter((image) =>
+        isExpired(image, scope)
+      );
+      if (!dryRun) deleteRecords(expired);
+      return expired.length;
+    },
+  };
+
+  const readConfig = (guildId) => {
+    const row = statements.config.get(guildId);
+    return row ? JSON.parse(row.data) : null;
+  };
+
+  const saveConfig = (guildId, config) => {
+    const stored = writeGuildConfig(config);
+    statements.saveConfig.run(guildId, JSON.stringify(stored));
+    return readGuildConfig(stored);
+  };
+
+  const configs = {
+    get: async (guildId) => {
+      const stored = readConfig(guildId);
+      return stored ? readGuildConfig(stored) : null;
+    },
+
+    update: async (guildId, changes) => {
+      const stored = readConfig(guildId);
+      return stored ? saveConfig(guildId, applyChanges(stored, changes)) : null;
+    },
+
+    upsert: async (guildId, changes) =>
+      saveConfig(guildId, applyChanges(readConfig(guildId) ?? { guildId }, changes)),
+  };
+
+  const strikeColumns = (strike) => ({
+    id: String(strike._id),
+    guildId: strike.guildId,
+    userId: strike.userId,
+    createdAt: strike.createdAt.toISOString(),
+    cleared: strike.clearedAt ? 1 : 0,
+    data: JSON.stringify(strike),
+  });
+
+  const readStrikeRow = (row) => (row ? readStrike(JSON.parse(row.data)) : null);
+
+  const strikes = {
+    create: async (fields) => {
+      const strike = newStrike(fields);
+      statements.insertStrike.run(strikeColumns(strike));
+      return readStrike(strike);
+    },
+
+    findById: async (id) => readStrikeRow(statements.strikeById.get(String(id))),
+
+    setPenalties: async (id, penalties) => {
+      const strike = readStrikeRow(statements.strikeById.get(String(id)));
+      if (strike) {
+        statements.updateStrike.run(
+          strikeColumns({ ...strike, penalties, updatedAt: new Date() })
+        );
+      }
+    },
+
+    countActive: async ({ guildId, userId, since }) =>
+      statements.countActiveStrikes.get(guildId, userId, since.toISOString()).count,
+
+    list: async (guildId, userId) =>
+      statements.userStrikes.all(guildId, userId).map(readStrikeRow),
+
+    clear: async (guildId, userId, { strikeId, clearedBy }) => {
+      const cleared = statements.userStrikes
+        .all(guildId, userId)
+        .map(readStrikeRow)
+        .filter(
+          (strike) => !strike.clearedAt && (!strikeId || String(strike._id) === String(strikeId))
+        );
+      const now = new Date();
+      for (const strike of cleared) {
+        statements.updateStrike.run(
+          strikeColumns({ ...strike, clearedAt: now, clearedBy, updatedAt: now })
+        );
+      }
+      return cleared.length;
+    },
+  };
+
+  const events = {
+    create: async (fields) => {
+      const event = newAuditEvent(fields);
+      statements.insertEvent.run({
+        id: String(event._id),
+        guildId: event.guildId,
+        type: event.type,
+        actorId: event.actorId ?? null,
+        targetId: event.targetId ?? null,
+        channelId: event.channelId ?? null,
+        createdAt: event.createdAt.toISOString(),
+        data: JSON.stringify(event),
+      });
+      return readAuditEvent(event);
+    },
+
+    find: async (guildId, { userId, channelId, type, since, until, limit }) =>
+      statements.findEvents
+        .all({
+          guildId,
+          userId: userId ?? null,
+          channelId: channelId ?? null,
+          type: type ?? null,
+          since: since?.toISOString() ?? null,
+          until: until?.toISOString() ?? null,
+          limit,
+        })
+        .map((row) => readAuditEvent(JSON.parse(row.data))),
+  };
+
+  // ---------------------------------------
+  //  Reviews, Appeals and Jobs
+  // ---------------------------------------
+
+  const isoDate = (date) => (date ? new Date(date).toISOString() : null);
+
+  // A table of records with an id, guild_id, status and data column, plus
+  // `columns` (column => value of a record) that lookups filter on
+  const recordTable = (table, { create, read, columns = {} }) => {
+    const names = ["guild_id", "status", ...Object.keys(columns)];
+    const insert = db.prepare(
+      `INSERT INTO ${table} (id, ${names.join(", ")}, data) VALUES (?, ${names.map(() => "?").join(", ")}, ?)`
+    );
+    const update = db.prepare(
+      `UPDATE ${table} SET ${names.map((name) => `${name} = ?`).join(", ")}, data = ? WHERE id = ?`
+    );
+    const byId = db.prepare(`SELECT data FROM ${table} WHERE id = ?`);
+    const remove = db.prepare(`DELETE FROM ${table} WHERE id = ?`);
+    const queries = new Map();
+
+    const values = (record) => [
+      record.guildId,
+      record.status,
+      ...Object.values(columns).map((column) => column(record)),
+      JSON.stringify(record),
+    ];
+    const readRow = (row) => (row ? read(JSON.parse(row.data)) : null);
+
+    const save = (record, changes) => {
+      const updated = { ...applyChanges(record, changes), updatedAt: new Date() };
+      update.run(...values(updated), String(record._id));
+      return read(updated);
+    };
+
+    return {
+      get: (id) => readRow(byId.get(String(id))),
+      insert: (fields) => {
+        const record = create(fields);
+        try {
+          insert.run(String(record._id), ...values(record));
+        } catch (err) {
+          if (err.code === "SQLITE_CONSTRAINT_UNIQUE") {
+            throw new DuplicateKeyError(`${table} ${err.message}`, { cause: err });
+          }
+          throw err;
+        }
+        return read(record);
+      },
+      // Records matching a WHERE clause over the columns, e.g. "status = ?"
+      select: (where, ...params) => {
+        if (!queries.has(where)) {
+          queries.set(where, db.prepare(`SELECT data FROM ${table} WHERE ${where}`));
+        }
+        return queries.get(where).all(...params).map(readRow);
+      },
+      save,
+      // Change the record if `condition` holds for it, in one transaction so
+      // another process can't change it in between. `changes` may be a
+      // function of the record. Returns the changed record, or null.
+      saveIf: db.transaction((id, condition, changes) => {
+        const record = readRow(byId.get(String(id)));
+        if (!record || !condition(record)) return null;
+        return save(record, typeof changes === "function" ? changes(record) : changes);
+      }),
+      delete: (id) => remove.run(String(id)).changes > 0,
+    };
+  };
+
+  const exists = () => true;
+
+  const decide = (table) => async (guildId, id, changes) =>
+    table.saveIf.immediate(id, (record) => isPending(record, guildId), changes);
+
+  const reviewTable = recordTable("reviews", { create: newReview, read: readReview });
+
+  const reviews = {
+    create: async (fields) => reviewTable.insert(fields),
+    update: async (id, changes) => reviewTable.saveIf(id, exists, changes),
+    delete: async (id) => reviewTable.delete(id),
+    decide: decide(reviewTable),
+    countPending: async (guildId) =>
+      reviewTable.select("guild_id = ? AND status = 'pending'", guildId).length,
+  };
+
+  const appealTable = recordTable("appeals", {
+    create: newAppeal,
+    read: readAppeal,
+    columns: { strike_id: (appeal) => String(appeal.strikeId) },
+  });
+
+  const appeals = {
+    create: async (fields) => appealTable.insert(fields),
+    update: async (id, changes) => appealTable.saveIf(id, exists, changes),
+    delete: async (id) => appealTable.delete(id),
+    decide: decide(appealTable),
+  };
+
+  const expiryTable = recordTable("expiry_jobs", {
+    create: newExpiryJob,
+    read: readExpiryJob,
+    columns: {
+      user_id: (job) => job.userId,
+      expires_at: (job) => isoDate(job.expiresAt),
+    },
+  });
+  const setPendingJobs = db.transaction((jobs, changes) => {
+    for (const job of jobs) expiryTable.save(job, changes);
+    return jobs.length;
+  });
+
+  const expiries = {
+    create: async (fields) => expiryTable.insert(fields),
+    update: async (id, changes) => expiryTable.saveIf(id, exists, changes),
+    listPending: async (guildId, userId) =>
+      expiryTable.select(
+        "guild_id = ? AND status = 'pending' AND (? IS NULL OR user_id = ?) ORDER BY expires_at",
+        guildId,
+        userId ?? null,
+        userId ?? null
+      ),
+    findDue: async (now) =>
+      expiryTable.select(
+        "status = 'pending' AND expires_at <= ? ORDER BY expires_at",
+        now.toISOString()
+      ),
+    claim: async (id) =>
+      expiryTable.saveIf.immediate(
+        id,
+        (job) => job.status === "pending",
+        (job) => ({ status: "running", attempts: job.attempts + 1 })
+      ),
+    cancel: async (guildId, id) =>
+      expiryTable.saveIf.immediate(id, (job) => isPending(job, guildId), {
+        status: "cancelled",
+      }),
+    cancelForPenalty: async ({ guildId, userId, type, roleId }) =>
+      setPendingJobs.immediate(
+        expiryTable
+          .select("guild_id = ? AND user_id = ? AND status = 'pending'", guildId, userId)
+          .filter((job) => job.type === type && (!roleId || job.roleId === roleId)),
+        { status: "cancelled" }
+      ),
+    releaseRunning: async () => {
+      setPendingJobs.immediate(expiryTable.select("status = 'running'"), { status: "pending" });
+    },
+  };
+
+  const backfillTable = recordTable("backfill_jobs", {
+    create: newBackfillJob,
+    read: readBackfillJob,
+    columns: {
+      channel_id: (job) => job.channelId,
+      created_at: (job) => isoDate(job.createdAt),
+    },
+  });
+  const runningBackfill = (guildId, channelId) =>
+    backfillTable.select(
+      "guild_id = ? AND channel_id = ? AND status = 'running'",
+      guildId,
+      channelId
+    )[0] ?? null;
+
+  const backfills = {
+    create: async (fields) => backfillTable.insert(fields),
+    findById: async (id) => backfillTable.get(id),
+    update: async (id, changes) => backfillTable.saveIf(id, exists, changes),
+    findRunning: async (guildId, channelId) => runningBackfill(guildId, channelId),
+    list: async (guildId, limit) =>
+      backfillTable.select("guild_id = ? ORDER BY created_at DESC LIMIT ?", guildId, limit),
+    listRunning: async () => backfillTable.select("status = 'running'"),
+    cancel: async (guildId, channelId) => {
+      const job = runningBackfill(guildId, channelId);
+      return job
+        ? backfillTable.saveIf.immediate(job._id, (current) => current.status === "running", {
+            status: "cancelled",
+          })
+        : null;
+    },
+  };
+
+  return {
+    images,
+    configs,
+    strikes,
+    events,
+    reviews,
+    appeals,
+    expiries,
+    backfills,
+    close: () => db.close(),
+  };
+};
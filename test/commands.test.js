@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { commands } from "../commands/index.js";
+
+// -----------------------------------------------------------------------------
+// COMMANDS: Registered commands stay within Discord's limits
+// -----------------------------------------------------------------------------
+// Discord rejects the whole command list when one command breaks a limit, so
+// none of the bot's commands would register.
+
+const MAX_COMMAND_CHARACTERS = 4000;
+const MAX_OPTIONS = 25;
+
+// Names, descriptions and choices count towards a command's size
+const commandSize = (option) =>
+  option.name.length +
+  (option.description ?? "").length +
+  (option.choices ?? []).reduce(
+    (sum, choice) => sum + choice.name.length + String(choice.value).length,
+    0
+  ) +
+  (option.options ?? []).reduce((sum, child) => sum + commandSize(child), 0);
+
+const optionLists = (option) => [
+  option.options ?? [],
+  ...(option.options ?? []).flatMap(optionLists),
+];
+
+describe("registered commands", () => {
+  for (const command of commands.values()) {
+    const json = command.data.toJSON();
+
+    test(`${json.name} is at most ${MAX_COMMAND_CHARACTERS} characters`, () => {
+      assert.ok(commandSize(json) <= MAX_COMMAND_CHARACTERS, `${commandSize(json)} characters`);
+    });
+
+    test(`${json.name} has at most ${MAX_OPTIONS} options on each level`, () => {
+      for (const options of optionLists(json)) {
+        assert.ok(options.length <= MAX_OPTIONS, `${options.length} options`);
+        for (const option of options) {
+          assert.ok((option.choices ?? []).length <= MAX_OPTIONS);
+        }
+      }
+    });
+  }
+});
@@ -0,0 +1,96 @@
+import http from "http";
+import { setTimeout as delay } from "timers/promises";
+import sharp from "sharp";
+
+// -----------------------------------------------------------------------------
+// FIXTURE IMAGES: Generated PNGs, served from localhost
+// -----------------------------------------------------------------------------
+// The images are drawn on the fly so no binaries live in the repo, and served
+// on 127.0.0.1 so the real download and hashing code runs without a network.
+
+const SIZE = 128;
+const CELLS = 16;
+const CELL = SIZE / CELLS;
+
+// Deterministic pseudo-random cells (xorshift), so every run hashes the same
+// pixels
+const randomCells = (seed) => {
+  let state = seed;
+  return Array.from({ length: CELLS * CELLS }, () => {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return (state & 1) === 1;
+  });
+};
+
+// A 16×16 grid of black and white cells, one per block hash block
+const drawCells = (cells) => {
+  const pixels = Buffer.alloc(SIZE * SIZE * 3);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const white = cells[Math.floor(y / CELL) * CELLS + Math.floor(x / CELL)];
+      pixels.fill(white ? 255 : 0, (y * SIZE + x) * 3, (y * SIZE + x + 1) * 3);
+    }
+  }
+  return sharp(pixels, { raw: { width: SIZE, height: SIZE, channels: 3 } })
+    .png()
+    .toBuffer();
+};
+
+// `base`, a `nearCopy` with a few cells flipped (a couple of bits apart),
+// and an unrelated `different` image
+export const createFixtureImages = async () => {
+  const cells = randomCells(42);
+  const nearCells = cells.map((white, index) => (index % 97 === 5 ? !white : white));
+
+  return {
+    base: await drawCells(cells),
+    nearCopy: await drawCells(nearCells),
+    different: await drawCells(randomCells(7)),
+  };
+};
+
+// Serve `images` ({ name: Buffer }) as /<name>.png, 404 for unknown names.
+// Like Discord's CDN, every URL handed out is different, even for the same
+// image. Instead of a Buffer, an image can be { body, contentType, delayMs,
+// chunked } to serve something else, answer late, or not declare its size.
+export const serveImages = async (images) => {
+  const requests = [];
+  let uploads = 0;
+  const server = http.createServer(async (req, res) => {
+    requests.push(req.url);
+    const name = new URL(req.url, "http://localhost").pathname.slice(1).replace(/\.png$/, "");
+    const image = images[name];
+    if (!image) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const {
+      body,
+      contentType = "image/png",
+      delayMs = 0,
+      chunked = false,
+    } = Buffer.isBuffer(image) ? { body: image } : image;
+    if (delayMs) await delay(delayMs);
+    res.writeHead(200, {
+      "Content-Type": contentType,
+      ...(chunked ? {} : { "Content-Length": body.length }),
+    });
+    res.end(body);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    requests,
+    urlFor: (name) => `http://127.0.0.1:${port}/${name}.png?upload=${++uploads}`,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+};
@@ -0,0 +1,168 @@
+import assert from "node:assert/strict";
+import { after, before, describe, mock, test } from "node:test";
+import sharp from "sharp";
+import {
+  HASHERS,
+  HASH_ERROR_CODES,
+  computeImageHashes,
+  downloadImage,
+  hashImageVariants,
+} from "../hashing/index.js";
+import { hammingDistance } from "../utils/similarity.js";
+import { createFixtureImages, serveImages } from "./fixtures/images.js";
+
+// -----------------------------------------------------------------------------
+// HASHING: Downloads, hash algorithms and variants on generated images
+// -----------------------------------------------------------------------------
+
+const SLOW_MS = 500;
+
+let images;
+let server;
+
+before(async () => {
+  mock.method(console, "error", () => {});
+  images = await createFixtureImages();
+  server = await serveImages({
+    ...images,
+    chunked: { body: images.base, chunked: true },
+    slow: { body: images.base, delayMs: SLOW_MS },
+    page: { body: Buffer.from("<!doctype html><p>Not found</p>"), contentType: "text/html" },
+  });
+});
+
+after(async () => {
+  mock.restoreAll();
+  await server.close();
+});
+
+// What a reposter did to the image, as the transform that undoes it is named
+const REPOSTS = {
+  rotateRight: { rotate: 90, flop: false },
+  rotate180: { rotate: 180, flop: false },
+  rotateLeft: { rotate: 270, flop: false },
+  mirror: { rotate: 0, flop: true },
+  rotateRightMirror: { rotate: 90, flop: true },
+  flip: { rotate: 180, flop: true },
+  rotateLeftMirror: { rotate: 270, flop: true },
+};
+
+// Rotate first, then mirror, as two separate edits
+const repost = async (buffer, { rotate, flop }) => {
+  const rotated = rotate ? await sharp(buffer).rotate(rotate).toBuffer() : buffer;
+  return flop ? sharp(rotated).flop().toBuffer() : rotated;
+};
+
+const rejection = (code) => (err) => {
+  assert.equal(err.code, code);
+  return true;
+};
+
+describe("downloadImage", () => {
+  test("returns the file", async () => {
+    assert.deepEqual(await downloadImage(server.urlFor("base")), images.base);
+  });
+
+  test("rejects files over the size limit, whether or not their size is declared", async () => {
+    const maxBytes = images.base.length - 1;
+
+    for (const name of ["base", "chunked"]) {
+      await assert.rejects(
+        downloadImage(server.urlFor(name), { maxBytes }),
+        rejection(HASH_ERROR_CODES.TOO_LARGE)
+      );
+    }
+  });
+
+  test("gives up on servers that don't answer in time", async () => {
+    await assert.rejects(
+      downloadImage(server.urlFor("slow"), { timeoutMs: SLOW_MS / 5 }),
+      rejection(HASH_ERROR_CODES.TIMEOUT)
+    );
+  });
+
+  test("reports missing files", async () => {
+    await assert.rejects(
+      downloadImage(server.urlFor("missing")),
+      rejection(HASH_ERROR_CODES.FETCH_FAILED)
+    );
+  });
+});
+
+describe("computeImageHashes", () => {
+  test("reports files that aren't images instead of rejecting", async () => {
+    const url = server.urlFor("page");
+    const { error } = await computeImageHashes(url);
+
+    assert.equal(error.code, HASH_ERROR_CODES.DECODE_FAILED);
+    assert.equal(error.url, url);
+  });
+});
+
+describe("hashers", () => {
+  for (const [algorithm, hasher] of Object.entries(HASHERS)) {
+    test(`${algorithm} hashes to ${hasher.bits} bits`, async () => {
+      const hash = await hasher.compute(images.base);
+
+      assert.equal(hash.length, hasher.bits / 4);
+      assert.match(hash, /^[0-9a-f]+$/);
+      assert.equal(await hasher.compute(Buffer.from(images.base)), hash);
+    });
+
+    if (hasher.perceptual) {
+      test(`${algorithm} keeps edited copies close and other images apart`, async () => {
+        const hash = await hasher.compute(images.base);
+        const distanceTo = async (image) =>
+          hammingDistance(hash, await hasher.compute(image));
+        const jpeg = await sharp(images.base).jpeg({ quality: 80 }).toBuffer();
+
+        assert.ok((await distanceTo(images.nearCopy)) <= hasher.bits / 16);
+        assert.ok((await distanceTo(jpeg)) <= hasher.bits / 16);
+        assert.ok((await distanceTo(images.different)) > hasher.bits / 4);
+      });
+    } else {
+      test(`${algorithm} only matches the same bytes`, async () => {
+        const hash = await hasher.compute(images.base);
+        const png = await sharp(images.base).png({ compressionLevel: 0 }).toBuffer();
+
+        assert.notEqual(await hasher.compute(png), hash);
+        assert.notEqual(await hasher.compute(images.nearCopy), hash);
+      });
+    }
+  }
+});
+
+describe("hashImageVariants", () => {
+  for (const [transform, edit] of Object.entries(REPOSTS)) {
+    test(`undoes a repost that was ${transform}`, async () => {
+      const original = await HASHERS.blockhash.compute(images.base);
+      const variants = await hashImageVariants(await repost(images.base, edit));
+
+      assert.deepEqual(
+        variants
+          .filter((variant) => variant.hashes.blockhash === original)
+          .map((variant) => variant.transform),
+        [transform]
+      );
+    });
+  }
+
+  test("crops a uniform border", async () => {
+    const original = await HASHERS.blockhash.compute(images.base);
+    const framed = await sharp(images.base)
+      .extend({ top: 16, bottom: 16, left: 16, right: 16, background: "#808080" })
+      .png()
+      .toBuffer();
+    const variants = await hashImageVariants(framed);
+
+    assert.notEqual(await HASHERS.blockhash.compute(framed), original);
+    assert.equal(
+      variants.find((variant) => variant.transform === "crop")?.hashes.blockhash,
+      original
+    );
+  });
+
+  test("skips byte hashes, which no transform survives", async () => {
+    assert.deepEqual(await hashImageVariants(images.base, ["sha256"]), []);
+  });
+});
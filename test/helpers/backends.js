@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import { openStorage, storage } from "../../storage/index.js";
+
+// -----------------------------------------------------------------------------
+// BACKENDS: Every storage backend the suites run against
+// -----------------------------------------------------------------------------
+// Memory always; SQLite, in memory, when better-sqlite3 is installed; MongoDB
+// when TEST_MONGODB_URI names a database the tests may empty.
+
+const sqliteInstalled = await import("better-sqlite3").then(
+  () => true,
+  () => false
+);
+
+// { name, skip } for describe(); skip is the reason a backend can't run here
+export const BACKENDS = [
+  { name: "memory", skip: false },
+  { name: "sqlite", skip: !sqliteInstalled && "better-sqlite3 is not installed" },
+  { name: "mongo", skip: !process.env.TEST_MONGODB_URI && "TEST_MONGODB_URI is not set" },
+];
+
+// Open `backend` with nothing stored
+export const openEmptyStorage = async (backend) => {
+  if (backend === "sqlite") process.env.SQLITE_PATH = ":memory:";
+  if (backend === "mongo") {
+    if (mongoose.connection.readyState !== 1) {
+      await mongoose.connect(process.env.TEST_MONGODB_URI);
+    }
+    // Emptied rather than dropped, so the unique indexes stay
+    for (const Model of Object.values(mongoose.models)) {
+      await Model.init();
+      await Model.deleteMany({});
+    }
+  }
+  await openStorage(backend);
+};
+
+export const closeStorage = async () => {
+  storage.close();
+  await mongoose.disconnect();
+};
@@ -0,0 +1,206 @@
+import { Collection } from "discord.js";
+
+// -----------------------------------------------------------------------------
+// FAKE DISCORD: Just enough of discord.js for the message handlers
+// -----------------------------------------------------------------------------
+// Guilds, members, channels and messages are plain objects with the methods
+// the bot calls. Whatever the bot sends, deletes or changes is recorded on
+// them so tests can assert on it.
+
+// Discord's "Cannot send messages to this user", e.g. DMs closed
+export const DM_CLOSED = 50007;
+
+let nextId = 1000n;
+export const snowflake = () => String(nextId++);
+
+// Discord's "Unknown …" errors, which fetch() rejects with
+const unknown = (what, code) => Object.assign(new Error(`Unknown ${what}`), { code });
+
+export const createFakeChannel = ({ id = snowflake(), name = "general" } = {}) => ({
+  id,
+  name,
+  sent: [],
+  messages: {
+    cache: new Collection(),
+    // Like a REST fetch, the copy has no member until discord.js caches them
+    fetch: async function (messageId) {
+      const message = this.cache.get(messageId);
+      if (!message || message.deleted) throw unknown("Message", 10008);
+      return { ...message, member: null };
+    },
+  },
+  send: async function (payload) {
+    const sent = { id: snowflake(), payload };
+    this.sent.push(sent);
+    return sent;
+  },
+});
+
+// `roles` are role names; `channels` are created with createFakeChannel
+export const createFakeGuild = ({
+  id = snowflake(),
+  name = "Test Server",
+  preferredLocale = "en-US",
+  roles = [],
+  channels = [],
+} = {}) => ({
+  id,
+  name,
+  preferredLocale,
+  roles: {
+    cache: new Collection(
+      roles.map((name) => {
+        const roleId = snowflake();
+        return [roleId, { id: roleId, name }];
+      })
+    ),
+  },
+  channels: {
+    cache: new Collection(channels.map((channel) => [channel.id, channel])),
+    // Like discord.js, unknown channels reject rather than resolve to null
+    fetch: async function (channelId) {
+      const channel = this.cache.get(channelId);
+      if (!channel) throw unknown("Channel", 10003);
+      return channel;
+    },
+  },
+  // Filled in by createFakeMember
+  members: {
+    cache: new Collection(),
+    fetch: async function (memberId) {
+      const member = this.cache.get(memberId);
+      if (!member) throw unknown("Member", 10007);
+      return member;
+    },
+  },
+});
+
+export const roleNamed = (guild, name) =>
+  guild.roles.cache.find((role) => role.name === name);
+
+// A member and their user; `roles` are role names the guild already has.
+// With `dmsClosed`, DMs reject the way Discord does.
+export const createFakeMember = (guild, {
+  id = snowflake(),
+  username = `member${id}`,
+  roles = [],
+  dmsClosed = false,
+} = {}) => {
+  const user = {
+    id,
+    username,
+    tag: username,
+    bot: false,
+    dms: [],
+    displayAvatarURL: () => "https://cdn.discordapp.com/embed/avatars/0.png",
+    send: async (payload) => {
+      if (dmsClosed) {
+        throw Object.assign(new Error("Cannot send messages to this user"), {
+          code: DM_CLOSED,
+        });
+      }
+      user.dms.push(payload);
+      return { id: snowflake(), payload };
+    },
+  };
+
+  const member = {
+    id,
+    user,
+    guild,
+    timedOutFor: null,
+    roles: {
+      cache: new Collection(
+        roles.map((name) => roleNamed(guild, name)).map((role) => [role.id, role])
+      ),
+      add: async (role) => void member.roles.cache.set(role.id, role),
+      remove: async (role) => void member.roles.cache.delete(role.id),
+    },
+    timeout: async (ms) => {
+      member.timedOutFor = ms;
+    },
+  };
+  guild.members.cache.set(id, member);
+  return member;
+};
+
+const imageAttachments = (imageUrls) =>
+  imageUrls.map((url, index) => [
+    snowflake(),
+    { name: `image${index}.png`, contentType: "image/png", url },
+  ]);
+
+// A post by `member` in `channel`, with an image attachment per URL
+export const createFakeMessage = ({
+  guild,
+  channel,
+  member,
+  content = "",
+  imageUrls = [],
+  createdAt = new Date(),
+}) => {
+  const id = snowflake();
+  const message = {
+    id,
+    guild,
+    guildId: guild.id,
+    channel,
+    member,
+    author: member.user,
+    content,
+    createdAt,
+    url: `https://discord.com/channels/${guild.id}/${channel.id}/${id}`,
+    attachments: new Collection(imageAttachments(imageUrls)),
+    embeds: [],
+    stickers: new Collection(),
+    deleted: false,
+    delete: async () => {
+      message.deleted = true;
+      return message;
+    },
+  };
+  channel.messages.cache.set(id, message);
+  return message;
+};
+
+// Edit `message` in place, adding an image attachment per URL. Returns the
+// version from before the edit, as discord.js passes it to messageUpdate.
+export const editFakeMessage = (message, { content = message.content, imageUrls = [] }) => {
+  const oldMessage = { ...message, attachments: message.attachments.clone() };
+  message.content = content;
+  for (const [id, attachment] of imageAttachments(imageUrls)) {
+    message.attachments.set(id, attachment);
+  }
+  return oldMessage;
+};
+
+// What discord.js emits for messages it hadn't cached: only the IDs, and
+// fetch() for the rest
+export const partialMessage = (message) => ({
+  id: message.id,
+  guildId: message.guildId,
+  channelId: message.channel.id,
+  partial: true,
+  fetch: async () => message,
+});
+
+// A moderator with every permission pressing the button `customId` in
+// `guild`. Replies and edits are recorded on `replies`.
+export const createFakeButtonPress = (guild, customId) => {
+  const moderator = createFakeMember(guild, { username: "moderator" });
+  const interaction = {
+    customId,
+    guild,
+    guildId: guild.id,
+    user: moderator.user,
+    member: moderator,
+    memberPermissions: { has: () => true },
+    client: { channels: guild.channels },
+    replies: [],
+    isButton: () => true,
+    reply: async (payload) => void interaction.replies.push(payload),
+    deferUpdate: async () => {},
+    editReply: async (payload) => void interaction.replies.push(payload),
+  };
+  return interaction;
+};
@@ -0,0 +1,522 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, mock, test } from "node:test";
+import { setTimeout as delay } from "node:timers/promises";
+import { Collection } from "discord.js";
+import mongoose from "mongoose";
+import { storage } from "../storage/index.js";
+import {
+  handleMessageCreate,
+  handleMessageDelete,
+  handleMessageDeleteBulk,
+  handleMessageUpdate,
+} from "../services/messages.js";
+import {
+  addPenalty,
+  clearPenalties,
+  getGuildConfig,
+  saveChannels,
+  setDeletedOriginals,
+  setLocale,
+  setReviewMode,
+  setSimilarityThreshold,
+} from "../services/guildSettings.js";
+import { reindexImages } from "../services/images.js";
+import { countPendingReviews } from "../services/reviews.js";
+import { handleReviewButton } from "../commands/review.js";
+import { listPendingExpiries } from "../services/scheduler.js";
+import { BACKENDS, closeStorage, openEmptyStorage } from "./helpers/backends.js";
+import { createFixtureImages, serveImages } from "./fixtures/images.js";
+import {
+  createFakeButtonPress,
+  createFakeChannel,
+  createFakeGuild,
+  createFakeMember,
+  createFakeMessage,
+  editFakeMessage,
+  partialMessage,
+  roleNamed,
+} from "./helpers/discord.js";
+
+// -----------------------------------------------------------------------------
+// MESSAGE HANDLING: New posts against every storage backend
+// -----------------------------------------------------------------------------
+
+const PENALTY_ROLE = "CODE CERTIFIED";
+const SLOW_LOOKUP_MS = 200;
+
+let server;
+
+before(async () => {
+  // Only the mongo backend may reach MongoDB; fail instead of waiting for a connection
+  mongoose.set("bufferCommands", false);
+  for (const method of ["log", "warn", "error"]) {
+    mock.method(console, method, () => {});
+  }
+  server = await serveImages(await createFixtureImages());
+});
+
+after(async () => {
+  mock.restoreAll();
+  await server.close();
+  await closeStorage();
+});
+
+// A guild with a monitored channel and a bot command channel, configured
+// the way /imageguard setup leaves it unless `configured` is false
+const setupGuild = async ({ configured = true, roles = [PENALTY_ROLE] } = {}) => {
+  const monitored = createFakeChannel({ name: "images" });
+  const botChannel = createFakeChannel({ name: "bot-commands" });
+  const guild = createFakeGuild({ roles, channels: [monitored, botChannel] });
+  if (configured) await saveChannels(guild.id, monitored.id, botChannel.id);
+
+  const joinAs = (options = {}) =>
+    createFakeMember(guild, {
+      roles: guild.roles.cache.map((role) => role.name),
+      ...options,
+    });
+
+  // Post fixture images (by name, see fixtures/images.js) and wait for the
+  // bot to handle the message
+  const post = async (member, ...images) => {
+    const message = createFakeMessage({
+      guild,
+      channel: monitored,
+      member,
+      imageUrls: images.map(server.urlFor),
+    });
+    await handleMessageCreate(message);
+    return message;
+  };
+
+  // Edit fixture images into a message and wait for the bot to handle it;
+  // with `uncached`, the bot only gets the message's IDs
+  const edit = async (message, { images = [], content, uncached = false } = {}) => {
+    const oldMessage = editFakeMessage(message, {
+      content,
+      imageUrls: images.map(server.urlFor),
+    });
+    await handleMessageUpdate(
+      uncached ? partialMessage(message) : oldMessage,
+      uncached ? partialMessage(message) : message
+    );
+  };
+
+  return { guild, monitored, botChannel, joinAs, post, edit };
+};
+
+const storedCount = async (guild, messages) =>
+  (
+    await Promise.all(
+      messages.map((message) => storage.images.findByMessage(guild.id, message.id))
+    )
+  ).flat().length;
+
+const hasRole = (member, name) =>
+  member.roles.cache.has(roleNamed(member.guild, name)?.id);
+
+for (const { name: backend, skip } of BACKENDS) {
+  describe(`on the ${backend} backend`, { skip }, () => {
+    beforeEach(() => openEmptyStorage(backend));
+
+    describe("handleMessageCreate", () => {
+      test("stores a new image without penalizing it", async () => {
+        const { guild, botChannel, joinAs, post } = await setupGuild();
+        const member = joinAs();
+
+        const message = await post(member, "base");
+
+        const [record] = await storage.images.findByMessage(guild.id, message.id);
+        assert.equal(record.authorId, member.id);
+        assert.equal(record.channelId, message.channel.id);
+        assert.equal(message.deleted, false);
+        assert.equal(member.user.dms.length, 0);
+        assert.equal(botChannel.sent.length, 0);
+        assert.ok(hasRole(member, PENALTY_ROLE));
+      });
+
+      test("penalizes an exact duplicate of someone else's image", async () => {
+        const { guild, botChannel, joinAs, post } = await setupGuild();
+        const original = joinAs();
+        const reposter = joinAs();
+
+        const first = await post(original, "base");
+        const second = await post(reposter, "base");
+
+        assert.equal(first.deleted, false);
+        assert.equal(second.deleted, true);
+        assert.ok(hasRole(original, PENALTY_ROLE));
+        assert.ok(!hasRole(reposter, PENALTY_ROLE));
+        assert.deepEqual(await storage.images.findByMessage(guild.id, second.id), []);
+
+        const [strike] = await storage.strikes.list(guild.id, reposter.id);
+        assert.equal(strike.distance, 0);
+        assert.equal(strike.messageId, second.id);
+        assert.deepEqual(
+          strike.penalties.map((penalty) => penalty.type),
+          ["removeRole"]
+        );
+
+        // DM with an appeal button, and a notice for moderators
+        assert.equal(reposter.user.dms.length, 1);
+        assert.equal(reposter.user.dms[0].components.length, 1);
+        assert.equal(botChannel.sent.length, 1);
+
+        const events = await storage.events.find(guild.id, { limit: 10 });
+        assert.deepEqual(
+          events.map((event) => event.type).sort(),
+          ["deletion", "detection", "penalty"]
+        );
+      });
+
+      test("penalizes a near duplicate", async () => {
+        const { guild, joinAs, post } = await setupGuild();
+        await post(joinAs(), "base");
+        const reposter = joinAs();
+
+        const message = await post(reposter, "nearCopy");
+
+        assert.equal(message.deleted, true);
+        const [strike] = await storage.strikes.list(guild.id, reposter.id);
+        assert.ok(strike.distance > 0, `expected a near match, got distance ${strike.distance}`);
+      });
+
+      test("describes the match in the server's language", async () => {
+        const { guild, botChannel, joinAs, post } = await setupGuild();
+        await setLocale(guild.id, "de");
+        await post(joinAs(), "base");
+
+        await post(joinAs(), "nearCopy");
+
+        const [embed] = botChannel.sent[0].payload.embeds;
+        const match = embed.data.fields.find((field) => field.name === "Übereinstimmung");
+        assert.match(match.value, /^Ähnlichkeit [\d.]+ %, \d+ Bit Unterschied/);
+      });
+
+      test("finds near duplicates of images stored before the threshold changed", async () => {
+        const { guild, joinAs, post } = await setupGuild();
+        await post(joinAs(), "base");
+        await reindexImages(await setSimilarityThreshold(guild.id, 20));
+        const reposter = joinAs();
+
+        const message = await post(reposter, "nearCopy");
+
+        assert.equal(message.deleted, true);
+      });
+
+      test("leaves different images alone", async () => {
+        const { guild, joinAs, post } = await setupGuild();
+        await post(joinAs(), "base");
+        const member = joinAs();
+
+        const message = await post(member, "different");
+
+        assert.equal(message.deleted, false);
+        assert.equal((await storage.images.findByMessage(guild.id, message.id)).length, 1);
+        assert.deepEqual(await storage.strikes.list(guild.id, member.id), []);
+      });
+
+      test("still deletes and warns when the penalty role doesn't exist", async () => {
+        const { guild, botChannel, joinAs, post } = await setupGuild({ roles: [] });
+        await post(joinAs(), "base");
+        const reposter = joinAs();
+
+        const message = await post(reposter, "base");
+
+        assert.equal(message.deleted, true);
+        assert.equal(reposter.user.dms.length, 1);
+        assert.equal(botChannel.sent.length, 1);
+        const [strike] = await storage.strikes.list(guild.id, reposter.id);
+        assert.deepEqual(strike.penalties, []);
+      });
+
+      test("still penalizes when the member's DMs are closed", async () => {
+        const { guild, botChannel, joinAs, post } = await setupGuild();
+        await post(joinAs(), "base");
+        const reposter = joinAs({ dmsClosed: true });
+
+        const message = await post(reposter, "base");
+
+        assert.equal(message.deleted, true);
+        assert.ok(!hasRole(reposter, PENALTY_ROLE));
+        assert.equal(reposter.user.dms.length, 0);
+        assert.equal(botChannel.sent.length, 1);
+        assert.equal((await storage.strikes.list(guild.id, reposter.id)).length, 1);
+      });
+
+      test("counts a post with several duplicates once", async () => {
+        const { guild, botChannel, joinAs, post } = await setupGuild();
+        await post(joinAs(), "base", "different");
+        const reposter = joinAs();
+
+        const message = await post(reposter, "base", "different");
+
+        assert.equal(message.deleted, true);
+        assert.equal((await storage.strikes.list(guild.id, reposter.id)).length, 1);
+        assert.equal(reposter.user.dms.length, 1);
+        assert.equal(botChannel.sent.length, 1);
+
+        const events = await storage.events.find(guild.id, { limit: 10 });
+        assert.deepEqual(
+          events.map((event) => event.type).sort(),
+          ["deletion", "detection", "detection", "penalty"]
+        );
+      });
+
+      test("doesn't count an image attached twice to one post", async () => {
+        const { guild, joinAs, post } = await setupGuild();
+        const member = joinAs();
+
+        const message = await post(member, "base", "base");
+
+        assert.equal(message.deleted, false);
+        assert.equal((await storage.images.findByMessage(guild.id, message.id)).length, 1);
+        assert.deepEqual(await storage.strikes.list(guild.id, member.id), []);
+      });
+
+      test("schedules the end of a timed role penalty", async () => {
+        const { guild, joinAs, post } = await setupGuild();
+        await clearPenalties(guild.id);
+        await addPenalty(guild.id, {
+          type: "removeRole",
+          roleId: roleNamed(guild, PENALTY_ROLE).id,
+          durationMinutes: 60,
+        });
+        await post(joinAs(), "base");
+        const reposter = joinAs();
+
+        await post(reposter, "base");
+
+        assert.ok(!hasRole(reposter, PENALTY_ROLE));
+        const [job] = await listPendingExpiries(guild.id, reposter.id);
+        assert.equal(job.type, "removeRole");
+        assert.equal(job.roleId, roleNamed(guild, PENALTY_ROLE).id);
+      });
+
+      test("schedules the end of a timeout", async () => {
+        const { guild, joinAs, post } = await setupGuild();
+        await clearPenalties(guild.id);
+        await addPenalty(guild.id, { type: "timeout", durationMinutes: 30 });
+        await post(joinAs(), "base");
+        const reposter = joinAs();
+
+        await post(reposter, "base");
+
+        assert.equal(reposter.timedOutFor, 30 * 60 * 1000);
+        const [job] = await listPendingExpiries(guild.id, reposter.id);
+        assert.equal(job.type, "timeout");
+        assert.ok(job.expiresAt > new Date(Date.now() + 29 * 60 * 1000));
+      });
+
+      test("gives a timed role back when its end can't be scheduled", async () => {
+        const { guild, joinAs, post } = await setupGuild();
+        await clearPenalties(guild.id);
+        await addPenalty(guild.id, {
+          type: "removeRole",
+          roleId: roleNamed(guild, PENALTY_ROLE).id,
+          durationMinutes: 60,
+        });
+        mock.method(storage.expiries, "create", async () => {
+          throw new Error("database unavailable");
+        });
+        await post(joinAs(), "base");
+        const reposter = joinAs();
+
+        await post(reposter, "base");
+
+        assert.ok(hasRole(reposter, PENALTY_ROLE));
+        const [strike] = await storage.strikes.list(guild.id, reposter.id);
+        assert.deepEqual(strike.penalties, []);
+        const [error] = await storage.events.find(guild.id, { type: "error", limit: 1 });
+        assert.equal(error.payload.where, "penalty removeRole");
+      });
+
+      test("holds a duplicate for review in review mode", async () => {
+        const { guild, botChannel, joinAs, post } = await setupGuild();
+        await setReviewMode(guild.id, true);
+        await post(joinAs(), "base");
+        const reposter = joinAs();
+
+        const message = await post(reposter, "base");
+
+        assert.equal(message.deleted, false);
+        assert.deepEqual(await storage.strikes.list(guild.id, reposter.id), []);
+        assert.equal(await countPendingReviews(guild.id), 1);
+        assert.equal(botChannel.sent.length, 1);
+        assert.equal(botChannel.sent[0].payload.components.length, 1);
+      });
+
+      test("ignores guilds that haven't been set up", async () => {
+        const { guild, monitored, botChannel, joinAs, post } = await setupGuild({
+          configured: false,
+        });
+        const requestsBefore = server.requests.length;
+
+        await post(joinAs(), "base");
+        const repost = await post(joinAs(), "base");
+
+        assert.equal(await getGuildConfig(guild.id), null);
+        assert.equal(repost.deleted, false);
+        assert.equal(server.requests.length, requestsBefore);
+        assert.equal(monitored.sent.length + botChannel.sent.length, 0);
+      });
+
+      test("stops checking channels that setup replaced", async () => {
+        const { guild, botChannel, joinAs, post } = await setupGuild();
+        await saveChannels(guild.id, "another-channel", botChannel.id);
+
+        const message = await post(joinAs(), "base");
+
+        assert.deepEqual(await storage.images.findByMessage(guild.id, message.id), []);
+      });
+
+      test("keeps one original when the same image is posted concurrently", async () => {
+        const { guild, joinAs, post } = await setupGuild();
+        const members = [joinAs(), joinAs(), joinAs()];
+
+        const messages = await Promise.all(members.map((member) => post(member, "base")));
+
+        const stored = await Promise.all(
+          messages.map((message) => storage.images.findByMessage(guild.id, message.id))
+        );
+        assert.equal(stored.flat().length, 1);
+        assert.equal(messages.filter((message) => message.deleted).length, 2);
+
+        // The poster whose record was kept is the one who wasn't penalized
+        const originalIndex = stored.findIndex((records) => records.length > 0);
+        assert.equal(messages[originalIndex].deleted, false);
+        const strikes = await Promise.all(
+          members.map((member) => storage.strikes.list(guild.id, member.id))
+        );
+        assert.deepEqual(
+          strikes.map((list) => list.length),
+          members.map((_, index) => (index === originalIndex ? 0 : 1))
+        );
+      });
+
+      test("keeps one original when similar images are posted concurrently", async () => {
+        const { guild, joinAs, post } = await setupGuild();
+
+        // A slow database: both lookups run before either image is stored
+        const findCandidates = storage.images.findCandidates;
+        mock.method(storage.images, "findCandidates", async (query) => {
+          const found = await findCandidates(query);
+          await delay(SLOW_LOOKUP_MS);
+          return found;
+        });
+
+        const messages = await Promise.all([
+          post(joinAs(), "base"),
+          post(joinAs(), "nearCopy"),
+        ]);
+
+        const stored = await Promise.all(
+          messages.map((message) => storage.images.findByMessage(guild.id, message.id))
+        );
+        assert.equal(stored.flat().length, 1);
+        assert.deepEqual(
+          messages.map((message) => message.deleted),
+          stored.map((records) => records.length === 0)
+        );
+      });
+    });
+
+    describe("handleMessageUpdate", () => {
+      test("checks images edited into a message", async () => {
+        const { guild, joinAs, post, edit } = await setupGuild();
+        await post(joinAs(), "base");
+        const reposter = joinAs();
+        const message = await post(reposter);
+
+        await edit(message, { images: ["base"] });
+
+        assert.equal(message.deleted, true);
+        assert.equal((await storage.strikes.list(guild.id, reposter.id)).length, 1);
+      });
+
+      test("stores new images edited into a message", async () => {
+        const { guild, joinAs, post, edit } = await setupGuild();
+        const message = await post(joinAs(), "base");
+
+        await edit(message, { images: ["different"] });
+
+        assert.equal(message.deleted, false);
+        assert.equal(await storedCount(guild, [message]), 2);
+      });
+
+      test("doesn't penalize the same images again after an edit", async () => {
+        const { guild, joinAs, post, edit } = await setupGuild();
+        // Warn only, so the duplicate stays up to be edited
+        await clearPenalties(guild.id);
+        await addPenalty(guild.id, { type: "warn" });
+        await post(joinAs(), "base");
+        const reposter = joinAs();
+        const message = await post(reposter, "base");
+
+        await edit(message, { content: "edited" });
+        await edit(message, { content: "edited again", uncached: true });
+
+        assert.equal((await storage.strikes.list(guild.id, reposter.id)).length, 1);
+        assert.equal(reposter.user.dms.length, 1);
+      });
+    });
+
+    describe("handleMessageDelete", () => {
+      test("forgets every image of a deleted original", async () => {
+        const { guild, joinAs, post } = await setupGuild();
+        const original = await post(joinAs(), "base", "different");
+
+        await handleMessageDelete(partialMessage(original));
+
+        assert.equal(await storedCount(guild, [original]), 0);
+        const repost = await post(joinAs(), "base");
+        assert.equal(repost.deleted, false);
+      });
+
+      test("keeps the images of a deleted original when the guild burns them", async () => {
+        const { guild, joinAs, post } = await setupGuild();
+        await setDeletedOriginals(guild.id, "burned");
+        const original = await post(joinAs(), "base");
+
+        await handleMessageDelete(partialMessage(original));
+
+        assert.equal(await storedCount(guild, [original]), 1);
+        const repost = await post(joinAs(), "base");
+        assert.equal(repost.deleted, true);
+      });
+
+      test("handles bulk deletes and DMs", async () => {
+        const { guild, joinAs, post } = await setupGuild();
+        const originals = [await post(joinAs(), "base"), await post(joinAs(), "different")];
+        const dm = { id: "1", guildId: null, partial: true };
+
+        await handleMessageDeleteBulk(
+          new Collection(
+            [...originals.map(partialMessage), dm].map((message) => [message.id, message])
+          )
+        );
+
+        assert.equal(await storedCount(guild, originals), 0);
+      });
+    });
+
+    describe("handleReviewButton", () => {
+      test("penalizes an approved duplicate's member, who isn't on the fetched post", async () => {
+        const { guild, botChannel, joinAs, post } = await setupGuild();
+        await setReviewMode(guild.id, true);
+        await post(joinAs(), "base");
+        const reposter = joinAs();
+        const repost = await post(reposter, "base");
+        const [approveButton] = botChannel.sent[0].payload.components[0].components;
+
+        const press = createFakeButtonPress(guild, approveButton.data.custom_id);
+        await handleReviewButton(press);
+
+        assert.equal(repost.deleted, true);
+        assert.ok(!hasRole(reposter, PENALTY_ROLE));
+        assert.equal((await storage.strikes.list(guild.id, reposter.id)).length, 1);
+        assert.equal(await countPendingReviews(guild.id), 0);
+        assert.match(press.replies.at(-1).embeds[0].data.fields[0].value, /Strike 1\./);
+      });
+    });
+  });
+}
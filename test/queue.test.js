@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { setTimeout as delay } from "node:timers/promises";
+import { createKeyedQueue } from "../utils/queue.js";
+
+describe("createKeyedQueue", () => {
+  test("runs tasks with the same key one at a time, in order", async () => {
+    const enqueue = createKeyedQueue();
+    const steps = [];
+    const task = (name, ms) => async () => {
+      steps.push(`${name} start`);
+      await delay(ms);
+      steps.push(`${name} end`);
+      return name;
+    };
+
+    const results = await Promise.all([
+      enqueue("guild", task("a", 20)),
+      enqueue("guild", task("b", 0)),
+    ]);
+
+    assert.deepEqual(results, ["a", "b"]);
+    assert.deepEqual(steps, ["a start", "a end", "b start", "b end"]);
+  });
+
+  test("runs different keys side by side", async () => {
+    const enqueue = createKeyedQueue();
+    const steps = [];
+
+    await Promise.all([
+      enqueue("one", async () => {
+        steps.push("one start");
+        await delay(20);
+        steps.push("one end");
+      }),
+      enqueue("two", async () => {
+        steps.push("two");
+      }),
+    ]);
+
+    assert.deepEqual(steps, ["one start", "two", "one end"]);
+  });
+
+  test("keeps going after a failed task", async () => {
+    const enqueue = createKeyedQueue();
+
+    const failed = enqueue("guild", async () => {
+      throw new Error("boom");
+    });
+    const next = enqueue("guild", async () => "ran");
+
+    await assert.rejects(failed, /boom/);
+    assert.equal(await next, "ran");
+  });
+});
@@ -0,0 +1,128 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, beforeEach, describe, mock, test } from "node:test";
+import { setTimeout as delay } from "node:timers/promises";
+import { Collection } from "discord.js";
+import { storage } from "../storage/index.js";
+import { getGuildConfig, setRetention, withRetention } from "../services/guildSettings.js";
+import {
+  purgeExpiredImages,
+  resetImages,
+  startRetentionSweeper,
+  stopRetentionSweeper,
+} from "../services/retention.js";
+import { BACKENDS, closeStorage, openEmptyStorage } from "./helpers/backends.js";
+import { snowflake } from "./helpers/discord.js";
+
+// -----------------------------------------------------------------------------
+// RETENTION: Purges against every storage backend
+// -----------------------------------------------------------------------------
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let guildId;
+
+before(() => {
+  for (const method of ["log", "warn", "error"]) {
+    mock.method(console, method, () => {});
+  }
+});
+
+after(async () => {
+  mock.restoreAll();
+  await closeStorage();
+});
+
+// A stored image posted `daysAgo` days ago
+const storeImage = async (name, { daysAgo, pool = null, listStatus = null }) => {
+  const { record } = await storage.images.insertIfAbsent(
+    { guildId, pool, algorithm: "blockhash", hash: name },
+    {
+      messageId: snowflake(),
+      postedAt: new Date(Date.now() - daysAgo * DAY_MS),
+      listStatus,
+    }
+  );
+  return record;
+};
+
+const storedHashes = async () =>
+  (await storage.images.findByAlgorithm({ guildId, algorithm: "blockhash", pool: null }))
+    .map((image) => image.hash)
+    .sort();
+
+for (const { name: backend, skip } of BACKENDS) {
+  describe(`on the ${backend} backend`, { skip }, () => {
+    beforeEach(async () => {
+      await openEmptyStorage(backend);
+      guildId = snowflake();
+      await storage.configs.upsert(guildId, { botCommandChannelId: snowflake() });
+    });
+
+    describe("purgeExpiredImages", () => {
+      test("keeps each pool for its own number of days and never forgets listed images", async () => {
+        await storeImage("recent", { daysAgo: 5 });
+        await storeImage("old", { daysAgo: 40 });
+        await storeImage("old-listed", { daysAgo: 400, listStatus: "blocked" });
+        await storeImage("memes-recent", { daysAgo: 2, pool: "memes" });
+        await storeImage("memes-old", { daysAgo: 10, pool: "memes" });
+        await storeImage("art-old", { daysAgo: 400, pool: "art" });
+
+        let guildConfig = await getGuildConfig(guildId);
+        await setRetention(guildId, withRetention(guildConfig, 30));
+        guildConfig = await getGuildConfig(guildId);
+        await setRetention(guildId, withRetention(guildConfig, 7, "memes"));
+        guildConfig = await getGuildConfig(guildId);
+        await setRetention(guildId, withRetention(guildConfig, 0, "art"));
+        guildConfig = await getGuildConfig(guildId);
+
+        assert.equal(await purgeExpiredImages(guildId, guildConfig, { dryRun: true }), 2);
+        assert.equal((await storedHashes()).length, 6, "a dry run deletes nothing");
+
+        assert.equal(await purgeExpiredImages(guildId, guildConfig), 2);
+        assert.deepEqual(await storedHashes(), [
+          "art-old",
+          "memes-recent",
+          "old-listed",
+          "recent",
+        ]);
+      });
+
+      test("keeps everything by default", async () => {
+        await storeImage("ancient", { daysAgo: 4000 });
+
+        assert.equal(await purgeExpiredImages(guildId, await getGuildConfig(guildId)), 0);
+        assert.deepEqual(await storedHashes(), ["ancient"]);
+      });
+    });
+
+    describe("resetImages", () => {
+      test("forgets one pool or every pool, but keeps listed images", async () => {
+        await storeImage("server", { daysAgo: 1 });
+        await storeImage("memes", { daysAgo: 1, pool: "memes" });
+        await storeImage("allowed", { daysAgo: 1, listStatus: "allowed" });
+
+        assert.equal(await resetImages(guildId, { pool: "memes", dryRun: true }), 1);
+        assert.equal(await resetImages(guildId, { pool: "memes" }), 1);
+        assert.deepEqual(await storedHashes(), ["allowed", "server"]);
+
+        assert.equal(await resetImages(guildId), 1);
+        assert.deepEqual(await storedHashes(), ["allowed"]);
+      });
+    });
+
+    describe("startRetentionSweeper", () => {
+      afterEach(() => stopRetentionSweeper());
+
+      test("purges the bot's guilds without waiting for an interval", async () => {
+        await storeImage("old", { daysAgo: 40 });
+        await setRetention(guildId, withRetention(await getGuildConfig(guildId), 30));
+        const client = { guilds: { cache: new Collection([[guildId, { id: guildId }]]) } };
+
+        startRetentionSweeper(client);
+        for (let i = 0; i < 50 && (await storedHashes()).length > 0; i++) await delay(10);
+
+        assert.deepEqual(await storedHashes(), []);
+      });
+    });
+  });
+}
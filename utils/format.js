@@ -0,0 +1,14 @@
+// -----------------------------------------------------------------------------
+// FORMAT: Discord markdown and export helpers
+// -----------------------------------------------------------------------------
+
+// Discord renders <t:unix:R> as a relative time ("3 hours ago")
+export const toTimestamp = (date, style = "R") =>
+  `<t:${Math.floor(new Date(date).getTime() / 1000)}:${style}>`;
+
+// One CSV field, quoted when needed; dates as ISO 8601
+export const csvCell = (value) => {
+  const text =
+    value instanceof Date ? value.toISOString() : String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
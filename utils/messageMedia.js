@@ -0,0 +1,47 @@
+import { StickerFormatType } from "discord.js";
+
+// -----------------------------------------------------------------------------
+// UTILITY: Collect Media (Attachments + Embeds + Stickers)
+// -----------------------------------------------------------------------------
+// Images, animations and videos are all hashed; the hashing layer works out
+// which is which from the downloaded file.
+
+const isMediaType = (contentType) =>
+  Boolean(contentType) &&
+  (contentType.startsWith("image/") || contentType.startsWith("video/"));
+
+export const collectMediaUrls = (message) => {
+  const urls = [];
+
+  // Attachments
+  message.attachments.forEach((attachment) => {
+    if (isMediaType(attachment.contentType) && attachment.url) {
+      urls.push(attachment.url);
+    }
+  });
+
+  // Embeds: GIF links (e.g. Tenor) are videos; other previews only have
+  // their image or thumbnail, since video links usually point at a player page
+  message.embeds.forEach((embed) => {
+    if (embed.data.type === "gifv" && embed.video?.url) {
+      urls.push(embed.video.url);
+    } else if (embed.image?.url) {
+      urls.push(embed.image.url);
+    } else if (embed.thumbnail?.url) {
+      urls.push(embed.thumbnail.url);
+    }
+  });
+
+  // Stickers (Lottie stickers are vector animations, not images)
+  message.stickers?.forEach((sticker) => {
+    if (sticker.format !== StickerFormatType.Lottie && sticker.url) {
+      urls.push(sticker.url);
+    }
+  });
+
+  return [...new Set(urls)];
+};
+
+// Discord signs attachment URLs with expiring query parameters, so the same
+// file can come back under a different URL; compare them without
+export const mediaKey = (url) => url.split("?")[0];
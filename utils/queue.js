@@ -0,0 +1,23 @@
+// -----------------------------------------------------------------------------
+// QUEUE: Tasks that must not overlap, one line per key
+// -----------------------------------------------------------------------------
+
+// Returns enqueue(key, task): tasks sharing a key run one at a time in the
+// order they were queued, tasks with different keys side by side. Resolves or
+// rejects with the task's own result.
+export const createKeyedQueue = () => {
+  const tails = new Map();
+
+  return (key, task) => {
+    const result = (tails.get(key) ?? Promise.resolve()).then(task);
+
+    // A failed task mustn't hold up the ones queued after it
+    const tail = result.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+
+    return result;
+  };
+};
@@ -0,0 +1,34 @@
+// -----------------------------------------------------------------------------
+// SCHEDULE: Daily pause windows in UTC ("18:00"–"19:00")
+// -----------------------------------------------------------------------------
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// "18:30" => 1110 (minutes after midnight), or null if malformed
+export const parseTime = (value) => {
+  const match = TIME_PATTERN.exec(value?.trim() ?? "");
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+const minutesOfDay = (date) => date.getUTCHours() * 60 + date.getUTCMinutes();
+
+// Windows may wrap past midnight, e.g. 23:00–01:00
+const isWithinWindow = (window, minutes) => {
+  const start = parseTime(window.start);
+  const end = parseTime(window.end);
+  if (start === null || end === null) return false;
+
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+// The pause window covering `date`, if any
+export const activePauseWindow = (windows = [], date = new Date()) => {
+  const minutes = minutesOfDay(date);
+  return windows.find((window) => isWithinWindow(window, minutes)) ?? null;
+};
+
+export const formatWindow = (window) =>
+  `${window.start}–${window.end} UTC${window.label ? ` (${window.label})` : ""}`;
@@ -0,0 +1,55 @@
+// -----------------------------------------------------------------------------
+// SIMILARITY: Hamming distance + multi-index hashing helpers
+// -----------------------------------------------------------------------------
+
+// Narrower segments are shared by too many unrelated hashes to narrow a
+// lookup down, so thresholds that would need them scan every record instead
+const MIN_SEGMENT_BITS = 4;
+
+// Highest threshold the segment index serves for hashes of `bits` bits
+export const maxIndexedThreshold = (bits) => Math.floor(bits / MIN_SEGMENT_BITS) - 1;
+
+export const DEFAULT_SIMILARITY_THRESHOLD = 10;
+
+const POPCOUNT = Array.from({ length: 16 }, (_, n) =>
+  n.toString(2).replace(/0/g, "").length
+);
+
+// Number of differing bits between two hex hashes (Infinity if incomparable)
+export const hammingDistance = (a, b) => {
+  if (!a || !b || a.length !== b.length) return Infinity;
+
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += POPCOUNT[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  }
+  return distance;
+};
+
+// Bit length of a hex hash
+export const hashBits = (hash) => (hash ? hash.length * 4 : 0);
+
+// Similarity in percent, e.g. 0 bits apart => 100
+export const similarityPercent = (distance, bits) =>
+  bits > 0 ? Math.max(0, (1 - distance / bits) * 100) : 0;
+
+const toBinary = (hash) =>
+  [...hash].map((digit) => parseInt(digit, 16).toString(2).padStart(4, "0")).join("");
+
+// Split a hash into threshold + 1 positional segments ("<count>.<index>:<hex>")
+// for the multikey index. Pigeonhole: hashes at most `threshold` bits apart
+// share at least one of them. Empty when the threshold isn't indexed.
+export const hashSegments = (hash, threshold) => {
+  const bits = hashBits(hash);
+  if (!bits || threshold > maxIndexedThreshold(bits)) return [];
+
+  const binary = toBinary(hash);
+  const count = threshold + 1;
+  return Array.from({ length: count }, (_, index) => {
+    const segment = binary.slice(
+      Math.floor((index * bits) / count),
+      Math.floor(((index + 1) * bits) / count)
+    );
+    return `${count}.${index}:${BigInt(`0b${segment}`).toString(16)}`;
+  });
+};